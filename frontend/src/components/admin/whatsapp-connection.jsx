@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { useWebSocket } from '../../hooks/useWebSocket';
+
+const STATE_LABELS = {
+    connecting: { icon: 'spinner fa-spin', label: 'Connecting' },
+    qr: { icon: 'qrcode', label: 'Waiting for pairing' },
+    authenticated: { icon: 'key', label: 'Authenticated' },
+    ready: { icon: 'check-circle', label: 'Connected' },
+    disconnected: { icon: 'plug', label: 'Disconnected' },
+    auth_failure: { icon: 'exclamation-triangle', label: 'Authentication failed' }
+};
+
+const REFRESH_INTERVAL_MS = 15000; // queue depth isn't pushed, so poll for it
+
+export const WhatsAppConnection = () => {
+    const [connection, setConnection] = useState(null);
+    const [error, setError] = useState(null);
+    const [pendingAction, setPendingAction] = useState(null);
+
+    const { accessToken } = useAuth();
+    const { lastMessage, sendMessage } = useWebSocket('/admin');
+
+    const request = async (method, path) => {
+        const response = await fetch(`/api/admin/whatsapp${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed with ${response.status}`);
+        }
+        return result;
+    };
+
+    const refresh = async () => {
+        try {
+            const result = await request('GET', '');
+            setConnection(result.connection);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        sendMessage({ type: 'SUBSCRIBE', token: accessToken });
+        refresh();
+
+        const timer = setInterval(refresh, REFRESH_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [accessToken]);
+
+    useEffect(() => {
+        if (!lastMessage) return;
+
+        if (lastMessage.type === 'WHATSAPP_CONNECTION') {
+            setConnection(lastMessage.connection);
+        } else if (lastMessage.type === 'SUBSCRIBE_FAILED') {
+            setError(lastMessage.error);
+        }
+    }, [lastMessage]);
+
+    const runAction = async (action, confirmText) => {
+        if (!window.confirm(confirmText)) return;
+
+        setPendingAction(action);
+        try {
+            await request('POST', `/${action}`);
+            await refresh();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setPendingAction(null);
+        }
+    };
+
+    if (!connection) {
+        return (
+            <div className="whatsapp-connection futuristic-card">
+                {error ? <div className="error-message">{error}</div> : <div className="spinner"></div>}
+            </div>
+        );
+    }
+
+    const status = STATE_LABELS[connection.state] || { icon: 'question-circle', label: connection.state };
+
+    return (
+        <div className="whatsapp-connection futuristic-card">
+            <div className="connection-header">
+                <h2>
+                    <i className="fab fa-whatsapp"></i>
+                    WhatsApp Connection
+                </h2>
+                <div className={`connection-state state-${connection.state}`}>
+                    <i className={`fas fa-${status.icon}`}></i>
+                    {status.label}
+                </div>
+            </div>
+
+            {connection.qr && (
+                <div className="connection-qr">
+                    <img src={connection.qr} alt="WhatsApp pairing QR code" />
+                    <p>Open WhatsApp on the bot phone, go to Linked devices and scan this code.</p>
+                </div>
+            )}
+
+            <dl className="connection-details">
+                <dt>Provider</dt>
+                <dd>{connection.provider}</dd>
+                <dt>Queued messages</dt>
+                <dd>{connection.queue.waiting + connection.queue.delayed + connection.queue.active}</dd>
+                <dt>Dead letters</dt>
+                <dd>{connection.queue.deadLetters}</dd>
+                {connection.supervisor && connection.supervisor.state === 'backoff' && (
+                    <>
+                        <dt>Reconnecting</dt>
+                        <dd>
+                            Attempt {connection.supervisor.attempts}, next try at{' '}
+                            {new Date(connection.supervisor.nextAttemptAt).toLocaleTimeString()}
+                        </dd>
+                    </>
+                )}
+                {connection.supervisor && connection.supervisor.downSince && (
+                    <>
+                        <dt>Down since</dt>
+                        <dd>{new Date(connection.supervisor.downSince).toLocaleString()}</dd>
+                    </>
+                )}
+                <dt>Last error</dt>
+                <dd>
+                    {connection.lastError
+                        ? `${connection.lastError.message} (${new Date(connection.lastError.at).toLocaleString()})`
+                        : 'None'}
+                </dd>
+                <dt>Updated</dt>
+                <dd>{connection.updatedAt ? new Date(connection.updatedAt).toLocaleString() : '—'}</dd>
+            </dl>
+
+            {error && (
+                <div className="error-message">
+                    <i className="fas fa-exclamation-triangle"></i>
+                    {error}
+                </div>
+            )}
+
+            <div className="connection-actions">
+                <button
+                    className="repair-btn"
+                    onClick={() => runAction('repair', 'Unlink the current device and show a new pairing QR?')}
+                    disabled={pendingAction !== null}
+                >
+                    <i className="fas fa-sync"></i>
+                    Re-pair
+                </button>
+                <button
+                    className="logout-btn"
+                    onClick={() => runAction('logout', 'Log the bot out of WhatsApp? Messages will queue until it is paired again.')}
+                    disabled={pendingAction !== null || connection.state === 'disconnected'}
+                >
+                    <i className="fas fa-sign-out-alt"></i>
+                    Log out
+                </button>
+            </div>
+        </div>
+    );
+};
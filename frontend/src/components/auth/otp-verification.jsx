@@ -1,18 +1,35 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import { useWebSocket } from '../../hooks/useWebSocket';
+import { createTranslator, detectLocale } from '../../i18n';
 import './otp-verification.css';
 
-export const OTPVerification = ({ sessionId, userId, channels, onVerified, onCancel }) => {
+const CHANNEL_ICONS = {
+    email: 'envelope',
+    whatsapp: 'comment',
+    totp: 'mobile-alt'
+};
+
+// locale is the one the server picked at registration; without it the browser's languages decide
+export const OTPVerification = ({ sessionId, userId, channels, locale, onVerified, onCancel }) => {
+    const t = useMemo(() => createTranslator(locale || detectLocale()), [locale]);
     const [otp, setOtp] = useState(['', '', '', '', '', '']);
     const [activeChannel, setActiveChannel] = useState(channels[0]);
     const [countdown, setCountdown] = useState(600); // 10 minutes
     const [isResending, setIsResending] = useState(false);
     const [verificationStatus, setVerificationStatus] = useState('pending');
+    const [reverseChallenge, setReverseChallenge] = useState(null);
+    const [failover, setFailover] = useState(null);
+    const [emailBounce, setEmailBounce] = useState(null);
     
     const inputRefs = useRef([]);
-    const { verifyOTP, resendOTP } = useAuth();
-    const { lastMessage } = useWebSocket('/auth');
+    const { verifyOTP, resendOTP, startReverseOTP } = useAuth();
+    const { lastMessage, sendMessage } = useWebSocket('/auth');
+
+    useEffect(() => {
+        // Watch this verification session for server pushes
+        sendMessage({ type: 'SUBSCRIBE', sessionId });
+    }, [sessionId]);
 
     useEffect(() => {
         // Start countdown
@@ -30,13 +47,34 @@ export const OTPVerification = ({ sessionId, userId, channels, onVerified, onCan
     }, []);
 
     useEffect(() => {
+        // WhatsApp is down, so the code was sent by email instead
+        const failedOverTo = lastMessage && (
+            lastMessage.type === 'CHANNEL_FAILOVER' ? lastMessage.to :
+            lastMessage.type === 'SUBSCRIBED' ? lastMessage.failover : null
+        );
+        if (failedOverTo) {
+            setFailover(failedOverTo);
+            setActiveChannel(failedOverTo);
+        }
+
+        // The email code bounced, e.g. because of a typo in the address
+        const bounce = lastMessage && (
+            lastMessage.type === 'EMAIL_BOUNCED' ? lastMessage :
+            lastMessage.type === 'SUBSCRIBED' ? lastMessage.emailBounce : null
+        );
+        if (bounce) {
+            setEmailBounce({ permanent: bounce.permanent, suggest: bounce.suggest });
+        }
+
         // Handle WebSocket messages for OTP auto-fill
         if (lastMessage && lastMessage.type === 'OTP_AUTO_FILL') {
             const receivedOTP = lastMessage.otp;
             if (receivedOTP.length === 6) {
                 const otpArray = receivedOTP.split('');
+                const channel = lastMessage.channel || activeChannel;
+                setActiveChannel(channel);
                 setOtp(otpArray);
-                handleVerify(otpArray.join(''));
+                handleVerify(otpArray.join(''), channel);
             }
         }
     }, [lastMessage]);
@@ -65,13 +103,13 @@ export const OTPVerification = ({ sessionId, userId, channels, onVerified, onCan
         }
     };
 
-    const handleVerify = async (otpCode = otp.join('')) => {
+    const handleVerify = async (otpCode = otp.join(''), channel = activeChannel) => {
         if (otpCode.length !== 6) return;
 
         setVerificationStatus('verifying');
         
         try {
-            const result = await verifyOTP(sessionId, otpCode, activeChannel);
+            const result = await verifyOTP(sessionId, otpCode, channel);
             
             if (result.success) {
                 setVerificationStatus('success');
@@ -102,6 +140,15 @@ export const OTPVerification = ({ sessionId, userId, channels, onVerified, onCan
         }
     };
 
+    const handleReverseOTP = async () => {
+        try {
+            const challenge = await startReverseOTP(sessionId);
+            setReverseChallenge(challenge);
+        } catch (error) {
+            console.error('Failed to start WhatsApp verification:', error);
+        }
+    };
+
     const formatTime = (seconds) => {
         const mins = Math.floor(seconds / 60);
         const secs = seconds % 60;
@@ -109,25 +156,49 @@ export const OTPVerification = ({ sessionId, userId, channels, onVerified, onCan
     };
 
     return (
-        <div className="otp-verification futuristic-card">
+        <div className="otp-verification futuristic-card" lang={t.locale}>
             <div className="verification-header">
                 <div className="security-badge">
                     <i className="fas fa-shield-check"></i>
-                    <span>Secure Verification</span>
+                    <span>{t('otp.badge')}</span>
                 </div>
-                <h2>Two-Factor Authentication</h2>
-                <p>Enter the verification code sent to your {activeChannel}</p>
+                <h2>{t('otp.title')}</h2>
+                <p>
+                    {activeChannel === 'totp'
+                        ? t('otp.enterTotp')
+                        : t('otp.enterCode', { channel: t(`otp.channelNames.${activeChannel}`) })}
+                </p>
             </div>
 
+            {failover && (
+                <div className="failover-notice">
+                    <i className="fas fa-info-circle"></i>
+                    {t('otp.failover', { channel: t(`otp.channelNames.${failover}`) })}
+                </div>
+            )}
+
+            {emailBounce && activeChannel === 'email' && (
+                <div className="bounce-notice">
+                    <i className="fas fa-exclamation-circle"></i>
+                    {emailBounce.permanent ? t('otp.emailBounced') : t('otp.emailDelayed')}
+                    {emailBounce.suggest === 'whatsapp' && (
+                        <button className="switch-channel-btn" onClick={() => setActiveChannel('whatsapp')}>
+                            <i className="fab fa-whatsapp"></i>
+                            {t('otp.switchToWhatsApp')}
+                        </button>
+                    )}
+                </div>
+            )}
+
             <div className="channel-selector">
-                {channels.map(channel => (
+                {[...new Set([...channels, ...(failover ? [failover] : [])])].map(channel => (
                     <button
                         key={channel}
                         className={`channel-btn ${activeChannel === channel ? 'active' : ''}`}
                         onClick={() => setActiveChannel(channel)}
                     >
-                        <i className={`fas fa-${channel === 'email' ? 'envelope' : 'comment'}`}></i>
-                        {channel === 'email' ? 'Email' : 'WhatsApp'}
+                        <i className={`fas fa-${CHANNEL_ICONS[channel]}`}></i>
+                        {t(`otp.channels.${channel}`)}
                     </button>
                 ))}
             </div>
@@ -154,31 +225,57 @@ export const OTPVerification = ({ sessionId, userId, channels, onVerified, onCan
                 {verificationStatus === 'error' && (
                     <div className="error-message">
                         <i className="fas fa-exclamation-triangle"></i>
-                        Invalid verification code. Please try again.
+                        {t('otp.invalidCode')}
                     </div>
                 )}
             </div>
 
+            {activeChannel === 'whatsapp' && (
+                <div className="reverse-otp">
+                    {reverseChallenge ? (
+                        <>
+                            <p>{t('otp.reversePrompt')}</p>
+                            <div className="reverse-otp-code">{reverseChallenge.challengeCode}</div>
+                            {reverseChallenge.link && (
+                                <a className="reverse-otp-link" href={reverseChallenge.link} target="_blank" rel="noopener noreferrer">
+                                    <i className="fab fa-whatsapp"></i>
+                                    {t('otp.reverseOpen')}
+                                </a>
+                            )}
+                            <p className="reverse-otp-hint">{t('otp.reverseHint')}</p>
+                        </>
+                    ) : (
+                        <button className="reverse-otp-btn" onClick={handleReverseOTP}>
+                            <i className="fab fa-whatsapp"></i>
+                            {t('otp.reverseStart')}
+                        </button>
+                    )}
+                </div>
+            )}
+
             <div className="verification-footer">
-                <div className="countdown">
+                <div
+                    className="countdown"
+                    aria-label={t('otp.expiresInMinutes', { count: Math.ceil(countdown / 60) })}
+                >
                     <i className="fas fa-clock"></i>
-                    Code expires in: <span className="time">{formatTime(countdown)}</span>
+                    {t('otp.expiresIn')} <span className="time">{formatTime(countdown)}</span>
                 </div>
 
                 <button
                     className="resend-btn"
                     onClick={handleResendOTP}
-                    disabled={countdown > 0 || isResending || verificationStatus === 'verifying'}
+                    disabled={activeChannel === 'totp' || countdown > 0 || isResending || verificationStatus === 'verifying'}
                 >
                     {isResending ? (
                         <>
                             <i className="fas fa-spinner fa-spin"></i>
-                            Sending...
+                            {t('otp.sending')}
                         </>
                     ) : (
                         <>
                             <i className="fas fa-redo"></i>
-                            Resend Code
+                            {t('otp.resend')}
                         </>
                     )}
                 </button>
@@ -187,14 +284,14 @@ export const OTPVerification = ({ sessionId, userId, channels, onVerified, onCan
             {verificationStatus === 'verifying' && (
                 <div className="verification-overlay">
                     <div className="spinner"></div>
-                    <p>Verifying code...</p>
+                    <p>{t('otp.verifying')}</p>
                 </div>
             )}
 
             {verificationStatus === 'success' && (
                 <div className="success-animation">
                     <i className="fas fa-check-circle"></i>
-                    <p>Verification Successful!</p>
+                    <p>{t('otp.success')}</p>
                 </div>
             )}
         </div>
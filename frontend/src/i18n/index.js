@@ -0,0 +1,44 @@
+import en from './locales/en';
+import id from './locales/id';
+
+const CATALOGS = { en, id };
+const INTL_TAGS = { en: 'en-GB', id: 'id-ID' };
+export const DEFAULT_LOCALE = 'id';
+
+// Same lookup rules as the server catalog: {name} interpolation, plural forms chosen
+// by params.count, English then the key itself as fallbacks
+export const resolveLocale = (...candidates) => {
+    for (const candidate of candidates.flat()) {
+        if (!candidate) continue;
+        const language = String(candidate).toLowerCase().split(/[-_]/)[0];
+        const locale = language === 'in' ? 'id' : language;
+        if (CATALOGS[locale]) return locale;
+    }
+    return DEFAULT_LOCALE;
+};
+
+export const detectLocale = () =>
+    resolveLocale(typeof navigator === 'undefined' ? [] : [...(navigator.languages || []), navigator.language]);
+
+const lookup = (locale, key) =>
+    key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), CATALOGS[locale]);
+
+export const createTranslator = (requested) => {
+    const locale = resolveLocale(requested);
+    const plurals = new Intl.PluralRules(INTL_TAGS[locale]);
+
+    const t = (key, params = {}) => {
+        let message = lookup(locale, key) ?? lookup('en', key);
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            message = message[plurals.select(Number(params.count) || 0)] ?? message.other;
+        }
+        return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined ? match : String(params[name])
+        );
+    };
+
+    t.locale = locale;
+    return t;
+};
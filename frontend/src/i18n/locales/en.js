@@ -0,0 +1,35 @@
+export default {
+    otp: {
+        badge: 'Secure Verification',
+        title: 'Two-Factor Authentication',
+        enterTotp: 'Enter the code shown in your authenticator app',
+        enterCode: 'Enter the verification code sent to your {channel}',
+        failover: 'WhatsApp is temporarily unavailable, so we sent your code by {channel} instead.',
+        invalidCode: 'Invalid verification code. Please try again.',
+        emailBounced: 'We couldn\'t deliver the code to your email address. Please check it for typos.',
+        emailDelayed: 'Your email provider is delaying the code. It may still arrive.',
+        switchToWhatsApp: 'Get the code on WhatsApp instead',
+        reversePrompt: 'Send this code to our WhatsApp bot from your registered number:',
+        reverseOpen: 'Open WhatsApp',
+        reverseHint: 'This page will continue automatically once we receive it.',
+        reverseStart: 'Verify by sending us a message instead',
+        expiresIn: 'Code expires in:',
+        expiresInMinutes: {
+            one: 'Code expires in {count} minute',
+            other: 'Code expires in {count} minutes'
+        },
+        sending: 'Sending...',
+        resend: 'Resend Code',
+        verifying: 'Verifying code...',
+        success: 'Verification Successful!',
+        channels: {
+            email: 'Email',
+            whatsapp: 'WhatsApp',
+            totp: 'Authenticator'
+        },
+        channelNames: {
+            email: 'email',
+            whatsapp: 'WhatsApp'
+        }
+    }
+};
@@ -0,0 +1,34 @@
+export default {
+    otp: {
+        badge: 'Verifikasi Aman',
+        title: 'Autentikasi Dua Faktor',
+        enterTotp: 'Masukkan kode yang tampil di aplikasi autentikator Anda',
+        enterCode: 'Masukkan kode verifikasi yang dikirim ke {channel} Anda',
+        failover: 'WhatsApp sedang tidak tersedia, jadi kode Anda kami kirim melalui {channel}.',
+        invalidCode: 'Kode verifikasi salah. Silakan coba lagi.',
+        emailBounced: 'Kode tidak dapat dikirim ke alamat email Anda. Periksa apakah ada salah ketik.',
+        emailDelayed: 'Penyedia email Anda menunda pengiriman kode. Kode mungkin masih akan tiba.',
+        switchToWhatsApp: 'Dapatkan kode melalui WhatsApp',
+        reversePrompt: 'Kirim kode ini ke bot WhatsApp kami dari nomor yang terdaftar:',
+        reverseOpen: 'Buka WhatsApp',
+        reverseHint: 'Halaman ini akan berlanjut otomatis setelah kami menerimanya.',
+        reverseStart: 'Verifikasi dengan mengirim pesan ke kami',
+        expiresIn: 'Kode kedaluwarsa dalam:',
+        expiresInMinutes: {
+            other: 'Kode kedaluwarsa dalam {count} menit'
+        },
+        sending: 'Mengirim...',
+        resend: 'Kirim Ulang Kode',
+        verifying: 'Memverifikasi kode...',
+        success: 'Verifikasi Berhasil!',
+        channels: {
+            email: 'Email',
+            whatsapp: 'WhatsApp',
+            totp: 'Autentikator'
+        },
+        channelNames: {
+            email: 'email',
+            whatsapp: 'WhatsApp'
+        }
+    }
+};
@@ -7,6 +7,9 @@ import os from 'os';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const WORKER_START_TIMEOUT_MS = 60 * 1000; // a replacement that isn't listening by then is abandoned
+const WORKER_STOP_TIMEOUT_MS = 10 * 1000;
+
 class AdvancedServer {
     constructor() {
         this.isPrimary = cluster.isPrimary;
@@ -60,19 +63,93 @@ class AdvancedServer {
         console.log(`👥 Forking ${this.cpuCount} workers...`);
         
         for (let i = 0; i < this.cpuCount; i++) {
-            const worker = cluster.fork({
-                WORKER_ID: i + 1,
-                NODE_OPTIONS: '--max-old-space-size=4096'
-            });
-
-            worker.on('message', (message) => {
-                this.handleWorkerMessage(worker, message);
-            });
+            this.forkWorker(i + 1);
         }
 
         cluster.on('exit', (worker, code, signal) => {
+            // Workers retired by a rolling restart already have a replacement,
+            // and a replacement that never came up leaves the old worker serving its slot
+            if (worker.retiring || worker.starting) return;
+
             console.log(`🔄 Worker ${worker.process.pid} died. Restarting...`);
-            cluster.fork();
+            this.forkWorker(worker.slot);
+        });
+    }
+
+    forkWorker(slot) {
+        const worker = cluster.fork({
+            WORKER_ID: slot,
+            NODE_OPTIONS: '--max-old-space-size=4096'
+        });
+        worker.slot = slot;
+
+        worker.on('message', (message) => {
+            this.handleWorkerMessage(worker, message);
+        });
+
+        return worker;
+    }
+
+    async rollingRestart(requestedBy) {
+        if (this.restarting) return;
+        this.restarting = true;
+
+        console.log(`🔁 Rolling restart requested by ${requestedBy || 'unknown'}`);
+
+        try {
+            for (const worker of Object.values(cluster.workers)) {
+                // Bring the replacement up before taking the old worker down
+                const replacement = this.forkWorker(worker.slot);
+                replacement.starting = true;
+                await this.waitForListening(replacement);
+                replacement.starting = false;
+
+                worker.retiring = true;
+                if (!worker.isDead()) {
+                    const exited = new Promise(resolve => worker.once('exit', resolve));
+                    worker.disconnect();
+
+                    const forceKill = setTimeout(() => worker.kill(), WORKER_STOP_TIMEOUT_MS);
+                    await exited;
+                    clearTimeout(forceKill);
+                }
+
+                console.log(`✅ Worker ${worker.slot} replaced`);
+            }
+            console.log('✅ Rolling restart complete');
+        } catch (error) {
+            console.error('❌ Rolling restart aborted:', error.message);
+        } finally {
+            this.restarting = false;
+        }
+    }
+
+    waitForListening(worker) {
+        return new Promise((resolve, reject) => {
+            const settle = (error) => {
+                clearTimeout(timeout);
+                worker.off('listening', onListening);
+                worker.off('exit', onExit);
+                worker.off('error', onError);
+
+                if (error) {
+                    if (!worker.isDead()) worker.kill();
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            const onListening = () => settle();
+            const onExit = (code, signal) => settle(new Error(`Replacement for worker ${worker.slot} exited (${signal || code})`));
+            const onError = (error) => settle(error);
+            const timeout = setTimeout(
+                () => settle(new Error(`Replacement for worker ${worker.slot} did not start within ${WORKER_START_TIMEOUT_MS / 1000}s`)),
+                WORKER_START_TIMEOUT_MS
+            );
+
+            worker.once('listening', onListening);
+            worker.once('exit', onExit);
+            worker.once('error', onError);
         });
     }
 
@@ -129,6 +206,9 @@ class AdvancedServer {
             case 'PERFORMANCE_DATA':
                 this.performanceMonitor.record(message.data);
                 break;
+            case 'ROLLING_RESTART':
+                this.rollingRestart(message.data && message.data.requestedBy);
+                break;
         }
     }
 
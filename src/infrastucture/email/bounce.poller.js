@@ -0,0 +1,59 @@
+import { parseBounce } from '../../module/email/bounce.parser.js';
+
+const POLL_INTERVAL_MS = 2 * 60 * 1000; // 2 minutes
+const SEEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const BOUNCE_QUERY = 'from:(mailer-daemon OR postmaster) newer_than:3d';
+
+// Periodically reads delivery failure reports from the sending mailbox and hands them to the
+// delivery tracker. Each period is polled by one worker, and each report is processed once
+export class BouncePoller {
+    constructor(mailbox, tracker, storage, options = {}) {
+        this.mailbox = mailbox;
+        this.tracker = tracker;
+        this.storage = storage;
+        this.intervalMs = options.intervalMs || Number(process.env.EMAIL_BOUNCE_POLL_MS) || POLL_INTERVAL_MS;
+        this.query = options.query || BOUNCE_QUERY;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.poll().catch(error => console.error('❌ Bounce polling failed:', error.message));
+        }, this.intervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Resolves to the number of failures matched to our own messages
+    async poll(now = Date.now()) {
+        const period = Math.floor(now / this.intervalMs);
+        if ((await this.storage.incr(`email-bounce:poll:${period}`, this.intervalMs * 2)) !== 1) {
+            return 0;
+        }
+
+        let matched = 0;
+        for (const id of await this.mailbox.search(this.query)) {
+            const seenKey = `email-bounce:seen:${id}`;
+            if ((await this.storage.incr(seenKey, SEEN_TTL_MS)) !== 1) continue;
+
+            try {
+                const bounce = parseBounce(await this.mailbox.getRaw(id));
+                if (bounce) {
+                    matched += (await this.tracker.recordBounce(bounce)).length;
+                }
+            } catch (error) {
+                // Let the next poll try this report again
+                await this.storage.del(seenKey);
+                throw error;
+            }
+        }
+
+        return matched;
+    }
+}
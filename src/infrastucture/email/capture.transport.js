@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { EmailTransport } from './email.transport.js';
+
+const MAX_OUTBOX = 500;
+
+// Development and CI backend: nothing leaves the machine. Each message is rendered to a real
+// RFC 822 source, kept in an in-memory outbox and, when a directory is set, written out as .eml
+export class CaptureTransport extends EmailTransport {
+    constructor(options = {}) {
+        super('capture');
+        this.directory = options.directory === undefined ? process.env.EMAIL_CAPTURE_DIR : options.directory;
+        this.outbox = [];
+    }
+
+    async createTransporter() {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    async send(message) {
+        const transporter = await this.getTransporter();
+        const info = await transporter.sendMail(message);
+
+        const entry = {
+            messageId: info.messageId,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            source: info.message.toString('utf8'),
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.directory) {
+            await fs.mkdir(this.directory, { recursive: true });
+            entry.file = path.join(this.directory, `${Date.now()}-${info.messageId.replace(/[^\w.@-]/g, '')}.eml`);
+            await fs.writeFile(entry.file, info.message);
+        }
+
+        this.outbox = [...this.outbox, entry].slice(-MAX_OUTBOX);
+        this.emit('sent', entry);
+        console.log(`📭 Captured email to ${message.to}: ${message.subject}${entry.file ? ` (${entry.file})` : ''}`);
+
+        return {
+            messageId: info.messageId,
+            response: entry.file ? `captured to ${entry.file}` : 'captured in memory',
+            transport: this.name
+        };
+    }
+
+    async verify() {}
+
+    messagesTo(to) {
+        return this.outbox.filter(entry => entry.to === to);
+    }
+
+    clear() {
+        this.outbox = [];
+    }
+}
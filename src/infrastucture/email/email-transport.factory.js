@@ -0,0 +1,39 @@
+import { GmailOAuthTransport } from './gmail-oauth.transport.js';
+import { SmtpTransport } from './smtp.transport.js';
+import { CaptureTransport } from './capture.transport.js';
+import { FailoverTransport } from './failover.transport.js';
+
+export function createEmailTransport(name, options = {}) {
+    switch (name) {
+        case 'gmail':
+            return new GmailOAuthTransport(options.tokens);
+        case 'smtp':
+            return new SmtpTransport();
+        case 'capture':
+            return new CaptureTransport();
+        default:
+            throw new Error(`Unknown email transport: ${name}`);
+    }
+}
+
+// EMAIL_TRANSPORT picks the primary and EMAIL_FALLBACK_TRANSPORT an optional secondary.
+// Unset, Gmail is used when it has credentials (GOOGLE_REFRESH_TOKEN, or `hasStoredTokens`
+// for a grant saved by the consent flow), then SMTP; outside production the last resort
+// is local capture so the auth flow runs without any mail account
+export function createConfiguredEmailTransport(options = {}) {
+    const primary = process.env.EMAIL_TRANSPORT || defaultTransportName(options);
+    const fallback = process.env.EMAIL_FALLBACK_TRANSPORT;
+
+    const transport = createEmailTransport(primary, options);
+    if (!fallback || fallback === primary) {
+        return transport;
+    }
+
+    return new FailoverTransport([transport, createEmailTransport(fallback, options)]);
+}
+
+function defaultTransportName({ hasStoredTokens = false } = {}) {
+    if (process.env.GOOGLE_REFRESH_TOKEN || hasStoredTokens) return 'gmail';
+    if (process.env.SMTP_HOST) return 'smtp';
+    return process.env.NODE_ENV === 'production' ? 'gmail' : 'capture';
+}
@@ -0,0 +1,51 @@
+import { EventEmitter } from 'events';
+
+// Common surface for outgoing mail backends. send() takes nodemailer message options and
+// resolves to { messageId, response, transport }. The underlying nodemailer transporter is
+// built on first use, so a backend without credentials only fails when it is actually used
+export class EmailTransport extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+        this.transporter = null;
+        this.pending = null;
+    }
+
+    async createTransporter() {
+        throw new Error(`${this.constructor.name} does not implement createTransporter()`);
+    }
+
+    async getTransporter() {
+        if (this.transporter) return this.transporter;
+
+        // Concurrent sends share one build; a failed build is retried by the next send
+        this.pending = this.pending || this.createTransporter().finally(() => {
+            this.pending = null;
+        });
+        this.transporter = await this.pending;
+        return this.transporter;
+    }
+
+    async send(message) {
+        const transporter = await this.getTransporter();
+        const info = await transporter.sendMail(message);
+
+        return { messageId: info.messageId, response: info.response, transport: this.name };
+    }
+
+    async verify() {
+        await (await this.getTransporter()).verify();
+    }
+
+    // Drops the cached connection so the next send builds a fresh one
+    reset() {
+        if (this.transporter && this.transporter.close) {
+            this.transporter.close();
+        }
+        this.transporter = null;
+    }
+
+    async close() {
+        this.reset();
+    }
+}
@@ -0,0 +1,43 @@
+import { EmailTransport } from './email.transport.js';
+
+// Tries each transport in order for every message, so the primary takes over again as soon as
+// it recovers. Emits 'failover' { from, to, error } whenever a send moves down the list
+export class FailoverTransport extends EmailTransport {
+    constructor(transports) {
+        super(transports.map(transport => transport.name).join('>'));
+        this.transports = transports;
+    }
+
+    async send(message) {
+        let lastError;
+
+        for (const [index, transport] of this.transports.entries()) {
+            try {
+                return await transport.send(message);
+            } catch (error) {
+                lastError = error;
+                // Don't reuse a connection that just failed, e.g. one holding an expired token
+                transport.reset();
+
+                const next = this.transports[index + 1];
+                if (next) {
+                    this.emit('failover', { from: transport.name, to: next.name, error });
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    async verify() {
+        await Promise.all(this.transports.map(transport => transport.verify()));
+    }
+
+    reset() {
+        this.transports.forEach(transport => transport.reset());
+    }
+
+    async close() {
+        await Promise.all(this.transports.map(transport => transport.close()));
+    }
+}
@@ -0,0 +1,45 @@
+import nodemailer from 'nodemailer';
+import { EmailTransport } from './email.transport.js';
+
+// Sends through Gmail SMTP with an access token from the token manager. The connection is
+// rebuilt whenever the token changes rather than left to refresh on its own
+export class GmailOAuthTransport extends EmailTransport {
+    constructor(tokens, options = {}) {
+        super('gmail');
+        this.tokens = tokens;
+        this.user = options.user || process.env.EMAIL_USER;
+        this.onTokens = () => this.reset();
+        this.tokens.on('tokens', this.onTokens);
+    }
+
+    async createTransporter() {
+        const accessToken = await this.tokens.getAccessToken();
+
+        const transporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                type: 'OAuth2',
+                user: this.user,
+                accessToken
+            }
+        });
+
+        // Verify connection
+        await transporter.verify();
+        console.log('✅ Gmail transporter ready');
+
+        return transporter;
+    }
+
+    async send(message) {
+        // Refreshes (and so rebuilds the connection) if the token is about to expire
+        await this.tokens.getAccessToken();
+        return await super.send(message);
+    }
+
+    // The token manager outlives us, so stop listening to it
+    async close() {
+        this.tokens.off('tokens', this.onTokens);
+        await super.close();
+    }
+}
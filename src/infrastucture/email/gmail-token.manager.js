@@ -0,0 +1,179 @@
+import { EventEmitter } from 'events';
+
+const TOKENS_KEY = 'gmail:oauth-tokens';
+const TOKEN_ENDPOINT = 'https://oauth2.googleapis.com/token';
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // refresh five minutes before Google would reject the token
+const MIN_REFRESH_DELAY_MS = 30 * 1000;
+
+// Owns the Gmail OAuth tokens. They live encrypted in shared storage so every worker and every
+// restart uses the latest grant, are refreshed ahead of expiry, and are announced with
+//   'tokens'        tokens         whenever a new access token is stored
+//   'invalid_grant' { error }      when Google revokes the refresh token and consent is needed again
+// `tokenEndpoint` and `fetch` can be pointed at a local stub in tests
+export class GmailTokenManager extends EventEmitter {
+    constructor(storage, encryption, options = {}) {
+        super();
+        this.storage = storage;
+        this.encryption = encryption;
+        this.clientId = options.clientId || process.env.GOOGLE_CLIENT_ID;
+        this.clientSecret = options.clientSecret || process.env.GOOGLE_CLIENT_SECRET;
+        this.tokenEndpoint = options.tokenEndpoint || process.env.GOOGLE_TOKEN_ENDPOINT || TOKEN_ENDPOINT;
+        this.refreshMarginMs = options.refreshMarginMs || REFRESH_MARGIN_MS;
+        this.fetch = options.fetch || globalThis.fetch;
+        this.timeoutMs = options.timeoutMs || 15000;
+        this.tokens = null;
+        this.refreshing = null;
+        this.timer = null;
+    }
+
+    async getAccessToken() {
+        if (!this.tokens) {
+            await this.load();
+        }
+        if (!this.tokens || !this.tokens.refresh_token) {
+            throw new Error('Gmail is not authorized; complete the OAuth consent flow');
+        }
+        if (this.tokens.invalid) {
+            throw new Error('Gmail authorization was revoked; complete the OAuth consent flow again');
+        }
+
+        if (this.isExpiring(this.tokens)) {
+            await this.refresh();
+        }
+        return this.tokens.access_token;
+    }
+
+    async load() {
+        const stored = await this.read();
+        if (stored) {
+            this.adopt(stored);
+            return this.tokens;
+        }
+
+        // First start after moving off env-only credentials: persist the refresh token once.
+        // The env access token has no known expiry, so the first send fetches a fresh one
+        if (process.env.GOOGLE_REFRESH_TOKEN) {
+            await this.save({ access_token: null, refresh_token: process.env.GOOGLE_REFRESH_TOKEN, expiry_date: 0 });
+        }
+        return this.tokens;
+    }
+
+    // Stores a token set from a code exchange or a refresh. Google only returns the refresh
+    // token on consent, so a refresh response keeps the one we already have
+    async save(tokens) {
+        const merged = {
+            ...(this.tokens && !this.tokens.invalid ? this.tokens : {}),
+            ...tokens,
+            invalid: false,
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.storage.set(TOKENS_KEY, {
+            data: await this.encryption.encrypt(JSON.stringify(merged))
+        });
+        this.adopt(merged);
+        return merged;
+    }
+
+    async refresh() {
+        // Concurrent sends wait on one refresh instead of each spending a grant
+        this.refreshing = this.refreshing || this.performRefresh().finally(() => {
+            this.refreshing = null;
+        });
+        return await this.refreshing;
+    }
+
+    async performRefresh() {
+        // Another worker may already have refreshed
+        const stored = await this.read();
+        if (stored && !stored.invalid && !this.isExpiring(stored) &&
+            (!this.tokens || stored.access_token !== this.tokens.access_token)) {
+            this.adopt(stored);
+            return this.tokens;
+        }
+
+        const response = await this.fetch(this.tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'refresh_token',
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                refresh_token: this.tokens.refresh_token
+            }).toString(),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(`Gmail token refresh failed: ${result.error_description || result.error || response.status}`);
+            error.code = result.error || 'refresh_failed';
+
+            if (result.error === 'invalid_grant') {
+                await this.markInvalid();
+                this.emit('invalid_grant', { error });
+            }
+            throw error;
+        }
+
+        return await this.save({
+            access_token: result.access_token,
+            expiry_date: Date.now() + Number(result.expires_in || 3600) * 1000,
+            scope: result.scope,
+            token_type: result.token_type,
+            ...(result.refresh_token ? { refresh_token: result.refresh_token } : {})
+        });
+    }
+
+    // Keeps the refresh token for reference but stops every send from retrying a dead grant
+    async markInvalid() {
+        const invalidated = { ...this.tokens, access_token: null, invalid: true, updatedAt: new Date().toISOString() };
+
+        await this.storage.set(TOKENS_KEY, {
+            data: await this.encryption.encrypt(JSON.stringify(invalidated))
+        });
+        this.tokens = invalidated;
+        this.stop();
+    }
+
+    async read() {
+        const stored = await this.storage.get(TOKENS_KEY);
+        if (!stored) return null;
+        return JSON.parse(await this.encryption.decrypt(stored.data));
+    }
+
+    adopt(tokens) {
+        const changed = !this.tokens || this.tokens.access_token !== tokens.access_token;
+        this.tokens = tokens;
+
+        if (tokens.invalid) return;
+        this.scheduleRefresh();
+        if (changed && tokens.access_token) {
+            this.emit('tokens', tokens);
+        }
+    }
+
+    isExpiring(tokens) {
+        if (!tokens.access_token || !tokens.expiry_date) return true;
+        return tokens.expiry_date - this.refreshMarginMs <= Date.now();
+    }
+
+    // Refreshing on a timer keeps the first email after a quiet night from paying for the round trip
+    scheduleRefresh() {
+        this.stop();
+        if (!this.tokens.expiry_date) return;
+
+        const delay = Math.max(this.tokens.expiry_date - this.refreshMarginMs - Date.now(), MIN_REFRESH_DELAY_MS);
+        this.timer = setTimeout(() => {
+            this.refresh().catch(error => console.error('❌ Gmail token refresh failed:', error.message));
+        }, delay);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
@@ -0,0 +1,25 @@
+import { google } from 'googleapis';
+
+// Read-only view of the sending mailbox through the Gmail API (gmail.readonly scope)
+export class GmailMailbox {
+    constructor(oAuth2Client, tokens) {
+        this.tokens = tokens;
+        this.gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
+    }
+
+    async search(query, maxResults = 50) {
+        // Makes sure the OAuth client holds a current access token before calling the API
+        await this.tokens.getAccessToken();
+
+        const { data } = await this.gmail.users.messages.list({ userId: 'me', q: query, maxResults });
+        return (data.messages || []).map(message => message.id);
+    }
+
+    // Full RFC 822 source, as it would be saved to an .eml file
+    async getRaw(id) {
+        await this.tokens.getAccessToken();
+
+        const { data } = await this.gmail.users.messages.get({ userId: 'me', id, format: 'raw' });
+        return Buffer.from(data.raw, 'base64url').toString('utf8');
+    }
+}
@@ -0,0 +1,32 @@
+import nodemailer from 'nodemailer';
+import { EmailTransport } from './email.transport.js';
+
+// Any SMTP relay (Mailgun, SES, Postfix, Mailpit...) configured through SMTP_* variables
+export class SmtpTransport extends EmailTransport {
+    constructor(options = {}) {
+        super('smtp');
+        this.host = options.host || process.env.SMTP_HOST;
+        this.port = Number(options.port || process.env.SMTP_PORT) || 587;
+        this.secure = options.secure ?? (process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : this.port === 465);
+        this.user = options.user || process.env.SMTP_USER;
+        this.pass = options.pass || process.env.SMTP_PASS;
+    }
+
+    async createTransporter() {
+        if (!this.host) {
+            throw new Error('SMTP_HOST is not configured');
+        }
+
+        const transporter = nodemailer.createTransport({
+            host: this.host,
+            port: this.port,
+            secure: this.secure,
+            ...(this.user ? { auth: { user: this.user, pass: this.pass } } : {})
+        });
+
+        await transporter.verify();
+        console.log(`✅ SMTP transporter ready (${this.host}:${this.port})`);
+
+        return transporter;
+    }
+}
@@ -1,61 +1,102 @@
 import { google } from 'googleapis';
-import nodemailer from 'nodemailer';
 import { EventBus } from '../../core/event-bus.js';
+import { createConfiguredEmailTransport } from '../email/email-transport.factory.js';
+import { GmailTokenManager } from '../email/gmail-token.manager.js';
+import { GmailMailbox } from '../email/gmail.mailbox.js';
+import { BouncePoller } from '../email/bounce.poller.js';
+import { storage } from '../storage/storage.factory.js';
+import { EncryptionService } from '../../module/security/encryption.service.js';
+import { adminDirectory } from '../../module/admin/admin.directory.js';
+import { emailTemplates } from '../../module/email/template.engine.js';
+import { EmailDeliveryTracker } from '../../module/email/email-delivery.tracker.js';
+import { i18n } from '../../module/i18n/i18n.service.js';
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const REAUTH_ALERT_INTERVAL_MS = 6 * 60 * 60 * 1000; // repeat the re-consent alert at most every 6 hours
 
 export class GmailManager {
-    constructor() {
+    constructor(options = {}) {
         this.oAuth2Client = null;
-        this.transporter = null;
         this.eventBus = EventBus.getInstance();
+        this.storage = options.storage || storage;
+        this.adminDirectory = adminDirectory;
+        this.templates = emailTemplates;
         this.initializeOAuth();
-    }
 
-    initializeOAuth() {
-        this.oAuth2Client = new google.auth.OAuth2(
-            process.env.GOOGLE_CLIENT_ID,
-            process.env.GOOGLE_CLIENT_SECRET,
-            process.env.GOOGLE_REDIRECT_URI
+        this.tokens = options.tokens || new GmailTokenManager(this.storage, new EncryptionService(), options.oauth);
+        this.tokens.on('tokens', ({ access_token, refresh_token, expiry_date }) =>
+            this.oAuth2Client.setCredentials({ access_token, refresh_token, expiry_date })
         );
+        this.tokens.on('invalid_grant', ({ error }) => this.handleInvalidGrant(error));
+
+        this.onFailover = ({ from, to, error }) => this.handleFailover(from, to, error);
+        this.transportPinned = Boolean(options.transport || process.env.EMAIL_TRANSPORT);
+        this.useTransport(options.transport || createConfiguredEmailTransport({ tokens: this.tokens }));
+
+        this.deliveries = options.deliveries || new EmailDeliveryTracker(this.storage, { eventBus: this.eventBus });
+        this.bounces = new BouncePoller(
+            new GmailMailbox(this.oAuth2Client, this.tokens),
+            this.deliveries,
+            this.storage,
+            options.bounces
+        );
+    }
 
-        // Set credentials if available
-        if (process.env.GOOGLE_ACCESS_TOKEN) {
-            this.oAuth2Client.setCredentials({
-                access_token: process.env.GOOGLE_ACCESS_TOKEN,
-                refresh_token: process.env.GOOGLE_REFRESH_TOKEN
-            });
+    // Bounces land in the Gmail mailbox only when Gmail is one of the sending transports
+    async start() {
+        await this.selectTransport();
+        if (this.transport.name.split('>').includes('gmail')) {
+            this.bounces.start();
         }
     }
 
-    async initializeTransporter() {
-        if (this.transporter) return;
-
-        const accessToken = await this.oAuth2Client.getAccessToken();
-
-        this.transporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                type: 'OAuth2',
-                user: process.env.EMAIL_USER,
-                clientId: process.env.GOOGLE_CLIENT_ID,
-                clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-                refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
-                accessToken: accessToken.token
-            }
+    // The constructor can't read storage, so a grant saved by the consent flow (rather than
+    // GOOGLE_REFRESH_TOKEN) only moves the default transport to Gmail once we get here
+    async selectTransport() {
+        if (this.transportPinned || this.transport.name.split('>')[0] === 'gmail') return;
+
+        const stored = await this.tokens.read().catch(error => {
+            console.error('❌ Failed to read stored Gmail tokens:', error.message);
+            return null;
         });
+        if (stored && !stored.invalid) {
+            this.useTransport(createConfiguredEmailTransport({ tokens: this.tokens, hasStoredTokens: true }));
+        }
+    }
+
+    useTransport(transport) {
+        const previous = this.transport;
+        if (previous === transport) return;
+
+        this.transport = transport;
+        this.transport.on('failover', this.onFailover);
+
+        if (previous) {
+            previous.off('failover', this.onFailover);
+            // Nothing sends through it any more; let go of its connections and token listeners
+            previous.close().catch(error => console.error('❌ Failed to close email transport:', error.message));
+        }
+    }
 
-        // Verify connection
-        await this.transporter.verify();
-        console.log('✅ Gmail transporter ready');
+    stop() {
+        this.bounces.stop();
+        this.tokens.stop();
+    }
+
+    initializeOAuth() {
+        this.oAuth2Client = new google.auth.OAuth2(
+            process.env.GOOGLE_CLIENT_ID,
+            process.env.GOOGLE_CLIENT_SECRET,
+            process.env.GOOGLE_REDIRECT_URI
+        );
     }
 
     async sendEmail(emailData) {
         try {
-            await this.initializeTransporter();
-
             const mailOptions = {
                 from: {
                     name: 'ndiidepzX-Ai Security System',
-                    address: process.env.EMAIL_USER
+                    address: process.env.EMAIL_FROM || process.env.EMAIL_USER
                 },
                 to: emailData.to,
                 subject: emailData.subject,
@@ -69,14 +110,22 @@ export class GmailManager {
                 }
             };
 
-            const result = await this.transporter.sendMail(mailOptions);
+            const result = await this.transport.send(mailOptions);
             
             await this.logEmail('SENT', emailData, result);
+            // Only bounce tracking depends on this, so it must not fail a message that went out
+            await this.deliveries.recordSent(result.messageId, {
+                to: emailData.to,
+                subject: emailData.subject,
+                template: emailData.template,
+                sessionId: emailData.sessionId
+            }).catch(error => console.error('❌ Failed to record sent email:', error.message));
             
             return {
                 success: true,
                 messageId: result.messageId,
-                response: result.response
+                response: result.response,
+                transport: result.transport
             };
 
         } catch (error) {
@@ -85,222 +134,79 @@ export class GmailManager {
         }
     }
 
-    async sendOTPEmail(to, otpCode, sessionId) {
-        const emailTemplate = this.generateOTPEmailTemplate(otpCode, sessionId);
-        
-        return await this.sendEmail({
-            to,
-            subject: emailTemplate.subject,
-            html: emailTemplate.html,
-            text: emailTemplate.text
-        });
+    async sendOTPEmail(to, otpCode, sessionId, locale = null) {
+        const email = await this.templates.render('otp', {
+            otpCode,
+            sessionId,
+            expiresAt: i18n.formatDate(locale, Date.now() + OTP_TTL_MS)
+        }, { locale });
+
+        return await this.sendEmail({ to, ...email, sessionId });
     }
 
     async sendSecurityAlert(alertData) {
-        const alertTemplate = this.generateSecurityAlertTemplate(alertData);
-        
-        // Send to admin
-        await this.sendEmail({
-            to: process.env.ADMIN_EMAIL,
-            subject: alertTemplate.subject,
-            html: alertTemplate.html,
-            text: alertTemplate.text
+        const admins = await this.adminDirectory.recipients('email', {
+            severity: alertData.severity || 'high',
+            category: 'security'
         });
 
-        // Send to secondary admin if exists
-        if (process.env.SECONDARY_ADMIN_EMAIL) {
-            await this.sendEmail({
-                to: process.env.SECONDARY_ADMIN_EMAIL,
-                subject: alertTemplate.subject,
-                html: alertTemplate.html,
-                text: alertTemplate.text
-            });
-        }
+        // Rendered per admin so each gets the alert in their own language and date format
+        return await Promise.allSettled(admins.map(async (admin) => {
+            const email = await this.templates.render('security-alert', {
+                type: alertData.type,
+                description: alertData.description,
+                severity: alertData.severity,
+                timestamp: i18n.formatDate(admin.locale, alertData.timestamp),
+                ip: alertData.ip,
+                userAgent: alertData.userAgent
+            }, { locale: admin.locale });
+
+            return await this.sendEmail({ to: admin.email, ...email });
+        }));
     }
 
-    generateOTPEmailTemplate(otpCode, sessionId) {
-        const expirationTime = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-        
-        return {
-            subject: '🔐 ndiidepzX-Ai Verification Code',
-            html: `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <style>
-        .container { 
-            max-width: 600px; 
-            margin: 0 auto; 
-            font-family: Arial, sans-serif; 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            padding: 20px;
-            border-radius: 10px;
-        }
-        .header { 
-            text-align: center; 
-            color: white; 
-            padding: 20px; 
-        }
-        .content { 
-            background: white; 
-            padding: 30px; 
-            border-radius: 10px; 
-            margin: 20px 0; 
-        }
-        .otp-code { 
-            font-size: 48px; 
-            font-weight: bold; 
-            text-align: center; 
-            color: #667eea; 
-            margin: 20px 0; 
-        }
-        .security-note { 
-            background: #fff3cd; 
-            padding: 15px; 
-            border-radius: 5px; 
-            margin: 20px 0; 
-        }
-        .footer { 
-            text-align: center; 
-            color: white; 
-            font-size: 12px; 
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🔐 ndiidepzX-Ai</h1>
-            <p>Super Advanced AI Security System</p>
-        </div>
-        <div class="content">
-            <h2>Verification Code Required</h2>
-            <p>Please use the following code to complete your authentication:</p>
-            
-            <div class="otp-code">${otpCode}</div>
-            
-            <div class="security-note">
-                <strong>Security Notice:</strong>
-                <ul>
-                    <li>This code will expire at ${expirationTime.toLocaleString()}</li>
-                    <li>Session ID: ${sessionId}</li>
-                    <li>If you didn't request this, please ignore this email</li>
-                </ul>
-            </div>
-            
-            <p>For security reasons, do not share this code with anyone.</p>
-        </div>
-        <div class="footer">
-            <p>&copy; 2024 ndiidepzX-Ai Security System. All rights reserved.</p>
-        </div>
-    </div>
-</body>
-</html>
-            `,
-            text: `
-ndiidepzX-Ai Verification Code
-
-Your verification code is: ${otpCode}
-
-This code will expire at: ${expirationTime.toLocaleString()}
+    async sendAdminNotification(subject, text, options = {}) {
+        const admins = await this.adminDirectory.recipients('email', options);
+        const email = await this.templates.render('admin-notification', { title: subject, text });
 
-Session ID: ${sessionId}
+        return await Promise.allSettled(admins.map(admin =>
+            this.sendEmail({ to: admin.email, ...email })
+        ));
+    }
 
-For security reasons, do not share this code with anyone.
+    async handleFailover(from, to, error) {
+        console.warn(`⚠️  Email transport ${from} failed (${error.message}), retrying via ${to}`);
 
-If you didn't request this verification, please ignore this email.
-            `
-        };
+        await this.eventBus.emit('EMAIL_TRANSPORT_FAILOVER', {
+            from,
+            to,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
     }
 
-    generateSecurityAlertTemplate(alertData) {
-        return {
-            subject: `🚨 SECURITY ALERT: ${alertData.type}`,
-            html: `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <style>
-        .alert-container { 
-            max-width: 600px; 
-            margin: 0 auto; 
-            font-family: Arial, sans-serif; 
-            background: linear-gradient(135deg, #ff6b6b 0%, #ee5a24 100%);
-            padding: 20px;
-            border-radius: 10px;
-        }
-        .alert-header { 
-            text-align: center; 
-            color: white; 
-            padding: 20px; 
-        }
-        .alert-content { 
-            background: white; 
-            padding: 30px; 
-            border-radius: 10px; 
-            margin: 20px 0; 
-        }
-        .alert-critical { 
-            background: #ffcccc; 
-            padding: 15px; 
-            border-radius: 5px; 
-            margin: 15px 0; 
+    // Nothing sends through Gmail until an owner consents again, so make sure they hear about it
+    async handleInvalidGrant(error) {
+        if ((await this.storage.incr('gmail:reauth-alerted', REAUTH_ALERT_INTERVAL_MS)) !== 1) {
+            return;
         }
-    </style>
-</head>
-<body>
-    <div class="alert-container">
-        <div class="alert-header">
-            <h1>🚨 SECURITY ALERT</h1>
-            <p>ndiidepzX-Ai Security System</p>
-        </div>
-        <div class="alert-content">
-            <h2>${alertData.type}</h2>
-            
-            <div class="alert-critical">
-                <strong>CRITICAL:</strong> Immediate attention required
-            </div>
-            
-            <table>
-                <tr><td><strong>Description:</strong></td><td>${alertData.description}</td></tr>
-                <tr><td><strong>Severity:</strong></td><td>${alertData.severity}</td></tr>
-                <tr><td><strong>Timestamp:</strong></td><td>${new Date(alertData.timestamp).toLocaleString()}</td></tr>
-                <tr><td><strong>IP Address:</strong></td><td>${alertData.ip || 'N/A'}</td></tr>
-                <tr><td><strong>User Agent:</strong></td><td>${alertData.userAgent || 'N/A'}</td></tr>
-            </table>
-            
-            <h3>Recommended Actions:</h3>
-            <ul>
-                <li>Review system logs immediately</li>
-                <li>Check user activity</li>
-                <li>Verify system integrity</li>
-                <li>Update security protocols if necessary</li>
-            </ul>
-        </div>
-    </div>
-</body>
-</html>
-            `,
-            text: `
-SECURITY ALERT: ${alertData.type}
-
-Description: ${alertData.description}
-Severity: ${alertData.severity}
-Timestamp: ${new Date(alertData.timestamp).toLocaleString()}
-IP Address: ${alertData.ip || 'N/A'}
-User Agent: ${alertData.userAgent || 'N/A'}
-
-CRITICAL: Immediate attention required
-
-Recommended Actions:
-- Review system logs immediately
-- Check user activity
-- Verify system integrity
-- Update security protocols if necessary
-            `
-        };
+
+        const authUrl = await this.getAuthUrl();
+        console.error('❌ Gmail refresh token was revoked; re-consent at', authUrl);
+
+        await this.eventBus.emit('GMAIL_AUTHORIZATION_REQUIRED', {
+            error: error.message,
+            authUrl,
+            timestamp: new Date().toISOString()
+        });
+
+        // Only arrives if a secondary transport is configured, hence the WhatsApp alert as well
+        await this.sendAdminNotification(
+            '🚨 ndiidepzX-Ai Gmail authorization revoked',
+            `Google rejected the Gmail refresh token (${error.message}).\n\n` +
+            `Sign in as the sending account and grant access again:\n${authUrl}`,
+            { severity: 'critical', category: 'availability' }
+        ).catch(() => {});
     }
 
     async logEmail(status, emailData, result = null, error = null) {
@@ -309,6 +215,7 @@ Recommended Actions:
             timestamp: new Date(),
             to: emailData.to,
             subject: emailData.subject,
+            template: emailData.template || null,
             result,
             error: error ? error.message : null
         };
@@ -319,6 +226,8 @@ Recommended Actions:
     async getAuthUrl() {
         return this.oAuth2Client.generateAuthUrl({
             access_type: 'offline',
+            // Without a fresh consent Google won't issue a new refresh token
+            prompt: 'consent',
             scope: [
                 'https://www.googleapis.com/auth/gmail.send',
                 'https://www.googleapis.com/auth/gmail.readonly'
@@ -328,7 +237,16 @@ Recommended Actions:
 
     async setCredentials(code) {
         const { tokens } = await this.oAuth2Client.getToken(code);
-        this.oAuth2Client.setCredentials(tokens);
+        await this.tokens.save(tokens);
+        await this.storage.del('gmail:reauth-alerted');
+        await this.start();
+
+        await this.eventBus.emit('SECURITY_EVENT', {
+            type: 'GMAIL_AUTHORIZED',
+            timestamp: new Date().toISOString(),
+            data: { scope: tokens.scope }
+        });
+
         return tokens;
     }
 }
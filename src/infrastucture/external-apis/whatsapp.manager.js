@@ -1,171 +1,485 @@
-import { Client, LocalAuth } from 'whatsapp-web.js';
+import crypto from 'crypto';
+import os from 'os';
 import qrcode from 'qrcode-terminal';
+import QRCode from 'qrcode';
 import { EventBus } from '../../core/event-bus.js';
+import { createQueue } from '../queue/queue.factory.js';
+import { createMessagingProviders } from '../messaging/messaging.factory.js';
+import { ChannelPreferenceStore } from '../messaging/channel-preference.store.js';
+import { ConnectionSupervisor } from '../messaging/connection.supervisor.js';
+import { gmailManager } from './gmail.manager.js';
+import { InboundGuard } from '../../module/security/inbound-guard.service.js';
+import { ForwardDigest } from '../../module/admin/forward.digest.js';
+import { storage } from '../storage/storage.factory.js';
+import { CommandRegistry } from '../../module/admin/command.registry.js';
+import { registerAdminCommands } from '../../module/admin/admin.commands.js';
+import { adminDirectory } from '../../module/admin/admin.directory.js';
+import { phoneNumbers } from '../../module/phone/phone-number.service.js';
+import { i18n } from '../../module/i18n/i18n.service.js';
+import { ChatService } from '../../module/chat/chat.service.js';
+import { createChatModel } from '../../module/chat/chat-model.factory.js';
+
+const MAX_SEND_ATTEMPTS = 8;
+const RETRY_BACKOFF_MS = 10 * 1000; // 10s, 20s, 40s ... about 20 minutes in total
+const OTP_MESSAGE_TTL_MS = 10 * 60 * 1000; // an OTP is useless once it expires
+const OTP_VALID_MINUTES = 10;
+const DEAD_LETTER_KEY = 'whatsapp:dead-letter';
+const MAX_DEAD_LETTERS = 200;
+const ALERTS_KEY = 'admin:alerts';
+const CONNECTION_KEY = 'whatsapp:connection';
+const QR_TTL_MS = 60 * 1000; // WhatsApp rotates the pairing QR well within a minute
+const MAX_ALERTS = 50;
+const CHAT_CHUNK_LENGTH = 1500; // long replies are split so each bubble stays readable
+const TYPING_REFRESH_MS = 20 * 1000; // WhatsApp drops the typing state after ~25s
+const ADMIN_CHANNELS = ['whatsapp', 'telegram'];
+const PHONE_CHANNELS = ['whatsapp', 'sms']; // channels where the sender ID is a phone number
+const DIGEST_CHECK_MS = 60 * 1000; // how often to look for a closed digest period
 
 export class WhatsAppManager {
-    constructor() {
-        this.client = null;
+    constructor(options = {}) {
         this.isConnected = false;
         this.eventBus = EventBus.getInstance();
-        this.messageQueue = [];
-        this.adminNumbers = [
-            '6285800650661' // ndiidepzX number
-        ];
-        this.botNumber = '6287717274346'; // Bot number
-        
-        this.initializeClient();
-    }
-
-    initializeClient() {
-        this.client = new Client({
-            authStrategy: new LocalAuth(),
-            puppeteer: {
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            },
-            webVersionCache: {
-                type: 'remote',
-                remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html'
-            }
+        this.storage = storage;
+        this.outbound = createQueue('whatsapp-outbound', {
+            attempts: MAX_SEND_ATTEMPTS,
+            backoffMs: RETRY_BACKOFF_MS
+        });
+        this.outbound.process((job) => this.deliverQueuedMessage(job));
+        this.outbound.onDeadLetter((job, error) => this.recordDeadLetter(job, error));
+        this.adminDirectory = adminDirectory;
+        this.botNumber = process.env.WHATSAPP_BOT_NUMBER || null;
+        this.authService = null;
+        this.preferences = new ChannelPreferenceStore(this.storage);
+        this.guard = new InboundGuard(this.storage, { eventBus: this.eventBus });
+        this.forwardDigest = new ForwardDigest(this.storage);
+        this.digestTimer = null;
+        this.chat = new ChatService(this.storage, createChatModel());
+        this.commands = new CommandRegistry({
+            storage: this.storage,
+            eventBus: this.eventBus,
+            reply: (to, text) => this.sendMessage(to, text),
+            getRole: (from) => this.getAdminRole(from)
         });
+        registerAdminCommands(this.commands, this);
+
+        this.email = options.email || gmailManager;
+
+        this.providers = options.providers || createMessagingProviders();
+        for (const provider of Object.values(this.providers)) {
+            this.setupEventHandlers(provider);
+        }
+
+        this.supervisor = new ConnectionSupervisor(this.providers.whatsapp, options.supervisor);
+        this.setupSupervisor();
 
-        this.setupEventHandlers();
+        this.eventBus.on('GMAIL_AUTHORIZATION_REQUIRED', (payload) => this.alertGmailUnauthorized(payload));
     }
 
-    setupEventHandlers() {
-        this.client.on('qr', (qr) => {
-            console.log('📱 WhatsApp QR Code received:');
-            qrcode.generate(qr, { small: true });
-            
-            // Send QR code to admin via other means if needed
-            this.eventBus.emit('WHATSAPP_QR_GENERATED', { qr });
+    setupSupervisor() {
+        this.supervisor.on('state', (snapshot) => {
+            this.updateConnection({ supervisor: snapshot })
+                .catch(error => console.error('❌ Failed to record WhatsApp supervisor state:', error));
         });
 
-        this.client.on('ready', () => {
-            console.log('✅ WhatsApp Client is ready!');
-            this.isConnected = true;
-            this.processMessageQueue();
-            
-            this.eventBus.emit('WHATSAPP_READY');
+        this.supervisor.on('hung', ({ timeoutMs }) => {
+            console.error(`⏱️  WhatsApp client did not become ready within ${Math.round(timeoutMs / 1000)}s, restarting...`);
         });
 
-        this.client.on('authenticated', () => {
-            console.log('🔐 WhatsApp Client authenticated!');
-            this.eventBus.emit('WHATSAPP_AUTHENTICATED');
+        this.supervisor.on('down', (outage) => this.alertWhatsAppDown(outage));
+        this.supervisor.on('recovered', (recovery) => this.alertWhatsAppRecovered(recovery));
+    }
+
+    // WhatsApp is the thing that's down, so admins hear about it by email
+    async alertWhatsAppDown({ since, attempts, lastError }) {
+        const queue = await this.outbound.counts();
+        const text = `WhatsApp has been disconnected since ${i18n.formatDate('en', since)}.\n\n` +
+                     `Reconnect attempts: ${attempts}\n` +
+                     `Last error: ${lastError ? lastError.message : 'unknown'}\n` +
+                     `Queued messages: ${queue.waiting + queue.delayed + queue.active}\n\n` +
+                     'OTP codes are being sent by email until it recovers. ' +
+                     'If it needs re-pairing, use the WhatsApp page in the admin console.';
+
+        await this.email.sendAdminNotification('🚨 ndiidepzX-Ai WhatsApp is down', text, {
+            severity: 'high',
+            category: 'availability'
+        }).catch(error => console.error('❌ Failed to send WhatsApp outage alert:', error));
+    }
+
+    async alertWhatsAppRecovered({ downtimeMs }) {
+        const text = `WhatsApp reconnected after ${Math.round(downtimeMs / 60000)} minutes down. ` +
+                     'Queued messages are being delivered.';
+
+        await this.email.sendAdminNotification('✅ ndiidepzX-Ai WhatsApp recovered', text, {
+            severity: 'high',
+            category: 'availability'
+        }).catch(error => console.error('❌ Failed to send WhatsApp recovery notice:', error));
+    }
+
+    // Likewise, email can't carry news of its own broken authorization
+    async alertGmailUnauthorized({ error, authUrl }) {
+        await this.sendAdminNotification(
+            `📧 *Gmail authorization revoked*\n\n` +
+            `Emails (including OTP codes) can't be sent through Gmail: ${error}\n\n` +
+            `Sign in as the sending account and grant access again:\n${authUrl}`,
+            { severity: 'critical', category: 'availability' }
+        ).catch(err => console.error('❌ Failed to send Gmail authorization alert:', err));
+    }
+
+    setupEventHandlers(provider) {
+        provider.on('status', (status) => this.handleProviderStatus(status));
+
+        provider.on('message', async (message) => {
+            await this.handleIncomingMessage(message);
         });
 
-        this.client.on('auth_failure', (error) => {
-            console.error('❌ WhatsApp authentication failed:', error);
-            this.isConnected = false;
-            this.eventBus.emit('WHATSAPP_AUTH_FAILED', { error });
+        provider.on('delivery', async (receipt) => {
+            await this.logMessage('DELIVERY', receipt);
         });
 
-        this.client.on('disconnected', (reason) => {
-            console.log('🔌 WhatsApp client disconnected:', reason);
-            this.isConnected = false;
-            this.eventBus.emit('WHATSAPP_DISCONNECTED', { reason });
+        if (provider.channel === 'whatsapp') {
+            provider.on('qr', async (qr) => {
+                console.log('📱 WhatsApp QR Code received:');
+                qrcode.generate(qr, { small: true });
+
+                this.eventBus.emit('WHATSAPP_QR_GENERATED', { qr });
+
+                // Kept in shared storage so the admin page can pair from any worker
+                await this.updateConnection({
+                    state: 'qr',
+                    qr: await QRCode.toDataURL(qr),
+                    qrExpiresAt: new Date(Date.now() + QR_TTL_MS).toISOString()
+                }).catch(error => console.error('❌ Failed to publish WhatsApp QR:', error));
+            });
+        }
+    }
+
+    handleProviderStatus({ channel, state, ...detail }) {
+        this.eventBus.emit('MESSAGING_STATUS', { channel, state, ...detail });
+
+        if (state === 'ready') {
+            this.processMessageQueue()
+                .catch(error => console.error(`❌ Failed to retry queued ${channel} messages:`, error));
+        }
+        if (channel !== 'whatsapp') {
+            console.log(`📡 ${channel} provider is ${state}`);
+            return;
+        }
+
+        // The QR event already published its own state
+        if (state !== 'qr') {
+            const error = detail.error || (state === 'disconnected' ? detail.reason : null);
+            this.updateConnection({
+                state,
+                qr: null,
+                qrExpiresAt: null,
+                ...(error ? { lastError: { message: String(error), at: new Date().toISOString() } } : {})
+            }).catch(error => console.error('❌ Failed to record WhatsApp state:', error));
+        }
+
+        switch (state) {
+            case 'ready':
+                console.log('✅ WhatsApp Client is ready!');
+                this.isConnected = true;
+                this.eventBus.emit('WHATSAPP_READY');
+                break;
+            case 'authenticated':
+                console.log('🔐 WhatsApp Client authenticated!');
+                this.eventBus.emit('WHATSAPP_AUTHENTICATED');
+                break;
+            case 'auth_failure':
+                console.error('❌ WhatsApp authentication failed:', detail.error);
+                this.isConnected = false;
+                this.eventBus.emit('WHATSAPP_AUTH_FAILED', { error: detail.error });
+                break;
+            case 'disconnected':
+                console.log('🔌 WhatsApp client disconnected:', detail.reason);
+                this.isConnected = false;
+                this.eventBus.emit('WHATSAPP_DISCONNECTED', { reason: detail.reason });
+                break;
+        }
+    }
+
+    getProvider(channel = 'whatsapp') {
+        const provider = this.providers[channel];
+        if (!provider) {
+            throw new Error(`Messaging channel not configured: ${channel}`);
+        }
+        return provider;
+    }
+
+    async getConnection() {
+        return (await this.storage.get(CONNECTION_KEY)) || {
+            state: 'disconnected',
+            qr: null,
+            qrExpiresAt: null,
+            lastError: null,
+            updatedAt: null
+        };
+    }
+
+    async updateConnection(changes) {
+        const connection = {
+            ...(await this.getConnection()),
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.storage.set(CONNECTION_KEY, connection);
+        await this.eventBus.emit('WHATSAPP_CONNECTION_UPDATED', connection);
+
+        return connection;
+    }
+
+    async getConnectionStatus() {
+        const connection = await this.getConnection();
+        const queue = await this.outbound.counts();
+        const deadLetters = await this.getDeadLetters();
+
+        return {
+            ...connection,
+            // A QR past its lifetime can no longer be scanned
+            qr: connection.qrExpiresAt && new Date(connection.qrExpiresAt) > new Date() ? connection.qr : null,
+            provider: this.getProvider('whatsapp').constructor.name,
+            queue: {
+                ...queue,
+                deadLetters: deadLetters.length
+            }
+        };
+    }
+
+    async logoutWhatsApp(requestedBy) {
+        // Stay logged out instead of reconnecting straight into a new pairing QR
+        await this.supervisor.stop();
+        await this.getProvider('whatsapp').logout();
+        await this.auditConnectionAction('WHATSAPP_LOGOUT', requestedBy);
+        return { success: true };
+    }
+
+    async repairWhatsApp(requestedBy) {
+        await this.auditConnectionAction('WHATSAPP_REPAIR', requestedBy);
+
+        // Don't hold the request open while a browser relaunches; progress arrives over the socket
+        this.repairSession().catch(async (error) => {
+            console.error('❌ WhatsApp re-pair failed:', error);
+            await this.updateConnection({
+                lastError: { message: error.message, at: new Date().toISOString() }
+            }).catch(() => {});
         });
 
-        this.client.on('message', async (message) => {
-            await this.handleIncomingMessage(message);
+        return { success: true };
+    }
+
+    async repairSession() {
+        await this.supervisor.stop();
+        await this.getProvider('whatsapp').logout();
+        await this.supervisor.start();
+    }
+
+    async auditConnectionAction(type, requestedBy) {
+        await this.eventBus.emit('SECURITY_EVENT', {
+            type,
+            timestamp: new Date().toISOString(),
+            data: { requestedBy }
         });
     }
 
+    setAuthService(authService) {
+        this.authService = authService;
+    }
+
     async start() {
+        console.log('🚀 Starting messaging providers...');
+
+        // WhatsApp retries on its own schedule; a failed first attempt isn't fatal
+        await this.supervisor.start();
+
+        if (!this.digestTimer) {
+            this.digestTimer = setInterval(() => this.sendForwardDigest(), DIGEST_CHECK_MS);
+        }
+
+        for (const [channel, provider] of Object.entries(this.providers)) {
+            if (channel === 'whatsapp') continue;
+            try {
+                await provider.start();
+            } catch (error) {
+                console.error(`❌ Failed to start ${channel} provider:`, error);
+            }
+        }
+
+        // Email carries OTPs while WhatsApp is down; starting it settles the transport and polls for bounces
         try {
-            console.log('🚀 Starting WhatsApp client...');
-            await this.client.initialize();
+            await this.email.start();
         } catch (error) {
-            console.error('❌ Failed to start WhatsApp client:', error);
-            throw error;
+            console.error('❌ Failed to start email:', error);
         }
     }
 
     async sendMessage(to, content, options = {}) {
+        const { type = 'message', expiresAt = null, channel = 'whatsapp', ...sendOptions } = options;
+        const provider = this.getProvider(channel);
         const messageData = {
-            to: this.formatNumber(to),
+            id: crypto.randomUUID(),
+            channel,
+            to: provider.normalizeAddress(to),
             content,
+            type,
             timestamp: new Date(),
-            options
+            expiresAt,
+            options: sendOptions
         };
 
-        if (!this.isConnected) {
-            console.log('⏳ WhatsApp not connected, queuing message...');
-            this.messageQueue.push(messageData);
-            return { queued: true, timestamp: messageData.timestamp };
+        if (!provider.isReady()) {
+            console.log(`⏳ ${channel} not connected, queuing message...`);
+            await this.enqueueMessage(messageData);
+            return { queued: true, id: messageData.id, timestamp: messageData.timestamp };
         }
 
         try {
-            const result = await this.client.sendMessage(messageData.to, messageData.content, messageData.options);
+            const result = await provider.send(messageData.to, messageData.content, messageData.options);
             
             await this.logMessage('OUTGOING', messageData, result);
             
             return {
                 success: true,
-                messageId: result.id._serialized,
+                channel,
+                messageId: result.messageId,
                 timestamp: result.timestamp
             };
         } catch (error) {
-            console.error('❌ Failed to send WhatsApp message:', error);
-            
-            // Queue for retry
-            this.messageQueue.push(messageData);
+            console.error(`❌ Failed to send ${channel} message:`, error);
+
+            if (channel === 'whatsapp') {
+                await this.updateConnection({
+                    lastError: { message: error.message, at: new Date().toISOString() }
+                }).catch(() => {});
+            }
             
             await this.logMessage('FAILED', messageData, null, error);
-            
-            throw error;
+
+            // The queue owns the retry from here, so the caller sees the same result as a send while offline
+            await this.enqueueMessage(messageData);
+            return { queued: true, id: messageData.id, timestamp: messageData.timestamp, error: error.message };
         }
     }
 
-    async sendOTP(to, otpCode) {
-        const message = `🔐 *ndiidepzX-Ai Verification*\n\n` +
-                      `Your verification code is: *${otpCode}*\n\n` +
-                      `This code will expire in 10 minutes.\n\n` +
-                      `_If you didn't request this, please ignore this message._`;
+    // Reaches a user on the channel they chose, falling back to WhatsApp
+    async sendToUser(phone, content, options = {}) {
+        const { channel, address } = await this.resolveRecipient(phone);
+        return await this.sendMessage(address, content, { ...options, channel });
+    }
+
+    async resolveRecipient(phone) {
+        const preference = phoneNumbers.isValid(phone)
+            ? await this.preferences.get(phoneNumbers.normalize(phone))
+            : null;
 
-        return await this.sendMessage(to, message);
+        // A preference for a channel this deployment doesn't run is ignored rather than failing the send
+        if (preference && this.providers[preference.channel]) {
+            return preference;
+        }
+        return { channel: 'whatsapp', address: phone };
     }
 
-    async sendAdminNotification(message, priority = 'normal') {
-        const adminMessage = `🚨 *ndiidepzX-Ai Admin Alert* 🚨\n\n${message}\n\n` +
-                           `_Timestamp: ${new Date().toLocaleString()}_`;
+    // Whether a message to this user would go out now rather than wait in the queue
+    async canDeliver(phone) {
+        const { channel } = await this.resolveRecipient(phone);
+        return this.getProvider(channel).isReady();
+    }
 
-        const promises = this.adminNumbers.map(adminNumber => 
-            this.sendMessage(adminNumber, adminMessage, { priority })
-        );
+    async sendOTP(to, otpCode, { locale } = {}) {
+        const message = i18n.t(locale, 'otp.whatsapp', {
+            code: otpCode,
+            expiry: i18n.t(locale, 'common.expiresInMinutes', { count: OTP_VALID_MINUTES })
+        });
+
+        return await this.sendToUser(to, message, {
+            type: 'otp',
+            expiresAt: new Date(Date.now() + OTP_MESSAGE_TTL_MS).toISOString()
+        });
+    }
+
+    async sendAdminNotification(message, options = {}) {
+        const sentAt = new Date();
+
+        const promises = [];
+        for (const channel of ADMIN_CHANNELS.filter(name => this.providers[name])) {
+            const admins = await this.adminDirectory.recipients(channel, options);
+            promises.push(...admins.map(admin => {
+                // The timestamp follows the admin's own locale; the alert itself stays in English
+                const adminMessage = `🚨 *ndiidepzX-Ai Admin Alert* 🚨\n\n${message}\n\n` +
+                                   `_Timestamp: ${i18n.formatDate(admin.locale || 'en', sentAt)}_`;
+                return this.sendMessage(admin[channel], adminMessage, { channel });
+            }));
+        }
 
         return await Promise.allSettled(promises);
     }
 
     async sendSystemAlert(alertData) {
+        const alerts = await this.getRecentAlerts();
+        await this.storage.set(ALERTS_KEY, [...alerts, {
+            type: alertData.type,
+            severity: alertData.severity,
+            description: alertData.description,
+            timestamp: alertData.timestamp || new Date().toISOString()
+        }].slice(-MAX_ALERTS));
+
         const alertMessage = this.formatSystemAlert(alertData);
-        return await this.sendAdminNotification(alertMessage, 'high');
+        return await this.sendAdminNotification(alertMessage, {
+            severity: alertData.severity || 'high',
+            category: 'security'
+        });
     }
 
     async handleIncomingMessage(message) {
         try {
             // Log all incoming messages
             await this.logMessage('INCOMING', {
+                channel: message.channel,
                 from: message.from,
                 content: message.body,
                 timestamp: message.timestamp
             });
 
-            // Check if message is from admin
-            if (this.isAdminMessage(message.from)) {
+            // Admin commands are only taken from numbers on the WhatsApp roster
+            if (message.channel === 'whatsapp' && await this.isAdminMessage(message.from)) {
                 await this.handleAdminCommand(message);
                 return;
             }
 
+            // Everyone else goes through rate limits, block/allow lists and mutes first
+            const decision = await this.guard.inspect(message, {
+                otp: await this.isOTPResponse(message) || this.isChannelLinkRequest(message)
+            });
+            if (decision.action === 'mute') {
+                await this.sendMuteNotice(message, decision.mutedUntil).catch(() => {});
+            }
+            if (decision.action !== 'allow') {
+                return;
+            }
+
+            // Users linking a chat ID-based channel (e.g. Telegram) to their account
+            if (this.isChannelLinkRequest(message)) {
+                await this.handleChannelLinkRequest(message);
+                return;
+            }
+
             // Handle OTP responses
             if (await this.isOTPResponse(message)) {
                 await this.handleOTPResponse(message);
                 return;
             }
 
-            // Forward important messages to admin
+            // Verified users chat with the assistant
+            const chatUser = await this.getChatUser(message);
+            if (chatUser) {
+                await this.handleUserMessage(message, chatUser);
+                return;
+            }
+
+            // Important messages are batched into the admin digest
             if (await this.isImportantMessage(message)) {
-                await this.forwardToAdmin(message);
+                await this.forwardToAdmin(message, decision.sender);
             }
 
         } catch (error) {
@@ -174,87 +488,261 @@ export class WhatsAppManager {
         }
     }
 
-    async handleAdminCommand(message) {
-        const command = message.body.toLowerCase().trim();
-        
-        switch (command) {
-            case '/status':
-                await this.sendStatusUpdate(message.from);
-                break;
-            case '/stats':
-                await this.sendSystemStats(message.from);
-                break;
-            case '/restart':
-                await this.sendMessage(message.from, '🔄 Restarting system...');
-                // Implement restart logic
-                break;
-            default:
-                await this.sendMessage(message.from, '❌ Unknown command. Available: /status, /stats, /restart');
+    async getChatUser(message) {
+        if (!this.authService) return null;
+
+        const phone = PHONE_CHANNELS.includes(message.channel)
+            ? message.from
+            : await this.preferences.findPhone(message.channel, message.from);
+        if (!phone) return null;
+
+        return await this.authService.findVerifiedWhatsAppUser(phone);
+    }
+
+    async sendMuteNotice(message, mutedUntil) {
+        const user = await this.getChatUser(message);
+        const locale = user && user.locale;
+
+        await this.reply(message, i18n.t(locale, 'chat.muted', { until: i18n.formatDate(locale, mutedUntil) }));
+    }
+
+    async reply(message, text) {
+        return await this.sendMessage(message.from, text, { channel: message.channel });
+    }
+
+    async handleUserMessage(message, user) {
+        const text = message.body.trim();
+        const conversationId = user.phone;
+        const locale = user.locale;
+
+        switch (text.toLowerCase()) {
+            case '/reset':
+                await this.chat.reset(conversationId);
+                await this.reply(message, i18n.t(locale, 'chat.reset'));
+                return;
+            case '/help':
+                await this.reply(message, i18n.t(locale, 'chat.help', {
+                    remaining: i18n.t(locale, 'chat.remaining', {
+                        count: await this.chat.remainingQuota(conversationId)
+                    })
+                }));
+                return;
         }
+
+        if (!text) return;
+
+        const provider = this.getProvider(message.channel);
+        await provider.startTyping(message.from).catch(() => {});
+        const typing = setInterval(() => provider.startTyping(message.from).catch(() => {}), TYPING_REFRESH_MS);
+
+        try {
+            const answer = await this.chat.reply(conversationId, text);
+
+            // Send chunks in order so the reply reads top to bottom
+            for (const chunk of this.splitMessage(answer)) {
+                await this.reply(message, chunk);
+            }
+        } catch (error) {
+            if (error.code === 'CHAT_QUOTA_EXCEEDED') {
+                await this.reply(message, i18n.t(locale, 'chat.quotaExceeded'));
+            } else {
+                console.error('❌ AI chat failed:', error);
+                await this.reply(message, i18n.t(locale, 'chat.unavailable'));
+            }
+        } finally {
+            clearInterval(typing);
+            await provider.stopTyping(message.from).catch(() => {});
+        }
+    }
+
+    splitMessage(text, limit = CHAT_CHUNK_LENGTH) {
+        const chunks = [];
+        let remaining = text.trim();
+
+        while (remaining.length > limit) {
+            // Prefer paragraph, then line, then sentence, then word boundaries
+            const window = remaining.slice(0, limit);
+            let cut = window.lastIndexOf('\n\n');
+            if (cut < limit / 2) cut = window.lastIndexOf('\n');
+            if (cut < limit / 2) cut = window.lastIndexOf('. ') + 1;
+            if (cut < limit / 2) cut = window.lastIndexOf(' ');
+            if (cut <= 0) cut = limit;
+
+            chunks.push(remaining.slice(0, cut).trim());
+            remaining = remaining.slice(cut).trim();
+        }
+
+        if (remaining) chunks.push(remaining);
+        return chunks;
+    }
+
+    async handleAdminCommand(message) {
+        await this.commands.execute(message.from, message.body);
+    }
+
+    async getAdminRole(from) {
+        const admin = await this.adminDirectory.findByWhatsApp(from, (number) => this.safeFormatNumber(number));
+        return admin ? admin.role : null;
+    }
+
+    async getRecentAlerts() {
+        return (await this.storage.get(ALERTS_KEY)) || [];
+    }
+
+    requestRollingRestart(requestedBy) {
+        if (typeof process.send !== 'function') return false;
+
+        process.send({ type: 'ROLLING_RESTART', data: { requestedBy } });
+        return true;
     }
 
     async sendStatusUpdate(to) {
+        const queue = await this.outbound.counts();
         const statusMessage = `📊 *System Status*\n\n` +
                             `✅ WhatsApp: ${this.isConnected ? 'Connected' : 'Disconnected'}\n` +
-                            `📨 Queued Messages: ${this.messageQueue.length}\n` +
+                            Object.entries(this.providers)
+                                .filter(([channel]) => channel !== 'whatsapp')
+                                .map(([channel, provider]) => `📡 ${channel}: ${provider.state}\n`)
+                                .join('') +
+                            `📨 Queued Messages: ${queue.waiting + queue.delayed + queue.active}\n` +
                             `🕒 Uptime: ${process.uptime().toFixed(0)}s\n` +
                             `💾 Memory: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)}MB`;
 
         await this.sendMessage(to, statusMessage);
     }
 
+    async sendSystemStats(to) {
+        const memory = process.memoryUsage();
+        const [load1, load5, load15] = os.loadavg();
+        const queue = await this.outbound.counts();
+        const deadLetters = await this.getDeadLetters();
+
+        const statsMessage = `📈 *System Stats*\n\n` +
+                           `🖥️ Host: ${os.hostname()} (${os.cpus().length} CPUs)\n` +
+                           `⚙️ Load: ${load1.toFixed(2)} / ${load5.toFixed(2)} / ${load15.toFixed(2)}\n` +
+                           `💾 Heap: ${(memory.heapUsed / 1024 / 1024).toFixed(2)}MB / ${(memory.heapTotal / 1024 / 1024).toFixed(2)}MB\n` +
+                           `📦 RSS: ${(memory.rss / 1024 / 1024).toFixed(2)}MB\n` +
+                           `🕒 Uptime: ${process.uptime().toFixed(0)}s\n` +
+                           `👷 Worker: ${process.env.WORKER_ID || 'primary'} (PID ${process.pid})\n` +
+                           `📨 Queue: ${queue.waiting} waiting, ${queue.delayed} retrying, ${deadLetters.length} dead`;
+
+        await this.sendMessage(to, statsMessage);
+    }
+
     async processMessageQueue() {
-        if (this.messageQueue.length === 0 || !this.isConnected) return;
+        // Retry everything now instead of waiting out the backoff
+        const counts = await this.outbound.counts();
+        if (counts.delayed > 0) {
+            console.log(`🔄 Retrying ${counts.delayed} queued messages...`);
+            await this.outbound.promote();
+        }
+    }
 
-        console.log(`🔄 Processing ${this.messageQueue.length} queued messages...`);
+    async enqueueMessage(messageData) {
+        await this.outbound.add({
+            ...messageData,
+            timestamp: new Date(messageData.timestamp).toISOString()
+        }, { jobId: messageData.id });
+    }
 
-        const successfulMessages = [];
-        const failedMessages = [];
+    async deliverQueuedMessage(job) {
+        const messageData = job.data;
 
-        for (const messageData of this.messageQueue) {
-            try {
-                await this.sendMessage(messageData.to, messageData.content, messageData.options);
-                successfulMessages.push(messageData);
-            } catch (error) {
-                failedMessages.push(messageData);
-            }
+        if (messageData.expiresAt && new Date(messageData.expiresAt) <= new Date()) {
+            const error = new Error('Message expired before delivery');
+            error.retryable = false;
+            throw error;
+        }
+
+        // Jobs queued before channels existed were all WhatsApp
+        const channel = messageData.channel || 'whatsapp';
+        const provider = this.getProvider(channel);
+        if (!provider.isReady()) {
+            throw new Error(`${channel} not connected`);
         }
 
-        // Update queue
-        this.messageQueue = failedMessages;
+        // Deliver straight through the provider; going via sendMessage would re-queue on failure
+        const result = await provider.send(messageData.to, messageData.content, messageData.options);
+        await this.logMessage('OUTGOING', messageData, result);
+    }
+
+    async recordDeadLetter(job, error) {
+        const messageData = job.data;
+        const entry = {
+            id: messageData.id,
+            channel: messageData.channel || 'whatsapp',
+            to: messageData.to,
+            type: messageData.type,
+            // Codes are never kept once they can no longer be delivered
+            content: messageData.type === 'otp' ? '[redacted]' : messageData.content,
+            options: messageData.options,
+            reason: error.message,
+            attemptsMade: job.attemptsMade,
+            createdAt: messageData.timestamp,
+            failedAt: new Date().toISOString()
+        };
+
+        const deadLetters = await this.getDeadLetters();
+        await this.storage.set(DEAD_LETTER_KEY, [...deadLetters, entry].slice(-MAX_DEAD_LETTERS));
+
+        console.log(`☠️  WhatsApp message ${entry.id} moved to dead-letter: ${entry.reason}`);
+        await this.logMessage('DEAD_LETTER', entry, null, error);
+    }
+
+    async getDeadLetters() {
+        return (await this.storage.get(DEAD_LETTER_KEY)) || [];
+    }
 
-        if (successfulMessages.length > 0) {
-            console.log(`✅ Successfully sent ${successfulMessages.length} queued messages`);
+    async replayDeadLetter(id) {
+        const deadLetters = await this.getDeadLetters();
+        const entry = deadLetters.find(item => item.id === id);
+        if (!entry) {
+            throw new Error('Dead-letter message not found');
         }
-        if (failedMessages.length > 0) {
-            console.log(`❌ ${failedMessages.length} messages failed to send`);
+        if (entry.type === 'otp') {
+            throw new Error('Expired OTP messages cannot be replayed');
         }
+
+        await this.storage.set(DEAD_LETTER_KEY, deadLetters.filter(item => item.id !== id));
+
+        const messageData = {
+            ...entry,
+            id: crypto.randomUUID(),
+            timestamp: new Date(),
+            expiresAt: null
+        };
+        await this.enqueueMessage(messageData);
+
+        return { replayed: true, id: messageData.id };
     }
 
     formatSystemAlert(alertData) {
         return `🚨 *${alertData.type.toUpperCase()}* 🚨\n\n` +
                `*Description:* ${alertData.description}\n` +
                `*Severity:* ${alertData.severity}\n` +
-               `*Timestamp:* ${new Date(alertData.timestamp).toLocaleString()}\n` +
+               `*Timestamp:* ${i18n.formatDate('en', alertData.timestamp)}\n` +
                `*Details:* ${alertData.details || 'No additional details'}`;
     }
 
     formatNumber(number) {
-        // Ensure number is in international format
-        let formatted = number.replace(/\D/g, '');
-        if (!formatted.startsWith('62') && formatted.startsWith('0')) {
-            formatted = '62' + formatted.substring(1);
+        // E.164 via the shared parser, then WhatsApp's chat ID format
+        return phoneNumbers.toWhatsAppId(number);
+    }
+
+    safeFormatNumber(number) {
+        try {
+            return this.formatNumber(number);
+        } catch (error) {
+            return null;
         }
-        return formatted + '@c.us';
     }
 
-    isAdminNumber(number) {
-        const cleanNumber = this.formatNumber(number);
-        return this.adminNumbers.some(admin => this.formatNumber(admin) === cleanNumber);
+    async isAdminNumber(number) {
+        return (await this.getAdminRole(number)) !== null;
     }
 
-    isAdminMessage(from) {
-        return this.isAdminNumber(from);
+    async isAdminMessage(from) {
+        return await this.isAdminNumber(from);
     }
 
     async logMessage(direction, messageData, result = null, error = null) {
@@ -271,8 +759,8 @@ export class WhatsAppManager {
 
     // Utility methods for message analysis
     async isOTPResponse(message) {
-        // Implement OTP response detection logic
-        return /^\d{6}$/.test(message.body.trim());
+        // Reverse OTP proves possession of a phone number, so only phone-addressed channels count
+        return PHONE_CHANNELS.includes(message.channel) && /^\d{6}$/.test(message.body.trim());
     }
 
     async isImportantMessage(message) {
@@ -287,19 +775,45 @@ export class WhatsAppManager {
         // Implement OTP response handling
         const otpCode = message.body.trim();
         await this.eventBus.emit('WHATSAPP_OTP_RECEIVED', {
+            channel: message.channel,
             from: message.from,
             otpCode,
             timestamp: new Date()
         });
     }
 
-    async forwardToAdmin(message) {
-        const forwardMessage = `📩 *Forwarded Message*\n\n` +
-                             `*From:* ${message.from}\n` +
-                             `*Content:* ${message.body}\n` +
-                             `*Time:* ${new Date(message.timestamp * 1000).toLocaleString()}`;
+    isChannelLinkRequest(message) {
+        return !PHONE_CHANNELS.includes(message.channel) && /^\/start\s+[A-Za-z0-9_-]{22}$/.test(message.body.trim());
+    }
 
-        await this.sendAdminNotification(forwardMessage);
+    async handleChannelLinkRequest(message) {
+        const code = message.body.trim().split(/\s+/)[1];
+        await this.eventBus.emit('MESSAGING_LINK_RECEIVED', {
+            channel: message.channel,
+            from: message.from,
+            code,
+            timestamp: new Date()
+        });
+    }
+
+    async forwardToAdmin(message, sender) {
+        await this.forwardDigest.add({
+            sender,
+            channel: message.channel,
+            body: message.body,
+            timestamp: message.timestamp
+        });
+    }
+
+    async sendForwardDigest() {
+        try {
+            const digest = await this.forwardDigest.flush();
+            if (digest) {
+                await this.sendAdminNotification(digest, { category: 'forward' });
+            }
+        } catch (error) {
+            console.error('❌ Failed to send forwarded-message digest:', error);
+        }
     }
 }
 
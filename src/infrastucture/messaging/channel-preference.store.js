@@ -0,0 +1,46 @@
+import { storage as sharedStorage } from '../storage/storage.factory.js';
+
+// Which channel each user wants to be reached on, keyed by their E.164 number,
+// plus the reverse mapping so inbound messages can be traced back to the user
+export class ChannelPreferenceStore {
+    constructor(storage = sharedStorage) {
+        this.storage = storage;
+    }
+
+    async get(phone) {
+        return await this.storage.get(this.preferenceKey(phone));
+    }
+
+    async set(phone, channel, address) {
+        const previous = await this.get(phone);
+        if (previous) {
+            await this.storage.del(this.addressKey(previous.channel, previous.address));
+        }
+
+        const preference = { channel, address: String(address), updatedAt: new Date().toISOString() };
+        await this.storage.set(this.preferenceKey(phone), preference);
+        await this.storage.set(this.addressKey(channel, preference.address), phone);
+
+        return preference;
+    }
+
+    async clear(phone) {
+        const previous = await this.get(phone);
+        if (!previous) return false;
+
+        await this.storage.del(this.addressKey(previous.channel, previous.address));
+        return await this.storage.del(this.preferenceKey(phone));
+    }
+
+    async findPhone(channel, address) {
+        return await this.storage.get(this.addressKey(channel, String(address)));
+    }
+
+    preferenceKey(phone) {
+        return `messaging-preference:${phone}`;
+    }
+
+    addressKey(channel, address) {
+        return `messaging-address:${channel}:${address}`;
+    }
+}
@@ -0,0 +1,200 @@
+import { EventEmitter } from 'events';
+
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const READY_TIMEOUT_MS = 2 * 60 * 1000; // a browser that hasn't reached ready by now is hung
+const STOP_TIMEOUT_MS = 15 * 1000;
+const DOWN_ALERT_MS = 10 * 60 * 1000;
+
+// Keeps a provider connected. States:
+//   stopped -> starting -> (pairing ->) ready
+//   any non-stopped state -> backoff -> starting  on disconnect, auth failure, start error or hang
+// Emits 'state' on every transition, 'down' once an outage outlasts downAlertMs and 'recovered' after it.
+export class ConnectionSupervisor extends EventEmitter {
+    constructor(provider, options = {}) {
+        super();
+        this.provider = provider;
+        this.baseDelayMs = options.baseDelayMs || Number(process.env.WHATSAPP_RECONNECT_BASE_MS) || BASE_DELAY_MS;
+        this.maxDelayMs = options.maxDelayMs || Number(process.env.WHATSAPP_RECONNECT_MAX_MS) || MAX_DELAY_MS;
+        this.readyTimeoutMs = options.readyTimeoutMs || Number(process.env.WHATSAPP_READY_TIMEOUT_MS) || READY_TIMEOUT_MS;
+        this.stopTimeoutMs = options.stopTimeoutMs || STOP_TIMEOUT_MS;
+        this.downAlertMs = options.downAlertMs || Number(process.env.WHATSAPP_DOWN_ALERT_MS) || DOWN_ALERT_MS;
+        this.random = options.random || Math.random;
+
+        this.state = 'stopped';
+        this.attempts = 0;
+        this.lastError = null;
+        this.downSince = null;
+        this.downAlerted = false;
+        this.nextAttemptAt = null;
+        this.readyTimer = null;
+        this.retryTimer = null;
+        this.downTimer = null;
+
+        this.provider.on('status', (status) => this.handleProviderStatus(status));
+    }
+
+    async start() {
+        this.clearTimers();
+        this.attempts = 0;
+        await this.attempt();
+    }
+
+    // Deliberate shutdown (e.g. admin logout): no reconnects until start() is called again
+    async stop() {
+        this.clearTimers();
+        this.clearDownTimer();
+        this.downSince = null;
+        this.downAlerted = false;
+        this.transition('stopped');
+    }
+
+    async attempt() {
+        this.nextAttemptAt = null;
+        this.transition('starting');
+        this.armReadyTimer();
+
+        try {
+            await this.provider.start();
+        } catch (error) {
+            this.scheduleReconnect(error.message || String(error));
+        }
+    }
+
+    handleProviderStatus({ state, ...detail }) {
+        if (this.state === 'stopped') return;
+
+        switch (state) {
+            case 'qr':
+                // Waiting on a human to scan is not a hang
+                this.clearReadyTimer();
+                this.transition('pairing');
+                break;
+            case 'authenticated':
+                this.armReadyTimer();
+                break;
+            case 'ready':
+                this.handleReady();
+                break;
+            case 'disconnected':
+                this.scheduleReconnect(detail.reason ? String(detail.reason) : 'Disconnected');
+                break;
+            case 'auth_failure':
+                this.scheduleReconnect(detail.error ? String(detail.error) : 'Authentication failed');
+                break;
+        }
+    }
+
+    handleReady() {
+        this.clearTimers();
+
+        const downtimeMs = this.downSince ? Date.now() - this.downSince : 0;
+        const wasAlerted = this.downAlerted;
+
+        this.attempts = 0;
+        this.downSince = null;
+        this.downAlerted = false;
+        this.clearDownTimer();
+        this.transition('ready');
+
+        if (wasAlerted) {
+            this.emit('recovered', { downtimeMs });
+        }
+    }
+
+    scheduleReconnect(reason) {
+        if (this.state === 'stopped' || this.state === 'backoff') return;
+
+        this.clearTimers();
+        this.lastError = { message: reason, at: new Date().toISOString() };
+        this.markDown();
+
+        this.attempts += 1;
+        const delayMs = this.backoffDelay(this.attempts);
+        this.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        this.transition('backoff');
+
+        this.retryTimer = setTimeout(async () => {
+            this.retryTimer = null;
+            // Tear down whatever is left of the last session before starting a new one
+            await this.stopProvider();
+            if (this.state === 'backoff') {
+                await this.attempt();
+            }
+        }, delayMs);
+    }
+
+    // Exponential backoff with equal jitter so a fleet of workers doesn't reconnect in lockstep
+    backoffDelay(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + this.random() * ceiling / 2);
+    }
+
+    armReadyTimer() {
+        this.clearReadyTimer();
+        this.readyTimer = setTimeout(() => {
+            this.readyTimer = null;
+            this.emit('hung', { state: this.state, timeoutMs: this.readyTimeoutMs });
+            this.scheduleReconnect(`No ready event within ${Math.round(this.readyTimeoutMs / 1000)}s`);
+        }, this.readyTimeoutMs);
+    }
+
+    markDown() {
+        if (this.downSince) return;
+
+        this.downSince = Date.now();
+        this.downTimer = setTimeout(() => {
+            this.downTimer = null;
+            this.downAlerted = true;
+            this.emit('down', {
+                since: new Date(this.downSince).toISOString(),
+                attempts: this.attempts,
+                lastError: this.lastError
+            });
+        }, this.downAlertMs);
+    }
+
+    async stopProvider() {
+        // A hung browser may not close either; don't let that block the next attempt
+        let timeout;
+        await Promise.race([
+            this.provider.stop().catch(() => {}),
+            new Promise(resolve => {
+                timeout = setTimeout(resolve, this.stopTimeoutMs);
+            })
+        ]);
+        clearTimeout(timeout);
+    }
+
+    transition(state) {
+        this.state = state;
+        this.emit('state', this.snapshot());
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            attempts: this.attempts,
+            nextAttemptAt: this.nextAttemptAt,
+            downSince: this.downSince ? new Date(this.downSince).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+
+    clearReadyTimer() {
+        clearTimeout(this.readyTimer);
+        this.readyTimer = null;
+    }
+
+    clearTimers() {
+        this.clearReadyTimer();
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+    }
+
+    clearDownTimer() {
+        clearTimeout(this.downTimer);
+        this.downTimer = null;
+    }
+}
@@ -0,0 +1,49 @@
+import { WhatsAppWebProvider } from './whatsapp-web.provider.js';
+import { WhatsAppCloudProvider } from './whatsapp-cloud.provider.js';
+import { TelegramProvider } from './telegram.provider.js';
+import { SmsGatewayProvider } from './sms-gateway.provider.js';
+import { SandboxProvider } from './sandbox.provider.js';
+
+export function createMessagingProvider(name, channel) {
+    switch (name) {
+        case 'whatsapp-web':
+            return new WhatsAppWebProvider();
+        case 'whatsapp-cloud':
+            return new WhatsAppCloudProvider();
+        case 'telegram':
+            return new TelegramProvider();
+        case 'sms':
+            return new SmsGatewayProvider();
+        case 'sandbox':
+            return new SandboxProvider(channel);
+        default:
+            throw new Error(`Unknown messaging provider: ${name}`);
+    }
+}
+
+// One provider per channel. WhatsApp is always present; the others only when configured
+export function createMessagingProviders(driver = process.env.MESSAGING_DRIVER) {
+    if (driver === 'sandbox') {
+        return {
+            whatsapp: new SandboxProvider('whatsapp'),
+            telegram: new SandboxProvider('telegram'),
+            sms: new SandboxProvider('sms')
+        };
+    }
+
+    const providers = {
+        whatsapp: createMessagingProvider(
+            process.env.WHATSAPP_PROVIDER || (process.env.WHATSAPP_CLOUD_TOKEN ? 'whatsapp-cloud' : 'whatsapp-web'),
+            'whatsapp'
+        )
+    };
+
+    if (process.env.TELEGRAM_BOT_TOKEN) {
+        providers.telegram = createMessagingProvider('telegram');
+    }
+    if (process.env.SMS_GATEWAY_URL) {
+        providers.sms = createMessagingProvider('sms');
+    }
+
+    return providers;
+}
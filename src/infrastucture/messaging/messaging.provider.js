@@ -0,0 +1,64 @@
+import { EventEmitter } from 'events';
+
+// Common surface for every chat transport. Providers emit:
+//   'status'   { channel, state, ...detail }   state: connecting | qr | authenticated | ready | disconnected | auth_failure
+//   'message'  { channel, from, body, timestamp, raw }
+//   'delivery' { channel, messageId, status }  where the transport reports receipts
+export class MessagingProvider extends EventEmitter {
+    constructor(channel) {
+        super();
+        this.channel = channel;
+        this.state = 'disconnected';
+    }
+
+    async start() {
+        this.setState('ready');
+    }
+
+    async stop() {
+        this.setState('disconnected');
+    }
+
+    // Forget the linked account, where the transport has one
+    async logout() {
+        await this.stop();
+    }
+
+    // Resolves to { messageId, timestamp }
+    async send(to, text, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+
+    // Turns whatever callers hold (usually an E.164 number) into the transport's recipient ID
+    normalizeAddress(address) {
+        return String(address);
+    }
+
+    async startTyping(to) {}
+
+    async stopTyping(to) {}
+
+    isReady() {
+        return this.state === 'ready';
+    }
+
+    setState(state, detail = {}) {
+        this.state = state;
+        this.emit('status', { channel: this.channel, state, ...detail });
+    }
+
+    receive({ from, body, timestamp, raw = null }) {
+        this.emit('message', {
+            channel: this.channel,
+            from: String(from),
+            body: body || '',
+            timestamp: timestamp || Math.floor(Date.now() / 1000),
+            raw
+        });
+    }
+
+    // Messages are written with WhatsApp markup; plain-text transports drop the markers
+    toPlainText(text) {
+        return text.replace(/([*_~])(\S(?:[^\n]*?\S)?)\1/g, '$2');
+    }
+}
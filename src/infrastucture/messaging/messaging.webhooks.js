@@ -0,0 +1,64 @@
+import express from 'express';
+
+// Inbound endpoints for providers that push messages to us instead of holding a session open
+export function createMessagingWebhookRouter(manager) {
+    const router = express.Router();
+
+    // Keep the raw bytes around so signatures can be checked against exactly what was sent
+    router.use(express.json({
+        verify: (req, res, buffer) => {
+            req.rawBody = buffer;
+        }
+    }));
+
+    router.get('/whatsapp', (req, res) => {
+        const provider = manager.getProvider('whatsapp');
+        const challenge = provider.verifySubscription ? provider.verifySubscription(req.query) : null;
+
+        if (challenge === null) {
+            return res.sendStatus(403);
+        }
+        res.status(200).send(challenge);
+    });
+
+    router.post('/whatsapp', (req, res) => {
+        const provider = manager.getProvider('whatsapp');
+        if (!provider.handleWebhook) {
+            return res.sendStatus(404);
+        }
+        if (!provider.verifySignature(req.rawBody, req.get('x-hub-signature-256'))) {
+            return res.sendStatus(401);
+        }
+
+        provider.handleWebhook(req.body);
+        res.sendStatus(200);
+    });
+
+    router.post('/telegram', (req, res) => {
+        const provider = manager.providers.telegram;
+        if (!provider || !provider.handleWebhook) {
+            return res.sendStatus(404);
+        }
+        if (!provider.verifySecret(req.get('x-telegram-bot-api-secret-token'))) {
+            return res.sendStatus(401);
+        }
+
+        provider.handleWebhook(req.body);
+        res.sendStatus(200);
+    });
+
+    router.post('/sms', (req, res) => {
+        const provider = manager.providers.sms;
+        if (!provider || !provider.handleWebhook) {
+            return res.sendStatus(404);
+        }
+        if (!provider.verifySecret(req.get('x-webhook-secret'))) {
+            return res.sendStatus(401);
+        }
+
+        provider.handleWebhook(req.body);
+        res.sendStatus(200);
+    });
+
+    return router;
+}
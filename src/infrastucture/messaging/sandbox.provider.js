@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { MessagingProvider } from './messaging.provider.js';
+
+const MAX_OUTBOX = 500;
+
+// In-memory transport for development and CI: sends land in an outbox, inbound is simulated
+export class SandboxProvider extends MessagingProvider {
+    constructor(channel = 'whatsapp') {
+        super(channel);
+        this.outbox = [];
+    }
+
+    async send(to, text, options = {}) {
+        const entry = {
+            messageId: crypto.randomUUID(),
+            to,
+            text,
+            options,
+            timestamp: Math.floor(Date.now() / 1000)
+        };
+
+        this.outbox = [...this.outbox, entry].slice(-MAX_OUTBOX);
+        this.emit('sent', entry);
+
+        return { messageId: entry.messageId, timestamp: entry.timestamp };
+    }
+
+    simulateIncoming(from, body) {
+        this.receive({ from, body });
+    }
+
+    messagesTo(to) {
+        return this.outbox.filter(entry => entry.to === to);
+    }
+
+    clear() {
+        this.outbox = [];
+    }
+}
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { MessagingProvider } from './messaging.provider.js';
+import { phoneNumbers } from '../../module/phone/phone-number.service.js';
+
+// Generic HTTP SMS gateway: POSTs { to, from, text } and accepts inbound { from, text } webhooks
+export class SmsGatewayProvider extends MessagingProvider {
+    constructor(options = {}) {
+        super('sms');
+        this.url = options.url || process.env.SMS_GATEWAY_URL;
+        this.apiKey = options.apiKey || process.env.SMS_GATEWAY_API_KEY;
+        this.sender = options.sender || process.env.SMS_SENDER_ID || null;
+        this.inboundSecret = options.inboundSecret || process.env.SMS_INBOUND_SECRET;
+        this.timeoutMs = options.timeoutMs || 15000;
+    }
+
+    async start() {
+        if (!this.url) {
+            this.setState('disconnected', { reason: 'SMS_GATEWAY_URL is not configured' });
+            return;
+        }
+        this.setState('ready');
+    }
+
+    normalizeAddress(address) {
+        return phoneNumbers.normalize(address);
+    }
+
+    async send(to, text) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                to,
+                from: this.sender,
+                text: this.toPlainText(text)
+            }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`SMS gateway responded with ${response.status}`);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        return {
+            messageId: data.id || data.messageId || crypto.randomUUID(),
+            timestamp: Math.floor(Date.now() / 1000)
+        };
+    }
+
+    verifySecret(secretHeader) {
+        if (!this.inboundSecret) return false;
+
+        const expected = Buffer.from(this.inboundSecret);
+        const actual = Buffer.from(String(secretHeader || ''));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    handleWebhook(payload) {
+        const body = payload.text ?? payload.body ?? payload.message;
+        if (!payload.from || typeof body !== 'string') return;
+
+        this.receive({ from: payload.from, body, raw: payload });
+    }
+}
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { MessagingProvider } from './messaging.provider.js';
+
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+
+// Telegram Bot API. Recipients are chat IDs, which users hand us by messaging the bot
+export class TelegramProvider extends MessagingProvider {
+    constructor(options = {}) {
+        super('telegram');
+        this.token = options.token || process.env.TELEGRAM_BOT_TOKEN;
+        this.botUsername = options.botUsername || process.env.TELEGRAM_BOT_USERNAME || null;
+        this.webhookSecret = options.webhookSecret || process.env.TELEGRAM_WEBHOOK_SECRET;
+        this.timeoutMs = options.timeoutMs || 15000;
+    }
+
+    async start() {
+        if (!this.token) {
+            this.setState('disconnected', { reason: 'TELEGRAM_BOT_TOKEN is not configured' });
+            return;
+        }
+
+        this.setState('connecting');
+        try {
+            const bot = await this.call('getMe');
+            this.botUsername = this.botUsername || bot.username;
+            this.setState('ready');
+        } catch (error) {
+            this.setState('auth_failure', { error: error.message });
+            throw error;
+        }
+    }
+
+    async send(to, text) {
+        const message = await this.call('sendMessage', {
+            chat_id: to,
+            text: this.toPlainText(text)
+        });
+        return { messageId: String(message.message_id), timestamp: message.date };
+    }
+
+    async startTyping(to) {
+        await this.call('sendChatAction', { chat_id: to, action: 'typing' });
+    }
+
+    async call(method, params = {}) {
+        const response = await fetch(`${TELEGRAM_API_URL}/bot${this.token}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.ok) {
+            throw new Error(`Telegram ${method} failed: ${data.description || response.status}`);
+        }
+        return data.result;
+    }
+
+    verifySecret(secretHeader) {
+        if (!this.webhookSecret) return false;
+
+        const expected = Buffer.from(this.webhookSecret);
+        const actual = Buffer.from(String(secretHeader || ''));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    handleWebhook(update) {
+        const message = update.message;
+        if (!message || typeof message.text !== 'string') return;
+
+        this.receive({
+            from: message.chat.id,
+            body: message.text,
+            timestamp: message.date,
+            raw: message
+        });
+    }
+
+    linkFor(code) {
+        return this.botUsername ? `https://t.me/${this.botUsername}?start=${code}` : null;
+    }
+}
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { MessagingProvider } from './messaging.provider.js';
+import { phoneNumbers } from '../../module/phone/phone-number.service.js';
+
+const GRAPH_API_URL = 'https://graph.facebook.com';
+
+// Official WhatsApp Business Cloud API: HTTP out, webhooks in, no browser to keep alive
+export class WhatsAppCloudProvider extends MessagingProvider {
+    constructor(options = {}) {
+        super('whatsapp');
+        this.accessToken = options.accessToken || process.env.WHATSAPP_CLOUD_TOKEN;
+        this.phoneNumberId = options.phoneNumberId || process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
+        this.verifyToken = options.verifyToken || process.env.WHATSAPP_CLOUD_VERIFY_TOKEN;
+        this.appSecret = options.appSecret || process.env.WHATSAPP_CLOUD_APP_SECRET;
+        this.apiVersion = options.apiVersion || process.env.WHATSAPP_CLOUD_API_VERSION || 'v18.0';
+        this.timeoutMs = options.timeoutMs || 15000;
+    }
+
+    async start() {
+        if (!this.accessToken || !this.phoneNumberId) {
+            this.setState('disconnected', { reason: 'WhatsApp Cloud API credentials are not configured' });
+            return;
+        }
+        // Without it anyone could post forged inbound messages to the webhook
+        if (!this.appSecret) {
+            this.setState('disconnected', { reason: 'WHATSAPP_CLOUD_APP_SECRET is not configured' });
+            return;
+        }
+        this.setState('ready');
+    }
+
+    normalizeAddress(address) {
+        // The Cloud API takes international digits without the plus sign
+        return phoneNumbers.normalize(address).slice(1);
+    }
+
+    async send(to, text) {
+        const response = await fetch(`${GRAPH_API_URL}/${this.apiVersion}/${this.phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.accessToken}`
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                to,
+                type: 'text',
+                text: { body: text }
+            }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                this.setState('auth_failure', { error: 'Access token rejected' });
+            }
+            throw new Error(`WhatsApp Cloud API responded with ${response.status}`);
+        }
+
+        const data = await response.json();
+        return { messageId: data.messages[0].id, timestamp: Math.floor(Date.now() / 1000) };
+    }
+
+    // Answers Meta's subscription handshake; returns the challenge to echo, or null to refuse
+    verifySubscription(query) {
+        if (!this.verifyToken) return null;
+        if (query['hub.mode'] !== 'subscribe' || query['hub.verify_token'] !== this.verifyToken) return null;
+        return query['hub.challenge'];
+    }
+
+    verifySignature(rawBody, signatureHeader) {
+        if (!this.appSecret || !rawBody || !signatureHeader) return false;
+
+        const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex')}`);
+        const actual = Buffer.from(String(signatureHeader));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    handleWebhook(payload) {
+        for (const entry of payload.entry || []) {
+            for (const change of entry.changes || []) {
+                const value = change.value || {};
+
+                for (const message of value.messages || []) {
+                    if (message.type !== 'text') continue;
+                    this.receive({
+                        from: `+${message.from}`,
+                        body: message.text.body,
+                        timestamp: Number(message.timestamp),
+                        raw: message
+                    });
+                }
+
+                for (const status of value.statuses || []) {
+                    this.emit('delivery', {
+                        channel: this.channel,
+                        messageId: status.id,
+                        status: status.status
+                    });
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,86 @@
+import { Client, LocalAuth } from 'whatsapp-web.js';
+import { MessagingProvider } from './messaging.provider.js';
+import { phoneNumbers } from '../../module/phone/phone-number.service.js';
+
+// Drives a WhatsApp Web session in headless Chromium; pairing happens by scanning the emitted QR
+export class WhatsAppWebProvider extends MessagingProvider {
+    constructor(options = {}) {
+        super('whatsapp');
+        this.client = options.client || new Client({
+            authStrategy: new LocalAuth(),
+            puppeteer: {
+                headless: true,
+                args: ['--no-sandbox', '--disable-setuid-sandbox']
+            },
+            webVersionCache: {
+                type: 'remote',
+                remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html'
+            }
+        });
+
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        this.client.on('qr', (qr) => {
+            this.emit('qr', qr);
+            this.setState('qr');
+        });
+
+        this.client.on('authenticated', () => this.setState('authenticated'));
+        this.client.on('ready', () => this.setState('ready'));
+        this.client.on('auth_failure', (error) => this.setState('auth_failure', { error }));
+        this.client.on('disconnected', (reason) => this.setState('disconnected', { reason }));
+
+        this.client.on('message', (message) => {
+            this.receive({
+                from: message.from,
+                body: message.body,
+                timestamp: message.timestamp,
+                raw: message
+            });
+        });
+    }
+
+    async start() {
+        this.setState('connecting');
+        await this.client.initialize();
+    }
+
+    async stop() {
+        await this.client.destroy();
+        this.setState('disconnected');
+    }
+
+    async logout() {
+        try {
+            await this.client.logout();
+        } catch (error) {
+            // No live page to log out from; drop the stored session directly
+            await this.client.destroy().catch(() => {});
+            await this.client.authStrategy.logout();
+        }
+        this.setState('disconnected', { reason: 'LOGOUT' });
+    }
+
+    normalizeAddress(address) {
+        // Group chats reply to the group, not to a phone number
+        const text = String(address);
+        return text.endsWith('@g.us') ? text : phoneNumbers.toWhatsAppId(text);
+    }
+
+    async send(to, text, options = {}) {
+        const result = await this.client.sendMessage(to, text, options);
+        return { messageId: result.id._serialized, timestamp: result.timestamp };
+    }
+
+    async startTyping(to) {
+        const chat = await this.client.getChatById(to);
+        await chat.sendStateTyping();
+    }
+
+    async stopTyping(to) {
+        const chat = await this.client.getChatById(to);
+        await chat.clearState();
+    }
+}
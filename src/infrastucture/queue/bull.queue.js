@@ -0,0 +1,66 @@
+import Queue from 'bull';
+
+// Redis-backed queue so pending jobs survive restarts and are shared by all workers
+export class BullQueue {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.defaultAttempts = options.attempts || 5;
+        this.defaultBackoffMs = options.backoffMs || 5000;
+        this.queue = new Queue(name, options.url || process.env.REDIS_URL);
+        this.deadLetterHandlers = [];
+
+        this.queue.on('failed', async (job, error) => {
+            const exhausted = error.retryable === false || job.attemptsMade >= job.opts.attempts;
+            if (!exhausted) return;
+
+            for (const handler of this.deadLetterHandlers) {
+                await handler({ id: job.id, data: job.data, attemptsMade: job.attemptsMade }, error);
+            }
+        });
+
+        this.queue.on('error', (error) => {
+            console.error(`❌ Queue ${name} error:`, error.message);
+        });
+    }
+
+    async add(data, options = {}) {
+        const job = await this.queue.add(data, {
+            jobId: options.jobId,
+            attempts: options.attempts || this.defaultAttempts,
+            backoff: { type: 'exponential', delay: options.backoffMs || this.defaultBackoffMs },
+            removeOnComplete: true,
+            removeOnFail: true
+        });
+        return job.id;
+    }
+
+    process(handler) {
+        this.queue.process(async (job) => {
+            try {
+                await handler({ id: job.id, data: job.data, attemptsMade: job.attemptsMade });
+            } catch (error) {
+                // Stop Bull from scheduling more attempts for permanent failures
+                if (error.retryable === false) job.discard();
+                throw error;
+            }
+        });
+    }
+
+    onDeadLetter(handler) {
+        this.deadLetterHandlers.push(handler);
+    }
+
+    async promote() {
+        const delayed = await this.queue.getDelayed();
+        await Promise.allSettled(delayed.map(job => job.promote()));
+    }
+
+    async counts() {
+        const counts = await this.queue.getJobCounts();
+        return { waiting: counts.waiting, delayed: counts.delayed, active: counts.active };
+    }
+
+    async close() {
+        await this.queue.close();
+    }
+}
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+// In-process stand-in for BullQueue, used in development and tests
+export class MemoryQueue {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.defaultAttempts = options.attempts || 5;
+        this.defaultBackoffMs = options.backoffMs || 5000;
+        this.jobs = new Map();
+        this.handler = null;
+        this.deadLetterHandlers = [];
+    }
+
+    async add(data, options = {}) {
+        const id = options.jobId || crypto.randomUUID();
+        if (this.jobs.has(id)) return id;
+
+        const job = {
+            id,
+            data,
+            attemptsMade: 0,
+            attempts: options.attempts || this.defaultAttempts,
+            backoffMs: options.backoffMs || this.defaultBackoffMs,
+            state: 'waiting',
+            timer: null
+        };
+
+        this.jobs.set(id, job);
+        this.schedule(job, 0);
+        return id;
+    }
+
+    process(handler) {
+        this.handler = handler;
+        for (const job of this.jobs.values()) {
+            if (job.state === 'waiting') this.schedule(job, 0);
+        }
+    }
+
+    onDeadLetter(handler) {
+        this.deadLetterHandlers.push(handler);
+    }
+
+    schedule(job, delayMs) {
+        clearTimeout(job.timer);
+        job.state = delayMs > 0 ? 'delayed' : 'waiting';
+        job.timer = setTimeout(() => this.run(job), delayMs);
+        job.timer.unref?.();
+    }
+
+    async run(job) {
+        if (!this.handler || job.state === 'active') return;
+
+        job.state = 'active';
+        try {
+            await this.handler({ id: job.id, data: job.data, attemptsMade: job.attemptsMade });
+            this.jobs.delete(job.id);
+        } catch (error) {
+            job.attemptsMade += 1;
+
+            if (error.retryable === false || job.attemptsMade >= job.attempts) {
+                this.jobs.delete(job.id);
+                for (const handler of this.deadLetterHandlers) {
+                    await handler({ id: job.id, data: job.data, attemptsMade: job.attemptsMade }, error);
+                }
+                return;
+            }
+
+            // Exponential backoff: base, 2x, 4x, ...
+            this.schedule(job, job.backoffMs * Math.pow(2, job.attemptsMade - 1));
+        }
+    }
+
+    async promote() {
+        for (const job of this.jobs.values()) {
+            if (job.state === 'delayed') this.schedule(job, 0);
+        }
+    }
+
+    async counts() {
+        const counts = { waiting: 0, delayed: 0, active: 0 };
+        for (const job of this.jobs.values()) {
+            counts[job.state] += 1;
+        }
+        return counts;
+    }
+
+    async close() {
+        for (const job of this.jobs.values()) {
+            clearTimeout(job.timer);
+        }
+        this.jobs.clear();
+    }
+}
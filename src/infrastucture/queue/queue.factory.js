@@ -0,0 +1,15 @@
+import { MemoryQueue } from './memory.queue.js';
+import { BullQueue } from './bull.queue.js';
+
+export function createQueue(name, options = {}, driver = process.env.QUEUE_DRIVER) {
+    const selected = driver || (process.env.REDIS_URL ? 'bull' : 'memory');
+
+    switch (selected) {
+        case 'bull':
+            return new BullQueue(name, options);
+        case 'memory':
+            return new MemoryQueue(name, options);
+        default:
+            throw new Error(`Unknown queue driver: ${selected}`);
+    }
+}
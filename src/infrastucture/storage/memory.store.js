@@ -0,0 +1,86 @@
+export class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.readEntry(key);
+        return entry ? entry.value : null;
+    }
+
+    async set(key, value, ttlMs = null) {
+        this.entries.set(key, {
+            value,
+            expiresAt: ttlMs ? Date.now() + ttlMs : null
+        });
+    }
+
+    async del(key) {
+        const existed = this.readEntry(key) !== null;
+        this.entries.delete(key);
+        return existed;
+    }
+
+    async incr(key, ttlMs = null) {
+        const entry = this.readEntry(key);
+        const value = (entry ? entry.value : 0) + 1;
+
+        // TTL is only applied when the counter is created, like INCR + PEXPIRE NX
+        this.entries.set(key, {
+            value,
+            expiresAt: entry ? entry.expiresAt : (ttlMs ? Date.now() + ttlMs : null)
+        });
+
+        return value;
+    }
+
+    // Set members refresh the key's TTL on every add, like SADD + PEXPIRE
+    async sadd(key, member, ttlMs = null) {
+        const entry = this.readEntry(key);
+        const members = entry ? entry.value : new Set();
+        members.add(member);
+
+        this.entries.set(key, {
+            value: members,
+            expiresAt: ttlMs ? Date.now() + ttlMs : (entry ? entry.expiresAt : null)
+        });
+    }
+
+    async srem(key, member) {
+        const entry = this.readEntry(key);
+        if (!entry || !entry.value.delete(member)) return false;
+
+        if (entry.value.size === 0) {
+            this.entries.delete(key);
+        }
+        return true;
+    }
+
+    async smembers(key) {
+        const entry = this.readEntry(key);
+        return entry ? [...entry.value] : [];
+    }
+
+    async ttl(key) {
+        const entry = this.readEntry(key);
+        if (!entry) return -2;
+        if (!entry.expiresAt) return -1;
+        return entry.expiresAt - Date.now();
+    }
+
+    readEntry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    async close() {
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,93 @@
+import { createClient } from 'redis';
+
+const INCR_WITH_TTL = `
+local value = redis.call('INCR', KEYS[1])
+if value == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return value
+`;
+
+export class RedisStore {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'ndiidepzx:';
+        this.client = createClient({
+            url: options.url || process.env.REDIS_URL
+        });
+        this.connecting = null;
+
+        this.client.on('error', (error) => {
+            console.error('❌ Redis store error:', error.message);
+        });
+    }
+
+    async connect() {
+        if (this.client.isOpen) return;
+        if (!this.connecting) {
+            this.connecting = this.client.connect().finally(() => {
+                this.connecting = null;
+            });
+        }
+        await this.connecting;
+    }
+
+    async get(key) {
+        await this.connect();
+        const raw = await this.client.get(this.prefix + key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(key, value, ttlMs = null) {
+        await this.connect();
+        const options = ttlMs ? { PX: ttlMs } : undefined;
+        await this.client.set(this.prefix + key, JSON.stringify(value), options);
+    }
+
+    async del(key) {
+        await this.connect();
+        return (await this.client.del(this.prefix + key)) > 0;
+    }
+
+    async incr(key, ttlMs = null) {
+        await this.connect();
+        if (!ttlMs) {
+            return await this.client.incr(this.prefix + key);
+        }
+
+        // Only the first increment starts the window; one script so a crash can't leave a counter without expiry
+        return await this.client.eval(INCR_WITH_TTL, {
+            keys: [this.prefix + key],
+            arguments: [String(ttlMs)]
+        });
+    }
+
+    async sadd(key, member, ttlMs = null) {
+        await this.connect();
+        const transaction = this.client.multi().sAdd(this.prefix + key, member);
+        if (ttlMs) {
+            transaction.pExpire(this.prefix + key, ttlMs);
+        }
+        await transaction.exec();
+    }
+
+    async srem(key, member) {
+        await this.connect();
+        return (await this.client.sRem(this.prefix + key, member)) > 0;
+    }
+
+    async smembers(key) {
+        await this.connect();
+        return await this.client.sMembers(this.prefix + key);
+    }
+
+    async ttl(key) {
+        await this.connect();
+        return await this.client.pTTL(this.prefix + key);
+    }
+
+    async close() {
+        if (this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+}
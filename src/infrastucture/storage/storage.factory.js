@@ -0,0 +1,35 @@
+import cluster from 'cluster';
+import { MemoryStore } from './memory.store.js';
+import { RedisStore } from './redis.store.js';
+
+export function createStorage(driver = process.env.STORAGE_DRIVER) {
+    const selected = driver || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+    switch (selected) {
+        case 'redis':
+            return new RedisStore();
+        case 'memory':
+            assertMemoryAllowed(driver);
+            return new MemoryStore();
+        default:
+            throw new Error(`Unknown storage driver: ${selected}`);
+    }
+}
+
+// Per-worker memory would silently split OTPs, lockouts and rate limits between workers
+function assertMemoryAllowed(driver) {
+    if (cluster.isWorker) {
+        if (driver === 'memory') {
+            console.warn('⚠️ STORAGE_DRIVER=memory in a cluster worker: OTPs, lockouts and rate limits are NOT shared between workers');
+            return;
+        }
+        throw new Error('Running clustered without REDIS_URL; set it, or STORAGE_DRIVER=memory to accept per-worker state');
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        console.warn('⚠️ Using in-memory storage in production: state is lost on restart and not shared between processes');
+    }
+}
+
+// Shared instance so every service in a worker talks to the same backend
+export const storage = createStorage();
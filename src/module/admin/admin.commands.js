@@ -0,0 +1,291 @@
+import { i18n } from '../i18n/i18n.service.js';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DEFAULT_LOCK_MS = 60 * 60 * 1000; // 1 hour
+const LOCK_SCOPES = ['identifier', 'ip', 'otp'];
+
+export function registerAdminCommands(registry, manager) {
+    registry.register({
+        name: 'status',
+        description: 'WhatsApp connection and process status',
+        permission: 'viewer',
+        handler: (ctx) => manager.sendStatusUpdate(ctx.from)
+    });
+
+    registry.register({
+        name: 'stats',
+        description: 'Process and system statistics',
+        permission: 'viewer',
+        handler: (ctx) => manager.sendSystemStats(ctx.from)
+    });
+
+    registry.register({
+        name: 'queue',
+        description: 'Outbound message queue depth',
+        permission: 'viewer',
+        handler: async (ctx) => {
+            const counts = await manager.outbound.counts();
+            const deadLetters = await manager.getDeadLetters();
+            await ctx.reply(
+                `📨 *Outbound Queue*\n\n` +
+                `Waiting: ${counts.waiting}\n` +
+                `Retrying: ${counts.delayed}\n` +
+                `Sending: ${counts.active}\n` +
+                `Dead-letter: ${deadLetters.length}`
+            );
+        }
+    });
+
+    registry.register({
+        name: 'deadletters',
+        description: 'Messages that could not be delivered',
+        permission: 'viewer',
+        handler: async (ctx) => {
+            const deadLetters = await manager.getDeadLetters();
+            if (deadLetters.length === 0) {
+                await ctx.reply('✅ Dead-letter list is empty');
+                return;
+            }
+
+            const lines = deadLetters.slice(-10).map(entry =>
+                `• \`${entry.id}\` ${entry.type} → ${entry.to} (${entry.reason})`
+            );
+            await ctx.reply(`☠️ *Dead-letter messages* (${deadLetters.length})\n\n${lines.join('\n')}`);
+        }
+    });
+
+    registry.register({
+        name: 'replay',
+        description: 'Re-queue a dead-letter message',
+        usage: '<id>',
+        args: [{ name: 'id', required: true }],
+        permission: 'operator',
+        handler: async (ctx) => {
+            const result = await manager.replayDeadLetter(ctx.args[0]);
+            await ctx.reply(`🔁 Re-queued as ${result.id}`);
+        }
+    });
+
+    registry.register({
+        name: 'alerts',
+        description: 'Most recent system alerts',
+        permission: 'viewer',
+        handler: async (ctx) => {
+            const alerts = await manager.getRecentAlerts();
+            if (alerts.length === 0) {
+                await ctx.reply('✅ No recent alerts');
+                return;
+            }
+
+            const lines = alerts.slice(-10).reverse().map(alert =>
+                `• [${alert.severity}] ${alert.type} — ${i18n.formatDate('en', alert.timestamp)}`
+            );
+            await ctx.reply(`🚨 *Recent Alerts*\n\n${lines.join('\n')}`);
+        }
+    });
+
+    registry.register({
+        name: 'sessions',
+        description: 'Active sessions for a user',
+        usage: '<userId>',
+        args: [{ name: 'userId', required: true }],
+        permission: 'viewer',
+        handler: async (ctx) => {
+            const { sessions } = await requireAuthService(manager).listSessions(ctx.args[0]);
+            if (sessions.length === 0) {
+                await ctx.reply(`ℹ️ ${ctx.args[0]} has no active sessions`);
+                return;
+            }
+
+            const lines = sessions.map(session =>
+                `• \`${session.id.slice(0, 8)}\` ${session.device} — ${session.ipAddress || 'unknown IP'}, ` +
+                `last seen ${i18n.formatDate('en', session.lastSeenAt)}`
+            );
+            await ctx.reply(`💻 *Sessions for ${ctx.args[0]}*\n\n${lines.join('\n')}`);
+        }
+    });
+
+    registry.register({
+        name: 'lock',
+        description: 'Lock an account (email/phone)',
+        usage: '<identifier> [duration e.g. 30m, 2h, 1d]',
+        args: [{ name: 'identifier', required: true }, { name: 'duration' }],
+        permission: 'operator',
+        destructive: true,
+        validate: (ctx) => parseDuration(ctx.args[1]),
+        handler: async (ctx) => {
+            const durationMs = parseDuration(ctx.args[1]);
+            const result = await requireAuthService(manager).lockAccount(ctx.args[0], ctx.from, durationMs);
+            await ctx.reply(`🔒 ${ctx.args[0]} locked until ${i18n.formatDate('en', result.lockedUntil)}`);
+        }
+    });
+
+    registry.register({
+        name: 'unlock',
+        description: 'Clear lockouts for an account, IP address or OTP session',
+        usage: `<email/phone/IP/session> [${LOCK_SCOPES.join('|')}]`,
+        args: [{ name: 'subject', required: true }, { name: 'scope' }],
+        permission: 'operator',
+        validate: (ctx) => parseScopes(ctx.args[1]),
+        handler: async (ctx) => {
+            const [subject] = ctx.args;
+            const scopes = parseScopes(ctx.args[1]);
+            const authService = requireAuthService(manager);
+
+            const cleared = [];
+            for (const scope of scopes) {
+                const result = await authService.unlockAccount(scope, subject, ctx.from);
+                if (result.wasLocked) cleared.push(scope);
+            }
+
+            await ctx.reply(cleared.length > 0
+                ? `🔓 ${subject} unlocked (${cleared.join(', ')})`
+                : `ℹ️ ${subject} was not locked`);
+        }
+    });
+
+    registry.register({
+        name: 'block',
+        description: 'Ignore every message from a sender',
+        usage: '<number | channel:address> [reason]',
+        args: [{ name: 'sender', required: true }, { name: 'reason' }],
+        permission: 'operator',
+        handler: async (ctx) => {
+            const sender = parseSender(manager, ctx.args[0]);
+            await manager.guard.block(sender, ctx.args[1] || null, ctx.from);
+            await ctx.reply(`🚫 ${sender} blocked`);
+        }
+    });
+
+    registry.register({
+        name: 'unblock',
+        description: 'Remove a sender from the blocklist',
+        usage: '<number | channel:address>',
+        args: [{ name: 'sender', required: true }],
+        permission: 'operator',
+        handler: async (ctx) => {
+            const sender = parseSender(manager, ctx.args[0]);
+            const removed = await manager.guard.unblock(sender);
+            await ctx.reply(removed ? `✅ ${sender} unblocked` : `ℹ️ ${sender} was not blocked`);
+        }
+    });
+
+    registry.register({
+        name: 'allow',
+        description: 'Exempt a sender from rate limits and muting',
+        usage: '<number | channel:address> [reason]',
+        args: [{ name: 'sender', required: true }, { name: 'reason' }],
+        permission: 'operator',
+        handler: async (ctx) => {
+            const sender = parseSender(manager, ctx.args[0]);
+            await manager.guard.allow(sender, ctx.args[1] || null, ctx.from);
+            await ctx.reply(`✅ ${sender} allowlisted`);
+        }
+    });
+
+    registry.register({
+        name: 'disallow',
+        description: 'Remove a sender from the allowlist',
+        usage: '<number | channel:address>',
+        args: [{ name: 'sender', required: true }],
+        permission: 'operator',
+        handler: async (ctx) => {
+            const sender = parseSender(manager, ctx.args[0]);
+            const removed = await manager.guard.disallow(sender);
+            await ctx.reply(removed ? `✅ ${sender} removed from allowlist` : `ℹ️ ${sender} was not allowlisted`);
+        }
+    });
+
+    registry.register({
+        name: 'unmute',
+        description: 'Lift an automatic mute',
+        usage: '<number | channel:address>',
+        args: [{ name: 'sender', required: true }],
+        permission: 'operator',
+        handler: async (ctx) => {
+            const sender = parseSender(manager, ctx.args[0]);
+            const wasMuted = await manager.guard.unmute(sender);
+            await ctx.reply(wasMuted ? `🔊 ${sender} unmuted` : `ℹ️ ${sender} was not muted`);
+        }
+    });
+
+    registry.register({
+        name: 'blocklist',
+        description: 'Show blocked and allowlisted senders',
+        permission: 'viewer',
+        handler: async (ctx) => {
+            const format = (entries) => entries.length
+                ? entries.map(entry => `• ${entry.sender}${entry.reason ? ` — ${entry.reason}` : ''}`).join('\n')
+                : '_none_';
+
+            await ctx.reply(
+                `🚫 *Blocked*\n${format(await manager.guard.getBlocklist())}\n\n` +
+                `✅ *Allowlisted*\n${format(await manager.guard.getAllowlist())}`
+            );
+        }
+    });
+
+    registry.register({
+        name: 'logout',
+        description: 'Sign a user out of every session',
+        usage: '<userId>',
+        args: [{ name: 'userId', required: true }],
+        permission: 'operator',
+        destructive: true,
+        handler: async (ctx) => {
+            const result = await requireAuthService(manager).forceLogout(ctx.args[0], ctx.from);
+            await ctx.reply(`🔒 Signed out ${ctx.args[0]} from ${result.revoked} session(s)`);
+        }
+    });
+
+    registry.register({
+        name: 'restart',
+        description: 'Rolling restart of all workers',
+        permission: 'owner',
+        destructive: true,
+        handler: async (ctx) => {
+            if (!manager.requestRollingRestart(ctx.from)) {
+                await ctx.reply('❌ Not running under the cluster primary; restart unavailable');
+                return;
+            }
+            await ctx.reply('🔄 Rolling restart started. Workers are replaced one at a time.');
+        }
+    });
+}
+
+// Bare numbers mean WhatsApp; other channels are written as channel:address, e.g. telegram:12345
+function parseSender(manager, input) {
+    const separator = input.indexOf(':');
+    if (separator > 0 && !input.startsWith('+')) {
+        return manager.guard.senderKey(input.slice(0, separator), input.slice(separator + 1));
+    }
+    return manager.guard.senderKey('whatsapp', input);
+}
+
+function requireAuthService(manager) {
+    if (!manager.authService) {
+        throw new Error('Auth service not available');
+    }
+    return manager.authService;
+}
+
+function parseDuration(value) {
+    if (!value) return DEFAULT_LOCK_MS;
+
+    const match = /^(\d+)([smhd])$/.exec(value.toLowerCase());
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// No scope clears every lock the subject could be under
+function parseScopes(value) {
+    if (!value) return LOCK_SCOPES;
+
+    const scope = value.toLowerCase();
+    if (!LOCK_SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope: ${value}`);
+    }
+    return [scope];
+}
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { storage as sharedStorage } from '../../infrastucture/storage/storage.factory.js';
+
+const DIRECTORY_KEY = 'admin:directory';
+const CACHE_TTL_MS = 60 * 1000; // pick up edits made by other workers within a minute
+const SEVERITY_LEVELS = { low: 1, medium: 2, high: 3, critical: 4 };
+const ROLES = ['viewer', 'operator', 'owner'];
+
+// Single source of truth for who gets admin notifications and with what rights
+export class AdminDirectory {
+    constructor(options = {}) {
+        this.storage = options.storage || sharedStorage;
+        this.filePath = options.filePath || process.env.ADMIN_DIRECTORY_FILE ||
+            path.join(process.cwd(), 'config', 'admins.json');
+        this.admins = null;
+        this.loadedAt = 0;
+    }
+
+    async list() {
+        if (!this.admins || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+            this.admins = (await this.load()).map(admin => this.normalize(admin));
+            this.loadedAt = Date.now();
+        }
+        return this.admins;
+    }
+
+    async load() {
+        // Runtime edits (database) win over the config file, which wins over legacy env vars
+        const stored = await this.storage.get(DIRECTORY_KEY);
+        if (stored) return stored;
+
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Failed to read admin directory:', error.message);
+            }
+        }
+
+        return this.fromLegacyEnvironment();
+    }
+
+    async save(admins) {
+        const normalized = admins.map(admin => this.normalize(admin));
+        await this.storage.set(DIRECTORY_KEY, normalized);
+        this.admins = normalized;
+        this.loadedAt = Date.now();
+        return normalized;
+    }
+
+    async findByWhatsApp(number, normalizeNumber) {
+        const target = normalizeNumber(number);
+        if (!target) return null;
+        return (await this.list()).find(admin => admin.whatsapp && normalizeNumber(admin.whatsapp) === target) || null;
+    }
+
+    // Web sign-ins match an entry's explicit userId, or else a contact the caller confirms the user owns
+    async findForUser(userId, ownsContact) {
+        for (const admin of await this.list()) {
+            if (admin.userId ? admin.userId === userId : await ownsContact(admin)) {
+                return admin;
+            }
+        }
+        return null;
+    }
+
+    hasRole(admin, required) {
+        return ROLES.indexOf(admin.role) >= ROLES.indexOf(required);
+    }
+
+    async recipients(channel, { severity = 'low', category = null, now = new Date() } = {}) {
+        // Unrecognised severities are treated as high rather than silently dropped
+        const level = SEVERITY_LEVELS[String(severity).toLowerCase()] || SEVERITY_LEVELS.high;
+
+        return (await this.list()).filter(admin => {
+            const preferences = admin.notifications;
+            if (!admin[channel] || !preferences[channel]) return false;
+            if (level < SEVERITY_LEVELS[preferences.minSeverity]) return false;
+            if (category && preferences.categories && !preferences.categories.includes(category)) return false;
+
+            // Critical alerts always break through quiet hours
+            return level === SEVERITY_LEVELS.critical || !this.isQuietHours(admin.quietHours, now);
+        });
+    }
+
+    isQuietHours(quietHours, now = new Date()) {
+        if (!quietHours || !quietHours.start || !quietHours.end) return false;
+
+        const time = new Intl.DateTimeFormat('en-GB', {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false,
+            timeZone: quietHours.timezone || 'UTC'
+        }).format(now);
+
+        // Windows may wrap midnight, e.g. 22:00-07:00
+        return quietHours.start <= quietHours.end
+            ? time >= quietHours.start && time < quietHours.end
+            : time >= quietHours.start || time < quietHours.end;
+    }
+
+    normalize(admin) {
+        if (admin.role && !ROLES.includes(admin.role)) {
+            throw new Error(`Unknown admin role: ${admin.role}`);
+        }
+
+        return {
+            id: admin.id || admin.email || admin.whatsapp,
+            userId: admin.userId || null,
+            name: admin.name || null,
+            whatsapp: admin.whatsapp || null,
+            telegram: admin.telegram ? String(admin.telegram) : null,
+            locale: admin.locale || null,
+            email: admin.email || null,
+            role: admin.role || 'viewer',
+            notifications: {
+                whatsapp: true,
+                telegram: true,
+                email: true,
+                minSeverity: 'low',
+                categories: null,
+                ...admin.notifications
+            },
+            quietHours: admin.quietHours || null
+        };
+    }
+
+    fromLegacyEnvironment() {
+        const admins = [];
+
+        if (process.env.WHATSAPP_ADMIN_NUMBER || process.env.ADMIN_EMAIL) {
+            admins.push({
+                id: 'primary',
+                whatsapp: process.env.WHATSAPP_ADMIN_NUMBER,
+                email: process.env.ADMIN_EMAIL,
+                role: 'owner'
+            });
+        }
+        if (process.env.SECONDARY_ADMIN_EMAIL) {
+            admins.push({
+                id: 'secondary',
+                email: process.env.SECONDARY_ADMIN_EMAIL,
+                role: 'operator'
+            });
+        }
+
+        return admins;
+    }
+}
+
+// Shared instance for every admin-notification path
+export const adminDirectory = new AdminDirectory();
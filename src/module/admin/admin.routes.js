@@ -0,0 +1,60 @@
+import express from 'express';
+import { requireAuth } from '../auth/auth.routes.js';
+import { adminDirectory } from './admin.directory.js';
+
+export function createAdminRouter(authService, manager) {
+    const router = express.Router();
+
+    router.get('/whatsapp', requireAdmin(authService, 'viewer'), async (req, res) => {
+        try {
+            res.json({ success: true, connection: await manager.getConnectionStatus() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/whatsapp/logout', requireAdmin(authService, 'owner'), async (req, res) => {
+        try {
+            res.json(await manager.logoutWhatsApp(req.admin.id));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/whatsapp/repair', requireAdmin(authService, 'owner'), async (req, res) => {
+        try {
+            res.json(await manager.repairWhatsApp(req.admin.id));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+}
+
+export function requireAdmin(authService, role) {
+    const authenticate = requireAuth(authService);
+
+    return (req, res, next) => authenticate(req, res, async () => {
+        try {
+            req.admin = await findAdminForUser(authService, req.auth.sub, role);
+            next();
+        } catch (error) {
+            res.status(403).json({ success: false, error: error.message });
+        }
+    });
+}
+
+// Resolves a signed-in user to their roster entry, or throws if they lack the role.
+// Only contacts the user has proven they control count, so an unverified profile email can't claim a roster slot
+export async function findAdminForUser(authService, userId, role) {
+    const admin = await adminDirectory.findForUser(userId, async (contact) =>
+        (contact.email && await authService.findVerifiedOwner('email', contact.email) === userId) ||
+        (contact.whatsapp && await authService.findVerifiedOwner('whatsapp', contact.whatsapp) === userId)
+    );
+
+    if (!admin || !adminDirectory.hasRole(admin, role)) {
+        throw new Error(`Requires ${role} access`);
+    }
+    return admin;
+}
@@ -0,0 +1,62 @@
+import { EventBus } from '../../core/event-bus.js';
+import { findAdminForUser } from './admin.routes.js';
+
+const CONNECTION_ROOM = 'whatsapp-connection';
+
+// Live WhatsApp pairing and connection state for the admin page
+export function registerAdminSocket(io, authService, manager) {
+    const namespace = io.of('/admin');
+    const eventBus = EventBus.getInstance();
+
+    const authorize = async (token) => {
+        const auth = await authService.verifyAccessToken(token);
+        await findAdminForUser(authService, auth.sub, 'viewer');
+    };
+
+    const refuse = (socket) => {
+        socket.leave(CONNECTION_ROOM);
+        socket.emit('message', { type: 'SUBSCRIBE_FAILED', error: 'Admin access required' });
+    };
+
+    namespace.on('connection', (socket) => {
+        socket.on('message', async (message) => {
+            if (!message || message.type !== 'SUBSCRIBE') return;
+
+            // The QR links the bot to a phone, so only admins may see it
+            try {
+                await authorize(message.token);
+            } catch (error) {
+                refuse(socket);
+                return;
+            }
+
+            // Kept so every later push can re-check it; the page resubscribes whenever its token refreshes
+            socket.data.token = message.token;
+            socket.join(CONNECTION_ROOM);
+            socket.emit('message', {
+                type: 'WHATSAPP_CONNECTION',
+                connection: await manager.getConnectionStatus()
+            });
+        });
+    });
+
+    eventBus.on('WHATSAPP_CONNECTION_UPDATED', async () => {
+        const subscribers = [...namespace.sockets.values()].filter(socket => socket.rooms.has(CONNECTION_ROOM));
+        if (subscribers.length === 0) return;
+
+        const connection = await manager.getConnectionStatus();
+
+        // A logged-out session or an admin removed from the roster stops receiving QR codes at the next push
+        await Promise.all(subscribers.map(async (socket) => {
+            try {
+                await authorize(socket.data.token);
+            } catch (error) {
+                refuse(socket);
+                return;
+            }
+            socket.emit('message', { type: 'WHATSAPP_CONNECTION', connection });
+        }));
+    });
+
+    return namespace;
+}
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+
+const ROLE_LEVELS = { viewer: 1, operator: 2, owner: 3 };
+const CONFIRMATION_TTL_MS = 60 * 1000; // 1 minute
+
+export class CommandRegistry {
+    constructor({ storage, eventBus, reply, getRole }) {
+        this.storage = storage;
+        this.eventBus = eventBus;
+        this.reply = reply;
+        this.getRole = getRole;
+        this.commands = new Map();
+
+        this.register({
+            name: 'help',
+            description: 'List the commands you can run',
+            permission: 'viewer',
+            handler: (ctx) => ctx.reply(this.renderHelp(ctx.role))
+        });
+
+        this.register({
+            name: 'confirm',
+            description: 'Confirm a pending destructive command',
+            usage: '<code>',
+            args: [{ name: 'code', required: true }],
+            permission: 'viewer',
+            handler: (ctx) => this.confirm(ctx)
+        });
+    }
+
+    register(command) {
+        if (!ROLE_LEVELS[command.permission]) {
+            throw new Error(`Unknown permission level: ${command.permission}`);
+        }
+        this.commands.set(command.name, { args: [], usage: '', destructive: false, ...command });
+    }
+
+    async execute(from, text) {
+        const [rawName, ...args] = this.parseArguments(text);
+        const name = (rawName || '').replace(/^\//, '').toLowerCase();
+        const command = this.commands.get(name);
+        const role = await this.getRole(from);
+        const ctx = {
+            from,
+            role,
+            args,
+            reply: (message) => this.reply(from, message)
+        };
+
+        if (!command) {
+            await this.audit(from, name, args, 'UNKNOWN');
+            await ctx.reply('❌ Unknown command. Send /help for the list.');
+            return;
+        }
+
+        if (!this.hasPermission(role, command.permission)) {
+            await this.audit(from, name, args, 'DENIED');
+            await ctx.reply(`⛔ /${name} requires ${command.permission} access`);
+            return;
+        }
+
+        const missing = command.args.filter((arg, index) => arg.required && !args[index]);
+        if (missing.length > 0) {
+            await this.audit(from, name, args, 'INVALID_ARGUMENTS');
+            await ctx.reply(`❌ Usage: /${name} ${command.usage}`);
+            return;
+        }
+
+        // Bad input is reported now, not after the admin has gone through a confirmation
+        if (command.validate) {
+            try {
+                await command.validate(ctx);
+            } catch (error) {
+                await this.audit(from, name, args, 'INVALID_ARGUMENTS', error.message);
+                await ctx.reply(`❌ ${error.message}\nUsage: /${name} ${command.usage}`);
+                return;
+            }
+        }
+
+        if (command.destructive) {
+            await this.requestConfirmation(ctx, command);
+            return;
+        }
+
+        await this.run(ctx, command);
+    }
+
+    async run(ctx, command) {
+        try {
+            await command.handler(ctx);
+            await this.audit(ctx.from, command.name, ctx.args, 'EXECUTED');
+        } catch (error) {
+            await this.audit(ctx.from, command.name, ctx.args, 'FAILED', error.message);
+            await ctx.reply(`❌ /${command.name} failed: ${error.message}`);
+        }
+    }
+
+    async requestConfirmation(ctx, command) {
+        const code = crypto.randomInt(1000, 9999).toString();
+
+        await this.storage.set(this.confirmationKey(ctx.from), {
+            command: command.name,
+            args: ctx.args,
+            code
+        }, CONFIRMATION_TTL_MS);
+
+        await this.audit(ctx.from, command.name, ctx.args, 'AWAITING_CONFIRMATION');
+        await ctx.reply(
+            `⚠️ /${command.name} ${ctx.args.join(' ')} is destructive.\n` +
+            `Send */confirm ${code}* within 60 seconds to proceed.`
+        );
+    }
+
+    async confirm(ctx) {
+        const key = this.confirmationKey(ctx.from);
+        const pending = await this.storage.get(key);
+        await this.storage.del(key);
+
+        if (!pending || pending.code !== ctx.args[0]) {
+            await ctx.reply('❌ No matching command is waiting for confirmation');
+            return;
+        }
+
+        const command = this.commands.get(pending.command);
+
+        // Re-check in case the sender's role changed while the prompt was open
+        if (!command || !this.hasPermission(ctx.role, command.permission)) {
+            await this.audit(ctx.from, pending.command, pending.args, 'DENIED');
+            await ctx.reply('⛔ You can no longer run this command');
+            return;
+        }
+
+        await this.run({ ...ctx, args: pending.args }, command);
+    }
+
+    renderHelp(role) {
+        const lines = [...this.commands.values()]
+            .filter(command => this.hasPermission(role, command.permission))
+            .map(command => {
+                const usage = command.usage ? ` ${command.usage}` : '';
+                const flag = command.destructive ? ' ⚠️' : '';
+                return `• */${command.name}*${usage} — ${command.description}${flag}`;
+            });
+
+        return `🤖 *Admin Commands* (${role})\n\n${lines.join('\n')}`;
+    }
+
+    hasPermission(role, required) {
+        return (ROLE_LEVELS[role] || 0) >= ROLE_LEVELS[required];
+    }
+
+    parseArguments(text) {
+        const tokens = [];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(text.trim())) !== null) {
+            tokens.push(match[1] !== undefined ? match[1] : match[2]);
+        }
+
+        return tokens;
+    }
+
+    async audit(from, command, args, outcome, error = null) {
+        await this.eventBus.emit('SECURITY_EVENT', {
+            type: 'ADMIN_COMMAND',
+            timestamp: new Date().toISOString(),
+            data: { from, command, args, outcome, error }
+        });
+    }
+
+    confirmationKey(from) {
+        return `admin-confirm:${from}`;
+    }
+}
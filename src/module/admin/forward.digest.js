@@ -0,0 +1,83 @@
+import { i18n } from '../i18n/i18n.service.js';
+
+const DIGEST_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
+const MAX_ENTRIES = 100;
+const MAX_LISTED_SENDERS = 15;
+const PREVIEW_LENGTH = 160;
+
+// Collects messages worth an admin's attention and releases them as one summary per period.
+// Entries go into a bucket per period; once a period has closed, exactly one worker claims and sends it
+export class ForwardDigest {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.intervalMs = options.intervalMs || Number(process.env.FORWARD_DIGEST_INTERVAL_MS) || DIGEST_INTERVAL_MS;
+    }
+
+    async add({ sender, channel, body, timestamp }) {
+        const key = this.bucketKey(this.periodOf(Date.now()));
+        const entries = (await this.storage.get(key)) || [];
+
+        await this.storage.set(key, [...entries, {
+            sender,
+            channel,
+            body: String(body).slice(0, PREVIEW_LENGTH),
+            receivedAt: new Date((timestamp || Math.floor(Date.now() / 1000)) * 1000).toISOString()
+        }].slice(-MAX_ENTRIES), this.intervalMs * 3);
+
+        // Anything past the cap still counts, it just isn't listed
+        await this.storage.incr(`${key}:total`, this.intervalMs * 3);
+    }
+
+    // Returns the text to send for the last closed period, or null if it's empty or already claimed
+    async flush(now = Date.now()) {
+        const period = this.periodOf(now) - 1;
+        const key = this.bucketKey(period);
+
+        if ((await this.storage.incr(`${key}:claimed`, this.intervalMs * 3)) !== 1) {
+            return null;
+        }
+
+        const entries = (await this.storage.get(key)) || [];
+        const total = (await this.storage.get(`${key}:total`)) || entries.length;
+        await this.storage.del(key);
+        await this.storage.del(`${key}:total`);
+
+        if (entries.length === 0) return null;
+        return this.render(entries, total, period);
+    }
+
+    render(entries, total, period) {
+        const bySender = new Map();
+        for (const entry of entries) {
+            const group = bySender.get(entry.sender) || { ...entry, count: 0 };
+            group.count += 1;
+            group.body = entry.body;
+            group.receivedAt = entry.receivedAt;
+            bySender.set(entry.sender, group);
+        }
+
+        const groups = [...bySender.values()].sort((a, b) => b.count - a.count);
+        const lines = groups.slice(0, MAX_LISTED_SENDERS).map(group =>
+            `• *${group.sender}* (${group.count}×) — "${group.body}"`
+        );
+        if (groups.length > MAX_LISTED_SENDERS) {
+            lines.push(`_…and ${groups.length - MAX_LISTED_SENDERS} more senders_`);
+        }
+
+        const from = new Date(period * this.intervalMs);
+        const to = new Date((period + 1) * this.intervalMs);
+
+        return `📬 *Forwarded Messages Digest*\n` +
+               `_${i18n.formatDate('en', from)} – ${i18n.formatTime('en', to)}_\n\n` +
+               `${total} message(s) from ${groups.length} sender(s)\n\n` +
+               lines.join('\n');
+    }
+
+    periodOf(timestamp) {
+        return Math.floor(timestamp / this.intervalMs);
+    }
+
+    bucketKey(period) {
+        return `forward-digest:${period}`;
+    }
+}
@@ -0,0 +1,225 @@
+import express from 'express';
+
+export function createAuthRouter(authService) {
+    const router = express.Router();
+
+    router.post('/refresh', async (req, res) => {
+        try {
+            const result = await authService.refreshTokens(req.body.refreshToken, {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+            res.json(result);
+        } catch (error) {
+            res.status(401).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/logout', async (req, res) => {
+        try {
+            const result = await authService.logout(req.body.refreshToken);
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/otp/reverse', async (req, res) => {
+        try {
+            res.json(await authService.startReverseOTP(req.body.sessionId));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/password/forgot', async (req, res) => {
+        try {
+            const result = await authService.requestPasswordReset({
+                identifier: req.body.identifier,
+                ipAddress: req.ip
+            });
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/password/reset', async (req, res) => {
+        try {
+            const { resetId, code, newPassword } = req.body;
+            res.json(await authService.completePasswordReset({ resetId, code, newPassword }));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/totp/enroll', requireAuth(authService), async (req, res) => {
+        try {
+            const result = await authService.beginTotpEnrollment(req.auth.sub, req.body.accountName);
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/totp/confirm', requireAuth(authService), async (req, res) => {
+        try {
+            const result = await authService.confirmTotpEnrollment(req.auth.sub, req.body.code, req.body.currentCode);
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/passkeys/login/options', async (req, res) => {
+        try {
+            res.json(await authService.beginPasskeyLogin());
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/passkeys/login/verify', async (req, res) => {
+        try {
+            const result = await authService.completePasskeyLogin(req.body.credential, {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+            res.json(result);
+        } catch (error) {
+            res.status(401).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/google', async (req, res) => {
+        try {
+            res.json(await authService.initiateGoogleAuth());
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/google/callback', async (req, res) => {
+        try {
+            const { code, state, sessionId } = req.body;
+            res.json(await authService.handleGoogleCallback(code, sessionId, state));
+        } catch (error) {
+            res.status(401).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/identities', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.listIdentities(req.auth.sub));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/identities/:provider/:subject', requireAuth(authService), async (req, res) => {
+        try {
+            const { provider, subject } = req.params;
+            res.json(await authService.unlinkIdentity(req.auth.sub, provider, subject));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/messaging/channel', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.getMessagingChannel(req.auth.sub));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.put('/messaging/channel', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.setMessagingChannel(req.auth.sub, req.body.channel));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/sessions', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.listSessions(req.auth.sub, req.auth.fam));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/sessions/:sessionId', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.revokeSession(req.auth.sub, req.params.sessionId));
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/sessions/revoke-others', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.revokeOtherSessions(req.auth.sub, req.auth.fam));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/passkeys', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.listPasskeys(req.auth.sub));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/passkeys/register/options', requireAuth(authService), async (req, res) => {
+        try {
+            const profile = await authService.getUserProfile(req.auth.sub);
+            res.json(await authService.beginPasskeyRegistration({ ...profile, id: req.auth.sub }));
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.post('/passkeys/register/verify', requireAuth(authService), async (req, res) => {
+        try {
+            const result = await authService.completePasskeyRegistration(
+                req.auth.sub,
+                req.body.credential,
+                req.body.name
+            );
+            res.json(result);
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.delete('/passkeys/:credentialId', requireAuth(authService), async (req, res) => {
+        try {
+            res.json(await authService.removePasskey(req.auth.sub, req.params.credentialId));
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+}
+
+export function requireAuth(authService) {
+    return async (req, res, next) => {
+        const header = req.get('authorization') || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        try {
+            req.auth = await authService.verifyAccessToken(token);
+            next();
+        } catch (error) {
+            res.status(401).json({ success: false, error: 'Invalid or expired token' });
+        }
+    };
+}
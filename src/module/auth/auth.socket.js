@@ -0,0 +1,34 @@
+import { EventBus } from '../../core/event-bus.js';
+
+// Pushes verification updates to browsers waiting on a verification session
+export function registerAuthSocket(io, authService) {
+    const namespace = io.of('/auth');
+    const eventBus = EventBus.getInstance();
+
+    namespace.on('connection', (socket) => {
+        socket.on('message', async (message) => {
+            if (!message || message.type !== 'SUBSCRIBE') return;
+
+            // Only live verification sessions can be watched
+            const session = await authService.getVerificationSession(message.sessionId);
+            if (!session) {
+                socket.emit('message', { type: 'SUBSCRIBE_FAILED', error: 'Invalid session' });
+                return;
+            }
+
+            socket.join(`verification:${message.sessionId}`);
+            socket.emit('message', {
+                type: 'SUBSCRIBED',
+                sessionId: message.sessionId,
+                failover: session.failover || null,
+                emailBounce: session.emailBounce || null
+            });
+        });
+    });
+
+    eventBus.on('AUTH_SOCKET_PUSH', ({ sessionId, message }) => {
+        namespace.to(`verification:${sessionId}`).emit('message', message);
+    });
+
+    return namespace;
+}
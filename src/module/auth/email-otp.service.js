@@ -0,0 +1,12 @@
+import { gmailManager } from '../../infrastucture/external-apis/gmail.manager.js';
+
+// Delivers OTP emails. The session ID travels with the message so a bounce can be traced back to it
+export class EmailOTPService {
+    constructor(gmail = gmailManager) {
+        this.gmail = gmail;
+    }
+
+    async sendOTP(email, template, sessionId = null) {
+        return await this.gmail.sendEmail({ to: email, ...template, sessionId });
+    }
+}
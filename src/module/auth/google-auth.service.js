@@ -0,0 +1,49 @@
+import { google } from 'googleapis';
+
+const SCOPES = ['openid', 'email', 'profile'];
+
+export class GoogleAuthService {
+    // `client` and `fetchUserInfo` can be swapped for local stand-ins in tests
+    constructor(options = {}) {
+        this.client = options.client || new google.auth.OAuth2(
+            process.env.GOOGLE_CLIENT_ID,
+            process.env.GOOGLE_CLIENT_SECRET,
+            process.env.GOOGLE_REDIRECT_URI
+        );
+        this.fetchUserInfo = options.fetchUserInfo || this.fetchGoogleUserInfo.bind(this);
+    }
+
+    async generateAuthUrl({ state, codeChallenge }) {
+        return this.client.generateAuthUrl({
+            access_type: 'online',
+            scope: SCOPES,
+            prompt: 'select_account',
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+    }
+
+    async exchangeCodeForTokens(code, codeVerifier) {
+        const { tokens } = await this.client.getToken({ code, codeVerifier });
+        return tokens;
+    }
+
+    async getUserInfo(accessToken) {
+        const userInfo = await this.fetchUserInfo(accessToken);
+
+        if (!userInfo.email || userInfo.verified_email === false) {
+            throw new Error('Google account email is not verified');
+        }
+
+        return userInfo;
+    }
+
+    async fetchGoogleUserInfo(accessToken) {
+        const auth = new google.auth.OAuth2();
+        auth.setCredentials({ access_token: accessToken });
+
+        const { data } = await google.oauth2({ version: 'v2', auth }).userinfo.get();
+        return data;
+    }
+}
@@ -0,0 +1,57 @@
+// Login identities attached to an account: local (email/phone + password) and federated providers
+export class IdentityStore {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    async findUserId(provider, subject) {
+        return await this.storage.get(this.identityKey(provider, subject));
+    }
+
+    async list(userId) {
+        return (await this.storage.get(this.userKey(userId))) || [];
+    }
+
+    async link(userId, identity) {
+        const owner = await this.findUserId(identity.provider, identity.subject);
+        if (owner && owner !== userId) {
+            throw new Error('Identity is already linked to another account');
+        }
+
+        const identities = await this.list(userId);
+        if (owner === userId) {
+            return identities.find(item => this.matches(item, identity.provider, identity.subject));
+        }
+
+        const record = { ...identity, linkedAt: new Date().toISOString() };
+        await this.storage.set(this.identityKey(identity.provider, identity.subject), userId);
+        await this.storage.set(this.userKey(userId), [...identities, record]);
+
+        return record;
+    }
+
+    async unlink(userId, provider, subject) {
+        const identities = await this.list(userId);
+        const remaining = identities.filter(item => !this.matches(item, provider, subject));
+        if (remaining.length === identities.length) {
+            return false;
+        }
+
+        await this.storage.del(this.identityKey(provider, subject));
+        await this.storage.set(this.userKey(userId), remaining);
+
+        return true;
+    }
+
+    matches(identity, provider, subject) {
+        return identity.provider === provider && String(identity.subject) === String(subject);
+    }
+
+    identityKey(provider, subject) {
+        return `identity:${provider}:${String(subject).toLowerCase()}`;
+    }
+
+    userKey(userId) {
+        return `user-identities:${userId}`;
+    }
+}
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+export class TokenService {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.secret = options.secret || process.env.JWT_SECRET;
+        this.accessTtl = options.accessTtl || ACCESS_TOKEN_TTL_SECONDS;
+        this.refreshTtl = options.refreshTtl || REFRESH_TOKEN_TTL_MS;
+    }
+
+    // Each token family doubles as the record of one signed-in session
+    async issueTokens(userId, familyId = null, context = {}) {
+        if (!familyId) {
+            const now = new Date().toISOString();
+            familyId = crypto.randomBytes(16).toString('hex');
+            await this.storage.set(this.familyKey(familyId), {
+                userId,
+                revoked: false,
+                createdAt: now,
+                lastSeenAt: now,
+                ipAddress: context.ipAddress || null,
+                userAgent: context.userAgent || null,
+                device: describeDevice(context.userAgent),
+                method: context.method || null
+            }, this.refreshTtl);
+
+            await this.storage.sadd(this.userFamiliesKey(userId), familyId, this.refreshTtl);
+        }
+
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        const tokenHash = this.hashToken(refreshToken);
+
+        await this.storage.set(this.refreshKey(tokenHash), {
+            userId,
+            familyId,
+            createdAt: new Date().toISOString()
+        }, this.refreshTtl);
+        await this.storage.set(this.activeKey(tokenHash), true, this.refreshTtl);
+
+        return {
+            tokenType: 'Bearer',
+            accessToken: this.signAccessToken(userId, familyId),
+            expiresIn: this.accessTtl,
+            refreshToken,
+            refreshExpiresIn: Math.floor(this.refreshTtl / 1000)
+        };
+    }
+
+    async rotate(refreshToken, context = {}) {
+        const tokenHash = this.hashToken(refreshToken);
+        const record = await this.storage.get(this.refreshKey(tokenHash));
+        if (!record) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const family = await this.storage.get(this.familyKey(record.familyId));
+        if (!family || family.revoked) {
+            throw new Error('Refresh token revoked');
+        }
+
+        // Deleting the active marker is the atomic "use" of the token;
+        // if it was already gone, this token was rotated before and is being replayed
+        const wasActive = await this.storage.del(this.activeKey(tokenHash));
+        if (!wasActive) {
+            await this.revokeFamily(record.familyId, 'REUSE_DETECTED');
+            return { reuseDetected: true, userId: record.userId, familyId: record.familyId };
+        }
+
+        await this.storage.set(this.familyKey(record.familyId), {
+            ...family,
+            lastSeenAt: new Date().toISOString(),
+            ipAddress: context.ipAddress || family.ipAddress,
+            userAgent: context.userAgent || family.userAgent,
+            device: context.userAgent ? describeDevice(context.userAgent) : family.device
+        }, this.refreshTtl);
+
+        const tokens = await this.issueTokens(record.userId, record.familyId);
+        return { reuseDetected: false, userId: record.userId, familyId: record.familyId, tokens };
+    }
+
+    async revoke(refreshToken, reason = 'LOGOUT') {
+        const record = await this.storage.get(this.refreshKey(this.hashToken(refreshToken)));
+        if (!record) return null;
+
+        await this.revokeFamily(record.familyId, reason);
+        return record;
+    }
+
+    async revokeFamily(familyId, reason) {
+        const family = await this.storage.get(this.familyKey(familyId));
+        if (!family) return false;
+
+        await this.storage.set(this.familyKey(familyId), {
+            ...family,
+            revoked: true,
+            revokedAt: new Date().toISOString(),
+            revokedReason: reason
+        }, this.refreshTtl);
+
+        return true;
+    }
+
+    async getFamily(familyId) {
+        return await this.storage.get(this.familyKey(familyId));
+    }
+
+    async listSessions(userId) {
+        const familyIds = await this.storage.smembers(this.userFamiliesKey(userId));
+        const sessions = [];
+
+        for (const familyId of familyIds) {
+            const family = await this.getFamily(familyId);
+            if (family && !family.revoked) {
+                sessions.push({ id: familyId, ...family });
+            } else {
+                // Drop revoked and expired families from the index while we're here
+                await this.storage.srem(this.userFamiliesKey(userId), familyId);
+            }
+        }
+
+        return sessions;
+    }
+
+    async revokeAllForUser(userId, reason, exceptFamilyId = null) {
+        const families = await this.storage.smembers(this.userFamiliesKey(userId));
+        const revoked = families.filter(familyId => familyId !== exceptFamilyId);
+
+        // Per-member removal, so a session signed in meanwhile stays indexed
+        for (const familyId of revoked) {
+            await this.revokeFamily(familyId, reason);
+            await this.storage.srem(this.userFamiliesKey(userId), familyId);
+        }
+
+        return revoked.length;
+    }
+
+    async verifyAccessToken(accessToken) {
+        const payload = jwt.verify(accessToken, this.getSecret());
+
+        // Access tokens die with their family, so logout takes effect immediately
+        const family = await this.storage.get(this.familyKey(payload.fam));
+        if (!family || family.revoked) {
+            throw new Error('Access token revoked');
+        }
+
+        return payload;
+    }
+
+    signAccessToken(userId, familyId) {
+        return jwt.sign({ sub: userId, fam: familyId }, this.getSecret(), {
+            expiresIn: this.accessTtl,
+            jwtid: crypto.randomBytes(8).toString('hex')
+        });
+    }
+
+    getSecret() {
+        if (!this.secret) {
+            throw new Error('JWT_SECRET is not configured');
+        }
+        return this.secret;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    familyKey(familyId) {
+        return `token-family:${familyId}`;
+    }
+
+    userFamiliesKey(userId) {
+        return `user-token-families:${userId}`;
+    }
+
+    refreshKey(tokenHash) {
+        return `refresh-token:${tokenHash}`;
+    }
+
+    activeKey(tokenHash) {
+        return `refresh-token-active:${tokenHash}`;
+    }
+}
+
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/Chrome\//, 'Chrome'],
+        [/Firefox\//, 'Firefox'],
+        [/Safari\//, 'Safari']
+    ].find(([pattern]) => pattern.test(userAgent));
+
+    const os = [
+        [/Windows/, 'Windows'],
+        [/Android/, 'Android'],
+        [/iPhone|iPad|iOS/, 'iOS'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+
+    return `${browser ? browser[1] : 'Unknown browser'} on ${os ? os[1] : 'unknown OS'}`;
+}
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept one step either side for clock skew
+const ENROLLMENT_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const RECOVERY_CODE_COUNT = 10;
+const USED_STEP_TTL_MS = (2 * DRIFT_STEPS + 2) * STEP_SECONDS * 1000; // a step is only accepted while it is within the drift window
+
+// RFC 6238 time-based codes for authenticator apps
+export class TOTPService {
+    constructor(storage, encryption, options = {}) {
+        this.storage = storage;
+        this.encryption = encryption;
+        this.issuer = options.issuer || process.env.TOTP_ISSUER || 'ndiidepzX-Ai';
+    }
+
+    async beginEnrollment(userId, accountName) {
+        const secret = this.generateSecret();
+
+        await this.storage.set(this.pendingKey(userId), {
+            secret: await this.encryption.encrypt(secret),
+            createdAt: new Date().toISOString()
+        }, ENROLLMENT_TTL_MS);
+
+        const otpauthUrl = this.buildProvisioningUri(secret, accountName);
+
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl),
+            expiresAt: new Date(Date.now() + ENROLLMENT_TTL_MS).toISOString()
+        };
+    }
+
+    async confirmEnrollment(userId, code, currentCode = null) {
+        const pending = await this.storage.get(this.pendingKey(userId));
+        if (!pending) {
+            throw new Error('No pending authenticator enrollment');
+        }
+
+        const secret = await this.encryption.decrypt(pending.secret);
+        const step = this.matchStep(secret, code);
+        if (step === null) {
+            throw new Error('Invalid authenticator code');
+        }
+
+        // Replacing a working authenticator needs proof of the old one, not just a live session
+        if (await this.isEnabled(userId)) {
+            const current = await this.verify(userId, currentCode);
+            if (!current.valid) {
+                throw new Error('Current authenticator code required to replace enrollment');
+            }
+        }
+
+        await this.storage.set(this.enrollmentKey(userId), {
+            secret: pending.secret,
+            lastUsedStep: step,
+            enabledAt: new Date().toISOString()
+        });
+        await this.claimStep(userId, step);
+        const recoveryCodes = await this.replaceRecoveryCodes(userId);
+        await this.storage.del(this.pendingKey(userId));
+
+        // Plain recovery codes are shown once and never stored
+        return { recoveryCodes };
+    }
+
+    async isEnabled(userId) {
+        return (await this.storage.get(this.enrollmentKey(userId))) !== null;
+    }
+
+    async verify(userId, code) {
+        const enrollment = await this.storage.get(this.enrollmentKey(userId));
+        if (!enrollment || typeof code !== 'string') {
+            return { valid: false };
+        }
+
+        const normalized = code.replace(/[\s-]/g, '');
+
+        if (/^\d{6}$/.test(normalized)) {
+            const secret = await this.encryption.decrypt(enrollment.secret);
+            const step = this.matchStep(secret, normalized);
+
+            // A step may only be used once, so a shoulder-surfed code can't be replayed.
+            // The claim is a single increment, so of two concurrent requests only one gets it
+            if (step === null || step <= enrollment.lastUsedStep || !(await this.claimStep(userId, step))) {
+                return { valid: false };
+            }
+            return { valid: true, method: 'totp' };
+        }
+
+        // Removing the code is the check, so a recovery code can't be spent twice in parallel
+        if (!(await this.storage.srem(this.recoveryKey(userId), this.hashRecoveryCode(normalized)))) {
+            return { valid: false };
+        }
+
+        const remainingRecoveryCodes = (await this.storage.smembers(this.recoveryKey(userId))).length;
+        return { valid: true, method: 'recovery_code', remainingRecoveryCodes };
+    }
+
+    async claimStep(userId, step) {
+        return (await this.storage.incr(`totp-step:${userId}:${step}`, USED_STEP_TTL_MS)) === 1;
+    }
+
+    async regenerateRecoveryCodes(userId) {
+        if (!(await this.isEnabled(userId))) {
+            throw new Error('Authenticator app is not enabled');
+        }
+
+        return { recoveryCodes: await this.replaceRecoveryCodes(userId) };
+    }
+
+    // Plain codes are returned once; only their hashes are kept, one set member each
+    async replaceRecoveryCodes(userId) {
+        const recoveryCodes = this.generateRecoveryCodes();
+
+        await this.storage.del(this.recoveryKey(userId));
+        for (const recoveryCode of recoveryCodes) {
+            await this.storage.sadd(this.recoveryKey(userId), this.hashRecoveryCode(recoveryCode));
+        }
+
+        return recoveryCodes;
+    }
+
+    async disable(userId) {
+        await this.storage.del(this.recoveryKey(userId));
+        return await this.storage.del(this.enrollmentKey(userId));
+    }
+
+    matchStep(secret, code, timestamp = Date.now()) {
+        if (!/^\d{6}$/.test(code)) return null;
+
+        const currentStep = Math.floor(timestamp / 1000 / STEP_SECONDS);
+        const key = this.base32Decode(secret);
+
+        for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+            const candidate = this.generateCode(key, currentStep + offset);
+            if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+                return currentStep + offset;
+            }
+        }
+
+        return null;
+    }
+
+    generateCode(key, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+
+        // Dynamic truncation, RFC 4226 section 5.3
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+                       (hmac[offset + 1] << 16) |
+                       (hmac[offset + 2] << 8) |
+                       hmac[offset + 3];
+
+        return (binary % Math.pow(10, DIGITS)).toString().padStart(DIGITS, '0');
+    }
+
+    buildProvisioningUri(secret, accountName) {
+        const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(DIGITS),
+            period: String(STEP_SECONDS)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(20));
+    }
+
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+    }
+
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    base32Decode(input) {
+        const cleaned = input.toUpperCase().replace(/=+$/, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of cleaned) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 secret');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    pendingKey(userId) {
+        return `totp-pending:${userId}`;
+    }
+
+    enrollmentKey(userId) {
+        return `totp:${userId}`;
+    }
+
+    recoveryKey(userId) {
+        return `totp-recovery:${userId}`;
+    }
+}
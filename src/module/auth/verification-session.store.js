@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+
+const SESSION_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+export class VerificationSessionStore {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.sessionTtl = options.sessionTtl || SESSION_TTL_MS;
+        this.otpTtl = options.otpTtl || OTP_TTL_MS;
+        // Deliberately not JWT_SECRET: a leaked signing key shouldn't also let stored OTP hashes be brute-forced
+        this.secret = options.secret || process.env.OTP_HASH_SECRET;
+    }
+
+    async createSession(session) {
+        const now = Date.now();
+        const record = {
+            ...session,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.sessionTtl).toISOString()
+        };
+
+        await this.storage.set(this.sessionKey(session.sessionId), record, this.sessionTtl);
+        return record;
+    }
+
+    async getSession(sessionId) {
+        if (!sessionId) return null;
+        return await this.storage.get(this.sessionKey(sessionId));
+    }
+
+    async updateSession(sessionId, changes) {
+        const session = await this.getSession(sessionId);
+        if (!session) return null;
+
+        // Changes never extend the session's original lifetime
+        const remainingMs = new Date(session.expiresAt).getTime() - Date.now();
+        if (remainingMs <= 0) return null;
+
+        const record = { ...session, ...changes };
+        await this.storage.set(this.sessionKey(sessionId), record, remainingMs);
+        return record;
+    }
+
+    async deleteSession(sessionId) {
+        await this.storage.del(this.sessionKey(sessionId));
+    }
+
+    async storeOTP(sessionId, channel, identifier, otpCode) {
+        // Only the keyed hash is persisted, never the code itself
+        await this.storage.set(this.otpKey(sessionId, channel), {
+            hash: this.hashCode(sessionId, channel, otpCode),
+            identifier,
+            createdAt: new Date().toISOString()
+        }, this.otpTtl);
+    }
+
+    async consumeOTP(sessionId, channel, otpCode) {
+        const key = this.otpKey(sessionId, channel);
+        const record = await this.storage.get(key);
+        if (!record || typeof otpCode !== 'string') return false;
+
+        const expected = Buffer.from(record.hash, 'hex');
+        const actual = Buffer.from(this.hashCode(sessionId, channel, otpCode), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) return false;
+
+        // Whoever deletes the record first wins, so a code can only be used once
+        return await this.storage.del(key);
+    }
+
+    hashCode(sessionId, channel, otpCode) {
+        if (!this.secret) {
+            throw new Error('OTP_HASH_SECRET is not configured');
+        }
+
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${sessionId}:${channel}:${otpCode}`)
+            .digest('hex');
+    }
+
+    sessionKey(sessionId) {
+        return `verification-session:${sessionId}`;
+    }
+
+    otpKey(sessionId, channel) {
+        return `otp:${sessionId}:${channel}`;
+    }
+}
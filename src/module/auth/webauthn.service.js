@@ -0,0 +1,469 @@
+import crypto from 'crypto';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const CREDENTIAL_LOCK_TTL_MS = 10 * 1000; // outlives any single ceremony step
+const MAX_CBOR_DEPTH = 8; // COSE keys and attestation objects nest two or three levels
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+const FLAG_EXTENSION_DATA = 0x80;
+
+export class WebAuthnService {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.rpId = options.rpId || process.env.WEBAUTHN_RP_ID || 'localhost';
+        this.rpName = options.rpName || process.env.WEBAUTHN_RP_NAME || 'ndiidepzX-Ai';
+        this.origins = (options.origin || process.env.WEBAUTHN_ORIGIN || 'http://localhost:3000')
+            .split(',')
+            .map(origin => origin.trim());
+    }
+
+    // Registration (attestation) ceremony
+    async generateRegistrationOptions(user) {
+        const challenge = await this.createChallenge('registration', user.id);
+        const existing = await this.listCredentials(user.id);
+
+        return {
+            challenge,
+            rp: { id: this.rpId, name: this.rpName },
+            user: {
+                id: Buffer.from(String(user.id)).toString('base64url'),
+                name: user.name || user.email || String(user.id),
+                displayName: user.displayName || user.name || user.email || String(user.id)
+            },
+            pubKeyCredParams: [
+                { type: 'public-key', alg: COSE_ALG_ES256 },
+                { type: 'public-key', alg: COSE_ALG_RS256 }
+            ],
+            timeout: CHALLENGE_TTL_MS,
+            attestation: 'none',
+            excludeCredentials: existing.map(credential => ({
+                type: 'public-key',
+                id: credential.credentialId,
+                transports: credential.transports
+            })),
+            authenticatorSelection: {
+                residentKey: 'preferred',
+                userVerification: 'required'
+            }
+        };
+    }
+
+    async verifyRegistration(userId, credential, name = null) {
+        const clientDataJSON = Buffer.from(credential.response.clientDataJSON, 'base64url');
+        const clientData = JSON.parse(clientDataJSON.toString('utf8'));
+
+        await this.verifyClientData(clientData, 'webauthn.create', 'registration', userId);
+
+        const attestation = decodeCborExact(Buffer.from(credential.response.attestationObject, 'base64url'));
+        if (!attestation || typeof attestation.fmt !== 'string' || !Buffer.isBuffer(attestation.authData)) {
+            throw new Error('Malformed attestation object');
+        }
+        const authData = this.parseAuthenticatorData(attestation.authData);
+
+        if (!(authData.flags & FLAG_ATTESTED_DATA)) {
+            throw new Error('Attested credential data missing');
+        }
+        if (!(authData.flags & FLAG_USER_VERIFIED)) {
+            throw new Error('User verification required');
+        }
+
+        const publicKey = coseToPublicKey(authData.credentialPublicKey);
+        const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+        this.verifyAttestationStatement(attestation, publicKey, clientDataHash);
+
+        const credentialId = authData.credentialId.toString('base64url');
+        return await this.withCredentialLock(credentialId, async () => {
+            if (await this.getCredential(credentialId)) {
+                throw new Error('Credential already registered');
+            }
+
+            const record = {
+                credentialId,
+                userId,
+                name: name || 'Passkey',
+                publicKey: publicKey.key.export({ type: 'spki', format: 'pem' }),
+                alg: publicKey.alg,
+                signCount: authData.signCount,
+                transports: credential.response.transports || [],
+                userVerified: Boolean(authData.flags & FLAG_USER_VERIFIED),
+                createdAt: new Date().toISOString(),
+                lastUsedAt: null
+            };
+
+            await this.storage.set(this.credentialKey(credentialId), record);
+            await this.storage.sadd(this.userKey(userId), credentialId);
+
+            return record;
+        });
+    }
+
+    // Authentication (assertion) ceremony
+    async generateAuthenticationOptions(userId = null) {
+        const challenge = await this.createChallenge('authentication', userId);
+        const allowCredentials = userId
+            ? (await this.listCredentials(userId)).map(credential => ({
+                type: 'public-key',
+                id: credential.credentialId,
+                transports: credential.transports
+            }))
+            : [];
+
+        return {
+            challenge,
+            rpId: this.rpId,
+            timeout: CHALLENGE_TTL_MS,
+            // A passkey sign-in skips the second factor, so it has to be two factors on its own
+            userVerification: 'required',
+            allowCredentials
+        };
+    }
+
+    async verifyAuthentication(credential) {
+        const stored = await this.getCredential(credential.id);
+        if (!stored) {
+            throw new Error('Unknown credential');
+        }
+
+        if (credential.response.userHandle) {
+            const userHandle = Buffer.from(credential.response.userHandle, 'base64url').toString('utf8');
+            if (userHandle !== String(stored.userId)) {
+                throw new Error('Credential does not belong to user');
+            }
+        }
+
+        const clientDataJSON = Buffer.from(credential.response.clientDataJSON, 'base64url');
+        const clientData = JSON.parse(clientDataJSON.toString('utf8'));
+        await this.verifyClientData(clientData, 'webauthn.get', 'authentication', stored.userId);
+
+        const authenticatorData = Buffer.from(credential.response.authenticatorData, 'base64url');
+        const authData = this.parseAuthenticatorData(authenticatorData);
+        if (!(authData.flags & FLAG_USER_VERIFIED)) {
+            throw new Error('User verification required');
+        }
+
+        const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+        const signedData = Buffer.concat([authenticatorData, clientDataHash]);
+        const signature = Buffer.from(credential.response.signature, 'base64url');
+
+        if (!crypto.verify('sha256', signedData, stored.publicKey, signature)) {
+            throw new Error('Invalid passkey signature');
+        }
+
+        // The counter is checked against a fresh read while no other assertion for this credential runs
+        await this.withCredentialLock(stored.credentialId, async () => {
+            const current = (await this.getCredential(stored.credentialId)) || stored;
+
+            // A counter that fails to advance means the authenticator may have been cloned
+            if ((authData.signCount > 0 || current.signCount > 0) && authData.signCount <= current.signCount) {
+                const error = new Error('Passkey signature counter did not increase');
+                error.code = 'WEBAUTHN_COUNTER_REGRESSION';
+                error.userId = stored.userId;
+                throw error;
+            }
+
+            await this.storage.set(this.credentialKey(stored.credentialId), {
+                ...current,
+                signCount: authData.signCount,
+                lastUsedAt: new Date().toISOString()
+            });
+        });
+
+        return {
+            userId: stored.userId,
+            credentialId: stored.credentialId,
+            userVerified: true
+        };
+    }
+
+    // Serialises read-then-write updates of one credential across workers; the loser retries the ceremony
+    async withCredentialLock(credentialId, fn) {
+        const lockKey = `webauthn-lock:${credentialId}`;
+        if ((await this.storage.incr(lockKey, CREDENTIAL_LOCK_TTL_MS)) !== 1) {
+            throw new Error('Passkey is already being used, try again');
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await this.storage.del(lockKey);
+        }
+    }
+
+    async listCredentials(userId) {
+        const ids = await this.storage.smembers(this.userKey(userId));
+        const credentials = await Promise.all(ids.map(id => this.getCredential(id)));
+        return credentials.filter(Boolean);
+    }
+
+    async getCredential(credentialId) {
+        return await this.storage.get(this.credentialKey(credentialId));
+    }
+
+    async removeCredential(userId, credentialId) {
+        const stored = await this.getCredential(credentialId);
+        if (!stored || stored.userId !== userId) {
+            return false;
+        }
+
+        await this.storage.del(this.credentialKey(credentialId));
+        await this.storage.srem(this.userKey(userId), credentialId);
+
+        return true;
+    }
+
+    async createChallenge(type, userId) {
+        const challenge = crypto.randomBytes(32).toString('base64url');
+        await this.storage.set(this.challengeKey(challenge), { type, userId }, CHALLENGE_TTL_MS);
+        return challenge;
+    }
+
+    async verifyClientData(clientData, expectedType, challengeType, userId) {
+        if (clientData.type !== expectedType) {
+            throw new Error('Unexpected client data type');
+        }
+        if (!this.origins.includes(clientData.origin)) {
+            throw new Error('Unexpected origin');
+        }
+
+        // Challenges are consumed on first use; only the request whose delete removed it may proceed
+        const challenge = await this.storage.get(this.challengeKey(clientData.challenge));
+        const consumed = await this.storage.del(this.challengeKey(clientData.challenge));
+
+        if (!challenge || !consumed || challenge.type !== challengeType) {
+            throw new Error('Invalid or expired challenge');
+        }
+        if (challenge.userId && challenge.userId !== userId) {
+            throw new Error('Challenge was issued for another user');
+        }
+    }
+
+    verifyAttestationStatement(attestation, publicKey, clientDataHash) {
+        switch (attestation.fmt) {
+            case 'none':
+                return;
+            case 'packed': {
+                // Only self attestation: we ask for 'none' and keep no trust anchors to validate a certificate chain against
+                const { alg, sig, x5c } = attestation.attStmt || {};
+                if (x5c !== undefined) {
+                    throw new Error('Attestation certificates are not supported');
+                }
+                if (alg !== publicKey.alg) {
+                    throw new Error('Attestation algorithm mismatch');
+                }
+                if (!Buffer.isBuffer(sig)) {
+                    throw new Error('Invalid attestation signature');
+                }
+
+                const signedData = Buffer.concat([attestation.authData, clientDataHash]);
+                if (!crypto.verify('sha256', signedData, publicKey.key, sig)) {
+                    throw new Error('Invalid attestation signature');
+                }
+                return;
+            }
+            default:
+                throw new Error(`Unsupported attestation format: ${attestation.fmt}`);
+        }
+    }
+
+    parseAuthenticatorData(buffer) {
+        if (buffer.length < 37) {
+            throw new Error('Authenticator data too short');
+        }
+
+        const rpIdHash = buffer.subarray(0, 32);
+        const expectedHash = crypto.createHash('sha256').update(this.rpId).digest();
+        if (!crypto.timingSafeEqual(rpIdHash, expectedHash)) {
+            throw new Error('Relying party ID mismatch');
+        }
+
+        const flags = buffer[32];
+        if (!(flags & FLAG_USER_PRESENT)) {
+            throw new Error('User presence required');
+        }
+
+        const result = {
+            flags,
+            signCount: buffer.readUInt32BE(33)
+        };
+
+        let offset = 37;
+        if (flags & FLAG_ATTESTED_DATA) {
+            if (buffer.length < 55) {
+                throw new Error('Authenticator data too short');
+            }
+            const idLength = buffer.readUInt16BE(53);
+            if (55 + idLength > buffer.length) {
+                throw new Error('Authenticator data too short');
+            }
+            result.credentialId = buffer.subarray(55, 55 + idLength);
+
+            const key = decodeCbor(buffer, 55 + idLength);
+            result.credentialPublicKey = key.value;
+            offset = key.offset;
+        }
+        if (flags & FLAG_EXTENSION_DATA) {
+            offset = decodeCbor(buffer, offset).offset;
+        }
+
+        if (offset !== buffer.length) {
+            throw new Error('Unexpected trailing authenticator data');
+        }
+        return result;
+    }
+
+    challengeKey(challenge) {
+        return `webauthn-challenge:${challenge}`;
+    }
+
+    credentialKey(credentialId) {
+        return `webauthn-credential:${credentialId}`;
+    }
+
+    userKey(userId) {
+        return `webauthn-user:${userId}`;
+    }
+}
+
+function coseToPublicKey(coseKey) {
+    if (!coseKey || typeof coseKey !== 'object') {
+        throw new Error('Unsupported credential public key');
+    }
+    const kty = coseKey['1'];
+    const alg = coseKey['3'];
+
+    if (kty === 2 && alg === COSE_ALG_ES256 && coseKey['-1'] === 1 &&
+        Buffer.isBuffer(coseKey['-2']) && Buffer.isBuffer(coseKey['-3'])) {
+        return {
+            alg,
+            key: crypto.createPublicKey({
+                format: 'jwk',
+                key: {
+                    kty: 'EC',
+                    crv: 'P-256',
+                    x: coseKey['-2'].toString('base64url'),
+                    y: coseKey['-3'].toString('base64url')
+                }
+            })
+        };
+    }
+
+    if (kty === 3 && alg === COSE_ALG_RS256 && Buffer.isBuffer(coseKey['-1']) && Buffer.isBuffer(coseKey['-2'])) {
+        return {
+            alg,
+            key: crypto.createPublicKey({
+                format: 'jwk',
+                key: {
+                    kty: 'RSA',
+                    n: coseKey['-1'].toString('base64url'),
+                    e: coseKey['-2'].toString('base64url')
+                }
+            })
+        };
+    }
+
+    throw new Error('Unsupported credential public key');
+}
+
+// Decodes a payload that must be exactly one CBOR item
+function decodeCborExact(buffer) {
+    const { value, offset } = decodeCbor(buffer);
+    if (offset !== buffer.length) {
+        throw new Error('Unexpected trailing CBOR data');
+    }
+    return value;
+}
+
+// Minimal CBOR decoder covering what attestation objects and COSE keys use. Input comes from
+// the client, so every length is checked against the buffer before it is read or looped over
+function decodeCbor(buffer, offset = 0, depth = 0) {
+    if (depth > MAX_CBOR_DEPTH) {
+        throw new Error('CBOR nesting too deep');
+    }
+    requireBytes(buffer, offset, 1);
+
+    const initial = buffer[offset];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    let position = offset + 1;
+    let length;
+
+    if (info < 24) {
+        length = info;
+    } else if (info === 24) {
+        requireBytes(buffer, position, 1);
+        length = buffer.readUInt8(position);
+        position += 1;
+    } else if (info === 25) {
+        requireBytes(buffer, position, 2);
+        length = buffer.readUInt16BE(position);
+        position += 2;
+    } else if (info === 26) {
+        requireBytes(buffer, position, 4);
+        length = buffer.readUInt32BE(position);
+        position += 4;
+    } else if (info === 27) {
+        requireBytes(buffer, position, 8);
+        length = Number(buffer.readBigUInt64BE(position));
+        position += 8;
+    } else {
+        throw new Error('Unsupported CBOR encoding');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: length, offset: position };
+        case 1:
+            return { value: -1 - length, offset: position };
+        case 2:
+            requireBytes(buffer, position, length);
+            return { value: buffer.subarray(position, position + length), offset: position + length };
+        case 3:
+            requireBytes(buffer, position, length);
+            return { value: buffer.toString('utf8', position, position + length), offset: position + length };
+        case 4: {
+            // Every item takes at least one byte, which caps the count at what is left
+            requireBytes(buffer, position, length);
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                const item = decodeCbor(buffer, position, depth + 1);
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        case 5: {
+            requireBytes(buffer, position, length * 2);
+            const map = Object.create(null);
+            for (let i = 0; i < length; i++) {
+                const key = decodeCbor(buffer, position, depth + 1);
+                if (typeof key.value !== 'number' && typeof key.value !== 'string') {
+                    throw new Error('Unsupported CBOR map key');
+                }
+                if (String(key.value) in map) {
+                    throw new Error('Duplicate CBOR map key');
+                }
+                const value = decodeCbor(buffer, key.offset, depth + 1);
+                map[String(key.value)] = value.value;
+                position = value.offset;
+            }
+            return { value: map, offset: position };
+        }
+        case 7:
+            if (info === 20) return { value: false, offset: position };
+            if (info === 21) return { value: true, offset: position };
+            if (info === 22) return { value: null, offset: position };
+            throw new Error('Unsupported CBOR simple value');
+        default:
+            throw new Error('Unsupported CBOR major type');
+    }
+}
+
+function requireBytes(buffer, position, length) {
+    if (length > buffer.length - position) {
+        throw new Error('Truncated CBOR data');
+    }
+}
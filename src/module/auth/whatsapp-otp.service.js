@@ -0,0 +1,12 @@
+import { whatsappManager } from '../../infrastucture/external-apis/whatsapp.manager.js';
+
+// Delivers OTP codes over the messaging layer, honouring the user's channel preference
+export class WhatsAppOTPService {
+    constructor(manager = whatsappManager) {
+        this.manager = manager;
+    }
+
+    async sendOTP(phoneNumber, otpCode, locale = null) {
+        return await this.manager.sendOTP(phoneNumber, otpCode, { locale });
+    }
+}
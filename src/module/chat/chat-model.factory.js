@@ -0,0 +1,27 @@
+import { HttpChatModel } from './http-chat.model.js';
+import { StubChatModel } from './stub-chat.model.js';
+
+const STUB_ENVIRONMENTS = ['development', 'test'];
+
+export function createChatModel(provider = process.env.AI_MODEL_PROVIDER) {
+    const selected = provider || (process.env.AI_API_URL ? 'http' : defaultModelName());
+
+    switch (selected) {
+        case 'http':
+            return new HttpChatModel();
+        case 'stub':
+            return new StubChatModel();
+        default:
+            throw new Error(`Unknown AI model provider: ${selected}`);
+    }
+}
+
+// Users would otherwise get canned stub replies without anyone noticing; an explicit
+// AI_MODEL_PROVIDER=stub still allows it
+function defaultModelName() {
+    const environment = process.env.NODE_ENV || 'development';
+    if (!STUB_ENVIRONMENTS.includes(environment)) {
+        throw new Error(`AI_API_URL is not configured (NODE_ENV=${environment}); set it, or AI_MODEL_PROVIDER=stub to use the stub model`);
+    }
+    return 'stub';
+}
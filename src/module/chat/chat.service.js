@@ -0,0 +1,57 @@
+const HISTORY_LIMIT = 20; // messages kept per conversation
+const HISTORY_TTL_MS = 24 * 60 * 60 * 1000; // forget idle conversations after a day
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SYSTEM_PROMPT = 'You are ndiidepzX-Ai, a helpful assistant chatting over WhatsApp. ' +
+                              'Keep answers concise and use plain text formatting.';
+
+export class ChatService {
+    constructor(storage, model, options = {}) {
+        this.storage = storage;
+        this.model = model;
+        this.dailyQuota = options.dailyQuota || Number(process.env.CHAT_DAILY_QUOTA) || 50;
+        this.systemPrompt = options.systemPrompt || process.env.CHAT_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT;
+    }
+
+    async reply(conversationId, text) {
+        const used = await this.storage.incr(this.quotaKey(conversationId), QUOTA_WINDOW_MS);
+        if (used > this.dailyQuota) {
+            const error = new Error('Daily chat quota reached');
+            error.code = 'CHAT_QUOTA_EXCEEDED';
+            throw error;
+        }
+
+        const history = await this.getHistory(conversationId);
+        const messages = [...history, { role: 'user', content: text }];
+
+        const answer = await this.model.complete({ system: this.systemPrompt, messages });
+
+        await this.storage.set(
+            this.historyKey(conversationId),
+            [...messages, { role: 'assistant', content: answer }].slice(-HISTORY_LIMIT),
+            HISTORY_TTL_MS
+        );
+
+        return answer;
+    }
+
+    async getHistory(conversationId) {
+        return (await this.storage.get(this.historyKey(conversationId))) || [];
+    }
+
+    async reset(conversationId) {
+        await this.storage.del(this.historyKey(conversationId));
+    }
+
+    async remainingQuota(conversationId) {
+        const used = (await this.storage.get(this.quotaKey(conversationId))) || 0;
+        return Math.max(this.dailyQuota - used, 0);
+    }
+
+    historyKey(conversationId) {
+        return `chat-history:${conversationId}`;
+    }
+
+    quotaKey(conversationId) {
+        return `chat-quota:${conversationId}`;
+    }
+}
@@ -0,0 +1,35 @@
+// Talks to any OpenAI-compatible chat completions endpoint
+export class HttpChatModel {
+    constructor(options = {}) {
+        this.url = options.url || process.env.AI_API_URL;
+        this.apiKey = options.apiKey || process.env.AI_API_KEY;
+        this.model = options.model || process.env.AI_MODEL;
+        this.timeoutMs = options.timeoutMs || 30000;
+    }
+
+    async complete({ system, messages }) {
+        if (!this.url) {
+            throw new Error('AI_API_URL is not configured');
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'system', content: system }, ...messages]
+            }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`AI backend responded with ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.choices[0].message.content;
+    }
+}
@@ -0,0 +1,7 @@
+// Deterministic offline backend for development and tests
+export class StubChatModel {
+    async complete({ messages }) {
+        const last = messages[messages.length - 1];
+        return `🤖 (stub) You said: ${last.content}`;
+    }
+}
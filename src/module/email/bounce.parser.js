@@ -0,0 +1,219 @@
+// Turns a raw bounce (an .eml file, or a Gmail message fetched with format=raw) into
+//   { messageId, reportedAt, from, authentication, recipients: [{ address, action, status, diagnostic, permanent }] }
+// or null when the message isn't a delivery failure. `authentication` is the receiving
+// server's verdict on the report itself ({ authservId, results: [{ method, result, domain }] }). Standard RFC 3464 reports
+// (multipart/report with message/delivery-status) are read field by field; older
+// free-text bounces fall back to X-Failed-Recipients and the quoted original headers
+export function parseBounce(source) {
+    const message = parseEntity(String(source));
+    const parts = flattenParts(message);
+
+    const report = parts.find(part => ['message/delivery-status', 'message/global-delivery-status'].includes(part.type));
+    const original = parts.find(part =>
+        ['message/rfc822', 'text/rfc822-headers', 'message/global', 'message/global-headers'].includes(part.type)
+    );
+
+    let recipients = report ? parseDeliveryStatus(report.body) : [];
+    if (recipients.length === 0) {
+        recipients = parseFailedRecipients(message, parts);
+    }
+
+    // Only failures matter; "delivered" and "relayed" reports are receipts, not bounces
+    recipients = recipients.filter(recipient => ['failed', 'delayed'].includes(recipient.action));
+    if (recipients.length === 0) {
+        return null;
+    }
+
+    return {
+        messageId: findOriginalMessageId(original, parts),
+        reportedAt: parseDate(message.headers.date),
+        from: message.headers.from ? recipientAddress(message.headers.from.replace(/^[^<]*<([^>]*)>.*$/, '$1')) : null,
+        authentication: parseAuthenticationResults(message.headers),
+        recipients
+    };
+}
+
+// Only the topmost Authentication-Results is the mailbox provider's own; anything below it
+// came with the message. ARC-Authentication-Results stands in when the provider added none
+function parseAuthenticationResults(headers) {
+    const value = headers['authentication-results'] ||
+        (headers['arc-authentication-results'] || '').replace(/^\s*i=\d+\s*;/, '');
+    if (!value) return null;
+
+    const [authservId, ...clauses] = value.replace(/\([^)]*\)/g, '').split(';');
+    const results = clauses.map(clause => {
+        const [verdict, ...properties] = clause.trim().split(/\s+/);
+        const [method, result] = verdict.toLowerCase().split('=');
+        const props = Object.fromEntries(properties.map(property => {
+            const equals = property.indexOf('=');
+            return [property.slice(0, equals).toLowerCase(), property.slice(equals + 1)];
+        }));
+        const identity = props['header.d'] || props['header.i'] || props['smtp.mailfrom'] ||
+            props['smtp.helo'] || props['header.from'];
+
+        return { method, result, domain: identity ? identity.split('@').pop().toLowerCase() : null };
+    }).filter(entry => entry.method && entry.result);
+
+    return { authservId: authservId.trim().toLowerCase(), results };
+}
+
+function parseEntity(source) {
+    const separator = /\r?\n\r?\n/.exec(source);
+    const head = separator ? source.slice(0, separator.index) : source;
+    const body = separator ? source.slice(separator.index + separator[0].length) : '';
+
+    const headers = parseHeaderBlock(head);
+    const { type, params } = parseContentType(headers['content-type']);
+
+    return { headers, type, params, body: decodeBody(body, headers['content-transfer-encoding'], type) };
+}
+
+// First occurrence of each header, keyed in lower case, with folded lines joined
+function parseHeaderBlock(text) {
+    const headers = {};
+
+    for (const line of text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+
+        const name = line.slice(0, colon).trim().toLowerCase();
+        if (!(name in headers)) {
+            headers[name] = line.slice(colon + 1).trim();
+        }
+    }
+
+    return headers;
+}
+
+function parseContentType(value = 'text/plain') {
+    const [type, ...rest] = value.split(';');
+    const params = {};
+
+    for (const param of rest) {
+        const match = /^\s*([\w-]+)\s*=\s*"?([^"]*)"?\s*$/.exec(param);
+        if (match) params[match[1].toLowerCase()] = match[2];
+    }
+
+    return { type: type.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, encoding = '', type) {
+    // Multipart bodies are split first; each part carries its own encoding
+    if (type.startsWith('multipart/')) return body;
+
+    switch (encoding.trim().toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body);
+        default:
+            return body;
+    }
+}
+
+function decodeQuotedPrintable(body) {
+    const bytes = body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+function flattenParts(entity) {
+    if (entity.type.startsWith('multipart/') && entity.params.boundary) {
+        return splitMultipart(entity.body, entity.params.boundary)
+            .flatMap(part => flattenParts(parseEntity(part)));
+    }
+    return [entity];
+}
+
+function splitMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    const sections = body.split(new RegExp(`^${escapeRegExp(delimiter)}`, 'm'));
+
+    // Drop the preamble, and everything from the closing "--boundary--" on
+    const parts = [];
+    for (const section of sections.slice(1)) {
+        if (section.startsWith('--')) break;
+        parts.push(section.replace(/^[ \t]*\r?\n/, ''));
+    }
+    return parts;
+}
+
+// The report body is a per-message block followed by one block per recipient
+function parseDeliveryStatus(body) {
+    return body
+        .split(/\r?\n\s*\r?\n/)
+        .map(parseHeaderBlock)
+        .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+        .map(fields => {
+            const status = extractStatus(fields.status);
+            const action = (fields.action || '').toLowerCase() || (status && status.startsWith('4') ? 'delayed' : 'failed');
+
+            return {
+                address: recipientAddress(fields['final-recipient'] || fields['original-recipient']),
+                action,
+                status,
+                diagnostic: fields['diagnostic-code'] ? stripType(fields['diagnostic-code']) : null,
+                permanent: action === 'failed' && (!status || status.startsWith('5'))
+            };
+        });
+}
+
+function parseFailedRecipients(message, parts) {
+    const header = message.headers['x-failed-recipients'];
+    if (!header) return [];
+
+    const text = parts.filter(part => part.type === 'text/plain').map(part => part.body).join('\n');
+    const status = extractStatus(text);
+
+    return header.split(',').map(address => ({
+        address: recipientAddress(address),
+        action: 'failed',
+        status,
+        diagnostic: null,
+        permanent: !status || status.startsWith('5')
+    }));
+}
+
+function findOriginalMessageId(original, parts) {
+    if (original) {
+        const headers = parseHeaderBlock(original.body.split(/\r?\n\r?\n/)[0]);
+        if (headers['message-id']) return normalizeMessageId(headers['message-id']);
+    }
+
+    // Free-text bounces quote the original headers inline
+    for (const part of parts) {
+        const match = /^Message-ID:\s*(<[^>\s]+>)/im.exec(part.body);
+        if (match) return normalizeMessageId(match[1]);
+    }
+    return null;
+}
+
+export function normalizeMessageId(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return `<${(match ? match[1] : String(value)).trim()}>`;
+}
+
+// "rfc822; user@example.com" and "smtp; 550 5.1.1 ..." both carry a type prefix
+function stripType(value) {
+    const match = /^[\w-]+\s*;\s*([\s\S]*)$/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+function recipientAddress(value) {
+    return stripType(value).replace(/^<|>$/g, '').toLowerCase();
+}
+
+function extractStatus(value) {
+    const match = /\b([245]\.\d{1,3}\.\d{1,3})\b/.exec(value || '');
+    return match ? match[1] : null;
+}
+
+function parseDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
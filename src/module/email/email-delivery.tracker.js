@@ -0,0 +1,116 @@
+import { normalizeMessageId } from './bounce.parser.js';
+
+const SENT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // bounces rarely arrive later than a few days
+const UNDELIVERABLE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // give a fixed mailbox another chance after a month
+const TRUSTED_AUTHSERV_ID = 'mx.google.com';
+const TRUSTED_BOUNCE_DOMAINS = ['googlemail.com', 'google.com'];
+
+// Remembers what we sent so a bounce can be traced to its message, recipient and
+// verification session, and keeps the list of addresses that hard-bounced
+export class EmailDeliveryTracker {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.eventBus = options.eventBus;
+        // Whose verdict on a report we believe, and which domains may send reports
+        this.authservId = (options.authservId || process.env.EMAIL_BOUNCE_AUTHSERV_ID || TRUSTED_AUTHSERV_ID).toLowerCase();
+        this.trustedDomains = options.trustedDomains ||
+            (process.env.EMAIL_BOUNCE_TRUSTED_DOMAINS ? process.env.EMAIL_BOUNCE_TRUSTED_DOMAINS.split(',') : TRUSTED_BOUNCE_DOMAINS)
+                .map(domain => domain.trim().toLowerCase())
+                .filter(Boolean);
+    }
+
+    async recordSent(messageId, { to, subject, template, sessionId }) {
+        await this.storage.set(this.sentKey(messageId), {
+            to: String(to).toLowerCase(),
+            subject,
+            template: template || null,
+            sessionId: sessionId || null,
+            sentAt: new Date().toISOString()
+        }, SENT_TTL_MS);
+    }
+
+    async findSent(messageId) {
+        return await this.storage.get(this.sentKey(messageId));
+    }
+
+    // Resolves to the failures that matched one of our messages; bounces for anything else are ignored.
+    // A report only counts for the address that message went to, so a forged one can't blacklist others
+    async recordBounce(bounce) {
+        if (!this.isAuthenticOrigin(bounce)) return [];
+
+        const sent = bounce.messageId ? await this.findSent(bounce.messageId) : null;
+        if (!sent) return [];
+
+        const failures = [];
+        for (const recipient of bounce.recipients) {
+            if (recipient.address !== sent.to) continue;
+
+            const failure = {
+                messageId: normalizeMessageId(bounce.messageId),
+                address: recipient.address,
+                status: recipient.status,
+                diagnostic: recipient.diagnostic,
+                permanent: recipient.permanent,
+                template: sent.template,
+                sessionId: sent.sessionId,
+                reportedAt: bounce.reportedAt || new Date().toISOString()
+            };
+
+            if (failure.permanent) {
+                await this.markUndeliverable(failure);
+            }
+
+            await this.eventBus.emit('EMAIL_BOUNCED', failure);
+            failures.push(failure);
+        }
+
+        return failures;
+    }
+
+    // Anyone can send mail "from" mailer-daemon, so the report must also pass DKIM or SPF for a
+    // trusted domain, as judged by our own mailbox provider
+    isAuthenticOrigin({ from, authentication }) {
+        const fromDomain = from ? from.split('@').pop() : null;
+        if (!this.isTrustedDomain(fromDomain) || !authentication || authentication.authservId !== this.authservId) {
+            return false;
+        }
+
+        return authentication.results.some(({ method, result, domain }) =>
+            ['dkim', 'spf'].includes(method) && result === 'pass' && this.isTrustedDomain(domain)
+        );
+    }
+
+    isTrustedDomain(domain) {
+        return Boolean(domain) && this.trustedDomains.some(trusted => domain === trusted || domain.endsWith(`.${trusted}`));
+    }
+
+    async markUndeliverable({ address, status, diagnostic, messageId, reportedAt }) {
+        await this.storage.set(this.undeliverableKey(address), {
+            address,
+            status,
+            diagnostic,
+            messageId,
+            markedAt: reportedAt || new Date().toISOString()
+        }, UNDELIVERABLE_TTL_MS);
+    }
+
+    async getUndeliverable(address) {
+        return await this.storage.get(this.undeliverableKey(address));
+    }
+
+    async isUndeliverable(address) {
+        return Boolean(await this.getUndeliverable(address));
+    }
+
+    async clearUndeliverable(address) {
+        return await this.storage.del(this.undeliverableKey(address));
+    }
+
+    sentKey(messageId) {
+        return `email-sent:${normalizeMessageId(messageId)}`;
+    }
+
+    undeliverableKey(address) {
+        return `email-undeliverable:${String(address).trim().toLowerCase()}`;
+    }
+}
@@ -0,0 +1,43 @@
+import express from 'express';
+import { emailTemplates } from './template.engine.js';
+
+// Renders templates with their sample data for local development. Never mounted in production
+export function createEmailPreviewRouter(engine = emailTemplates) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (process.env.NODE_ENV === 'production') {
+            return res.sendStatus(404);
+        }
+        next();
+    });
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ success: true, templates: await engine.list() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/:name', async (req, res) => {
+        try {
+            const email = await engine.renderSample(req.params.name, {
+                version: req.query.version,
+                locale: req.query.locale || req.headers['accept-language']
+            });
+
+            if (req.query.format === 'text') {
+                return res.type('text/plain').send(email.text);
+            }
+            if (req.query.format === 'json') {
+                return res.json({ success: true, ...email });
+            }
+            res.type('html').send(email.html);
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+}
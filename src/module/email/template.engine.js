@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { i18n as sharedI18n } from '../i18n/i18n.service.js';
+
+const DEFAULT_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#each|\/if|\/each|else)?\s*([\w.]*)\s*\}\}/g;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;', '`': '&#96;' };
+
+// Renders email templates stored on disk as
+//   <directory>/<name>/v<version>/{meta.json, body.html, body.txt}
+//   <directory>/layouts/<layout>.{html,txt}
+// {{ value }} is escaped for the output format, {{#if}}/{{else}}/{{#each}} control flow,
+// and {{{ value }}} inserts raw markup - allowed in layouts only, where it places the rendered body.
+// Copy comes from the message catalog as {{ t.* }} (email.<name>) and {{ t.layout.* }} (email.layout)
+export class TemplateEngine {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.EMAIL_TEMPLATE_DIR || DEFAULT_DIRECTORY;
+        this.cacheEnabled = options.cache ?? process.env.NODE_ENV === 'production';
+        this.cache = new Map();
+        this.i18n = options.i18n || sharedI18n;
+    }
+
+    // Resolves to { subject, html, text, locale, template: { name, version } }
+    async render(name, data = {}, { version, locale } = {}) {
+        const resolved = version ? Number(version) : await this.latestVersion(name);
+        const meta = await this.loadMeta(name, resolved);
+        const folder = this.versionPath(name, resolved);
+
+        locale = this.i18n.resolve(locale);
+        data = {
+            ...data,
+            locale,
+            t: {
+                ...this.i18n.section(locale, `email.${name}`, data),
+                layout: this.i18n.section(locale, 'email.layout', data)
+            }
+        };
+
+        const html = this.execute(await this.compile(path.join(folder, 'body.html')), data, escapeHtml);
+        const text = this.execute(await this.compile(path.join(folder, 'body.txt')), data, String);
+
+        // Headers can't carry markup, but a newline would start a new header
+        const subject = this.execute(this.parse(meta.subject, { raw: false }), data, String).replace(/[\r\n]+/g, ' ');
+        const layout = meta.layout || 'default';
+        const layoutData = { ...data, subject };
+
+        return {
+            subject,
+            html: this.execute(await this.compile(this.layoutPath(layout, 'html'), { raw: true }), { ...layoutData, content: html }, escapeHtml),
+            text: this.execute(await this.compile(this.layoutPath(layout, 'txt'), { raw: true }), { ...layoutData, content: text.trim() }, String).trim() + '\n',
+            locale,
+            template: { name, version: resolved }
+        };
+    }
+
+    async renderSample(name, { version, locale } = {}) {
+        const resolved = version ? Number(version) : await this.latestVersion(name);
+        const meta = await this.loadMeta(name, resolved);
+        return await this.render(name, meta.sample || {}, { version: resolved, locale });
+    }
+
+    async list() {
+        const entries = await fs.readdir(this.directory, { withFileTypes: true });
+        const templates = [];
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name === 'layouts') continue;
+            templates.push({ name: entry.name, versions: await this.versions(entry.name) });
+        }
+
+        return templates;
+    }
+
+    async versions(name) {
+        this.assertName(name);
+        const entries = await fs.readdir(path.join(this.directory, name));
+
+        return entries
+            .map(entry => /^v(\d+)$/.exec(entry))
+            .filter(Boolean)
+            .map(match => Number(match[1]))
+            .sort((a, b) => a - b);
+    }
+
+    async latestVersion(name) {
+        const versions = await this.versions(name).catch(() => []);
+        if (versions.length === 0) {
+            throw new Error(`Unknown email template: ${name}`);
+        }
+        return versions[versions.length - 1];
+    }
+
+    async loadMeta(name, version) {
+        return await this.cached(`meta:${name}:${version}`, async () =>
+            JSON.parse(await fs.readFile(path.join(this.versionPath(name, version), 'meta.json'), 'utf8'))
+        );
+    }
+
+    async compile(file, options = {}) {
+        return await this.cached(`template:${file}`, async () =>
+            this.parse(await fs.readFile(file, 'utf8'), options)
+        );
+    }
+
+    async cached(key, load) {
+        if (this.cacheEnabled && this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const value = await load();
+        if (this.cacheEnabled) {
+            this.cache.set(key, value);
+        }
+        return value;
+    }
+
+    parse(source, { raw = false } = {}) {
+        const root = { type: 'block', children: [] };
+        // Each open block records which branch new nodes go into
+        const stack = [{ node: root, target: root.children }];
+        let cursor = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(source)) !== null) {
+            const current = stack[stack.length - 1];
+            const [tag, rawPath, keyword, valuePath] = match;
+
+            if (match.index > cursor) {
+                current.target.push({ type: 'text', value: source.slice(cursor, match.index) });
+            }
+            cursor = match.index + tag.length;
+
+            if (rawPath) {
+                // Templates only ever see escaped values; raw insertion is reserved for layouts
+                if (!raw) {
+                    throw new Error(`Raw insertion {{{ ${rawPath} }}} is only allowed in layouts`);
+                }
+                current.target.push({ type: 'raw', path: rawPath });
+            } else if (keyword === '#if' || keyword === '#each') {
+                const node = { type: keyword.slice(1), path: valuePath, children: [], otherwise: [] };
+                current.target.push(node);
+                stack.push({ node, target: node.children });
+            } else if (keyword === 'else') {
+                if (current.node.type !== 'if') {
+                    throw new Error('{{else}} outside of {{#if}}');
+                }
+                current.target = current.node.otherwise;
+            } else if (keyword === '/if' || keyword === '/each') {
+                if (current.node.type !== keyword.slice(1)) {
+                    throw new Error(`Unexpected {{${keyword}}}`);
+                }
+                stack.pop();
+            } else {
+                current.target.push({ type: 'value', path: valuePath });
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed {{#${stack[stack.length - 1].node.type}}}`);
+        }
+        if (cursor < source.length) {
+            root.children.push({ type: 'text', value: source.slice(cursor) });
+        }
+
+        return root;
+    }
+
+    execute(node, data, escape) {
+        return node.children.map(child => {
+            switch (child.type) {
+                case 'text':
+                    return child.value;
+                case 'value':
+                    return escape(stringify(lookup(data, child.path)));
+                case 'raw':
+                    return stringify(lookup(data, child.path));
+                case 'if':
+                    return this.execute(
+                        { children: isTruthy(lookup(data, child.path)) ? child.children : child.otherwise },
+                        data,
+                        escape
+                    );
+                case 'each':
+                    return (lookup(data, child.path) || [])
+                        .map(item => this.execute(child, { ...data, this: item, ...(isObject(item) ? item : {}) }, escape))
+                        .join('');
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    versionPath(name, version) {
+        this.assertName(name);
+        if (!Number.isInteger(Number(version))) {
+            throw new Error(`Invalid template version: ${version}`);
+        }
+        return path.join(this.directory, name, `v${Number(version)}`);
+    }
+
+    layoutPath(layout, extension) {
+        this.assertName(layout);
+        return path.join(this.directory, 'layouts', `${layout}.${extension}`);
+    }
+
+    // Names come from code and the preview route; never let one walk out of the template directory
+    assertName(name) {
+        if (!/^[a-z0-9-]+$/.test(String(name))) {
+            throw new Error(`Invalid template name: ${name}`);
+        }
+    }
+}
+
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+}
+
+function lookup(data, keyPath) {
+    if (keyPath === 'this' || keyPath === '') return data.this;
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function stringify(value) {
+    return value == null ? '' : String(value);
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Shared instance so compiled templates are cached once per process
+export const emailTemplates = new TemplateEngine();
@@ -0,0 +1,112 @@
+import en from './locales/en.js';
+import id from './locales/id.js';
+
+const CATALOGS = { en, id };
+
+// Intl tags used for plural rules and date formatting
+const INTL_TAGS = { en: 'en-GB', id: 'id-ID' };
+
+// Message catalog lookups with {param} interpolation, CLDR plural selection and
+// locale-aware dates in a fixed time zone (rather than whatever the server runs in)
+export class I18nService {
+    constructor(options = {}) {
+        this.catalogs = options.catalogs || CATALOGS;
+        this.defaultLocale = options.defaultLocale || process.env.DEFAULT_LOCALE || 'id';
+        this.timeZone = options.timeZone || process.env.DEFAULT_TIMEZONE || 'Asia/Jakarta';
+    }
+
+    get supportedLocales() {
+        return Object.keys(this.catalogs);
+    }
+
+    // First supported candidate wins; each candidate may be a locale or an Accept-Language header
+    resolve(...candidates) {
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            for (const tag of this.parseAcceptLanguage(candidate)) {
+                const locale = this.normalize(tag);
+                if (locale) return locale;
+            }
+        }
+        return this.defaultLocale;
+    }
+
+    normalize(tag) {
+        if (!tag) return null;
+
+        const language = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+        // "in" is the legacy ISO code for Indonesian and still sent by older Android builds
+        const locale = language === 'in' ? 'id' : language;
+        return this.catalogs[locale] ? locale : null;
+    }
+
+    parseAcceptLanguage(header) {
+        return String(header)
+            .split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';');
+                const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+                return { tag, q: q ? Number(q[1]) : 1, index };
+            })
+            .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+            .sort((a, b) => b.q - a.q || a.index - b.index)
+            .map(entry => entry.tag);
+    }
+
+    t(locale, key, params = {}) {
+        const resolved = this.resolve(locale);
+        let message = this.lookup(resolved, key);
+
+        if (message === undefined && resolved !== 'en') {
+            message = this.lookup('en', key);
+        }
+        if (message === undefined) {
+            return key;
+        }
+
+        return this.format(resolved, message, params);
+    }
+
+    // Every string under a key, formatted with the same params (used to hand templates their copy)
+    section(locale, key, params = {}) {
+        const resolved = this.resolve(locale);
+        const section = { ...this.lookup('en', key), ...this.lookup(resolved, key) };
+
+        return Object.fromEntries(Object.entries(section).map(([name, message]) =>
+            [name, this.format(resolved, message, params)]
+        ));
+    }
+
+    format(locale, message, params) {
+        if (message && typeof message === 'object') {
+            // Plural forms are keyed by CLDR category and selected by params.count
+            const category = new Intl.PluralRules(INTL_TAGS[locale]).select(Number(params.count) || 0);
+            message = message[category] ?? message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined ? match : String(params[name])
+        );
+    }
+
+    formatDate(locale, date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(INTL_TAGS[this.resolve(locale)], {
+            timeZone: this.timeZone,
+            ...options
+        }).format(new Date(date));
+    }
+
+    formatTime(locale, date) {
+        return this.formatDate(locale, date, { timeStyle: 'short' });
+    }
+
+    lookup(locale, key) {
+        return key.split('.').reduce(
+            (value, part) => (value == null ? undefined : value[part]),
+            this.catalogs[locale]
+        );
+    }
+}
+
+// Shared instance so every channel formats with the same defaults
+export const i18n = new I18nService();
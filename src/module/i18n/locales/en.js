@@ -0,0 +1,86 @@
+// English catalog. {name} is replaced from the params; objects keyed by
+// plural category (one, other, ...) are chosen by params.count
+export default {
+    common: {
+        expiresInMinutes: {
+            one: 'This code will expire in {count} minute.',
+            other: 'This code will expire in {count} minutes.'
+        }
+    },
+
+    otp: {
+        whatsapp: '🔐 *ndiidepzX-Ai Verification*\n\n' +
+                  'Your verification code is: *{code}*\n\n' +
+                  '{expiry}\n\n' +
+                  '_If you didn\'t request this, please ignore this message._'
+    },
+
+    account: {
+        passwordChanged: '🔐 Your ndiidepzX-Ai password was just changed and all devices were signed out. ' +
+                         'If this wasn\'t you, contact support immediately.',
+        channelChanged: '🔔 Your ndiidepzX-Ai codes and notifications will now be sent via {channel}. ' +
+                        'If this wasn\'t you, contact support immediately.',
+        channelLinked: '✅ This chat is now linked to your ndiidepzX-Ai account.'
+    },
+
+    chat: {
+        reset: '🧹 Conversation cleared. Let\'s start fresh!',
+        help: '🤖 *ndiidepzX-Ai Assistant*\n\n' +
+              'Just send a message to chat with the assistant.\n\n' +
+              '*/reset* — forget this conversation\n' +
+              '*/help* — show this message\n\n' +
+              '_{remaining}_',
+        remaining: {
+            one: '{count} message left today',
+            other: '{count} messages left today'
+        },
+        quotaExceeded: '⏳ You\'ve reached today\'s message limit. Please come back tomorrow.',
+        unavailable: '⚠️ The assistant is unavailable right now. Please try again later.',
+        muted: '🔇 Too many messages. You\'re muted until {until}.'
+    },
+
+    email: {
+        layout: {
+            tagline: 'Super Advanced AI Security System',
+            footer: '© 2024 ndiidepzX-Ai Security System. All rights reserved.',
+            signature: 'ndiidepzX-Ai Security System',
+            alertHeading: '🚨 SECURITY ALERT'
+        },
+        otp: {
+            subject: '🔐 ndiidepzX-Ai Verification Code',
+            heading: 'Verification Code Required',
+            intro: 'Please use the following code to complete your authentication:',
+            title: 'ndiidepzX-Ai Verification Code',
+            code: 'Your verification code is: {otpCode}',
+            noticeTitle: 'Security Notice:',
+            expiresAt: 'This code will expire at {expiresAt}',
+            session: 'Session ID: {sessionId}',
+            ignore: 'If you didn\'t request this, please ignore this email',
+            noShare: 'For security reasons, do not share this code with anyone.'
+        },
+        'security-alert': {
+            subject: '🚨 SECURITY ALERT: {type}',
+            title: 'SECURITY ALERT: {type}',
+            critical: 'CRITICAL:',
+            attention: 'Immediate attention required',
+            description: 'Description:',
+            severity: 'Severity:',
+            timestamp: 'Timestamp:',
+            ip: 'IP Address:',
+            userAgent: 'User Agent:',
+            notAvailable: 'N/A',
+            actionsTitle: 'Recommended Actions:',
+            reviewLogs: 'Review system logs immediately',
+            checkActivity: 'Check user activity',
+            verifyIntegrity: 'Verify system integrity',
+            updateProtocols: 'Update security protocols if necessary'
+        },
+        'password-changed': {
+            subject: '🔐 Your ndiidepzX-Ai password was changed',
+            heading: 'Your password was changed',
+            body: 'The password on your ndiidepzX-Ai account was just changed and all devices were signed out.',
+            warningTitle: 'Wasn\'t you?',
+            warning: 'Contact support immediately.'
+        }
+    }
+};
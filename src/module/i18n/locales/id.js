@@ -0,0 +1,84 @@
+// Indonesian catalog, the default for most of our users. Indonesian has no
+// grammatical plural, so plural entries only need an "other" form
+export default {
+    common: {
+        expiresInMinutes: {
+            other: 'Kode ini akan kedaluwarsa dalam {count} menit.'
+        }
+    },
+
+    otp: {
+        whatsapp: '🔐 *Verifikasi ndiidepzX-Ai*\n\n' +
+                  'Kode verifikasi Anda: *{code}*\n\n' +
+                  '{expiry}\n\n' +
+                  '_Jika Anda tidak memintanya, abaikan pesan ini._'
+    },
+
+    account: {
+        passwordChanged: '🔐 Kata sandi ndiidepzX-Ai Anda baru saja diubah dan semua perangkat telah dikeluarkan. ' +
+                         'Jika ini bukan Anda, segera hubungi dukungan.',
+        channelChanged: '🔔 Kode dan notifikasi ndiidepzX-Ai Anda sekarang akan dikirim melalui {channel}. ' +
+                        'Jika ini bukan Anda, segera hubungi dukungan.',
+        channelLinked: '✅ Obrolan ini sekarang terhubung ke akun ndiidepzX-Ai Anda.'
+    },
+
+    chat: {
+        reset: '🧹 Percakapan dihapus. Mari mulai dari awal!',
+        help: '🤖 *Asisten ndiidepzX-Ai*\n\n' +
+              'Kirim pesan saja untuk mengobrol dengan asisten.\n\n' +
+              '*/reset* — lupakan percakapan ini\n' +
+              '*/help* — tampilkan pesan ini\n\n' +
+              '_{remaining}_',
+        remaining: {
+            other: 'Sisa {count} pesan hari ini'
+        },
+        quotaExceeded: '⏳ Anda telah mencapai batas pesan hari ini. Silakan kembali besok.',
+        unavailable: '⚠️ Asisten sedang tidak tersedia. Silakan coba lagi nanti.',
+        muted: '🔇 Terlalu banyak pesan. Anda dibisukan hingga {until}.'
+    },
+
+    email: {
+        layout: {
+            tagline: 'Sistem Keamanan AI Super Canggih',
+            footer: '© 2024 ndiidepzX-Ai Security System. Hak cipta dilindungi.',
+            signature: 'ndiidepzX-Ai Security System',
+            alertHeading: '🚨 PERINGATAN KEAMANAN'
+        },
+        otp: {
+            subject: '🔐 Kode Verifikasi ndiidepzX-Ai',
+            heading: 'Kode Verifikasi Diperlukan',
+            intro: 'Gunakan kode berikut untuk menyelesaikan autentikasi Anda:',
+            title: 'Kode Verifikasi ndiidepzX-Ai',
+            code: 'Kode verifikasi Anda: {otpCode}',
+            noticeTitle: 'Pemberitahuan Keamanan:',
+            expiresAt: 'Kode ini akan kedaluwarsa pada {expiresAt}',
+            session: 'ID Sesi: {sessionId}',
+            ignore: 'Jika Anda tidak memintanya, abaikan email ini',
+            noShare: 'Demi keamanan, jangan bagikan kode ini kepada siapa pun.'
+        },
+        'security-alert': {
+            subject: '🚨 PERINGATAN KEAMANAN: {type}',
+            title: 'PERINGATAN KEAMANAN: {type}',
+            critical: 'KRITIS:',
+            attention: 'Perlu segera ditangani',
+            description: 'Deskripsi:',
+            severity: 'Tingkat:',
+            timestamp: 'Waktu:',
+            ip: 'Alamat IP:',
+            userAgent: 'User Agent:',
+            notAvailable: 'T/A',
+            actionsTitle: 'Tindakan yang Disarankan:',
+            reviewLogs: 'Segera periksa log sistem',
+            checkActivity: 'Periksa aktivitas pengguna',
+            verifyIntegrity: 'Verifikasi integritas sistem',
+            updateProtocols: 'Perbarui protokol keamanan bila perlu'
+        },
+        'password-changed': {
+            subject: '🔐 Kata sandi ndiidepzX-Ai Anda telah diubah',
+            heading: 'Kata sandi Anda telah diubah',
+            body: 'Kata sandi akun ndiidepzX-Ai Anda baru saja diubah dan semua perangkat telah dikeluarkan.',
+            warningTitle: 'Bukan Anda?',
+            warning: 'Segera hubungi dukungan.'
+        }
+    }
+};
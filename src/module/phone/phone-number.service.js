@@ -0,0 +1,66 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+const WHATSAPP_SUFFIX = '@c.us';
+
+// One place that turns user input and WhatsApp IDs into the same E.164 number
+export class PhoneNumberService {
+    constructor(options = {}) {
+        this.defaultRegion = options.defaultRegion || process.env.DEFAULT_PHONE_REGION || 'ID';
+    }
+
+    parse(input, region = this.defaultRegion) {
+        if (!input) {
+            throw new Error('Phone number required');
+        }
+
+        let text = String(input).trim();
+
+        // WhatsApp IDs are international digits without the plus sign
+        if (text.endsWith(WHATSAPP_SUFFIX)) {
+            text = `+${text.slice(0, -WHATSAPP_SUFFIX.length)}`;
+        }
+
+        const parsed = parsePhoneNumberFromString(text, region);
+        if (!parsed || !parsed.isValid()) {
+            throw new Error('Invalid phone number');
+        }
+
+        return {
+            e164: parsed.number,
+            region: parsed.country || null,
+            countryCallingCode: parsed.countryCallingCode,
+            nationalNumber: parsed.nationalNumber
+        };
+    }
+
+    normalize(input, region) {
+        return this.parse(input, region).e164;
+    }
+
+    isValid(input, region) {
+        try {
+            this.parse(input, region);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    toWhatsAppId(input, region) {
+        return this.normalize(input, region).slice(1) + WHATSAPP_SUFFIX;
+    }
+
+    mask(input, region) {
+        try {
+            const { countryCallingCode, nationalNumber } = this.parse(input, region);
+            const visible = nationalNumber.length > 8 ? 3 : 2;
+            return `+${countryCallingCode} ${'*'.repeat(nationalNumber.length - visible)}${nationalNumber.slice(-visible)}`;
+        } catch (error) {
+            // Never echo back something we couldn't parse
+            return '***';
+        }
+    }
+}
+
+// Shared instance so every caller uses the same default region
+export const phoneNumbers = new PhoneNumberService();
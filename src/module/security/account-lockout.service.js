@@ -0,0 +1,112 @@
+const DEFAULT_POLICIES = {
+    identifier: { threshold: 5, windowMs: 15 * 60 * 1000 },
+    ip: { threshold: 20, windowMs: 15 * 60 * 1000 },
+    otp: { threshold: 5, windowMs: 10 * 60 * 1000 }
+};
+
+const BASE_LOCK_MS = 60 * 1000; // 1 minute
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+const LEVEL_TTL_MS = 24 * 60 * 60 * 1000; // lock level decays after a quiet day
+
+// Lockout state lives in shared storage so every cluster worker sees the same counters
+export class AccountLockoutService {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.policies = { ...DEFAULT_POLICIES, ...options.policies };
+        this.baseLockMs = options.baseLockMs || BASE_LOCK_MS;
+        this.maxLockMs = options.maxLockMs || MAX_LOCK_MS;
+    }
+
+    async getLock(scope, subject) {
+        if (!subject) return null;
+        return await this.storage.get(this.lockKey(scope, subject));
+    }
+
+    async isLocked(scope, subject) {
+        return (await this.getLock(scope, subject)) !== null;
+    }
+
+    async recordFailure(scope, subject) {
+        if (!subject) return { locked: false, failures: 0 };
+
+        const policy = this.getPolicy(scope);
+        const failures = await this.storage.incr(this.failuresKey(scope, subject), policy.windowMs);
+
+        if (failures < policy.threshold) {
+            return { locked: false, failures };
+        }
+
+        // Each lock in the decay window doubles the next one
+        const level = await this.storage.incr(this.levelKey(scope, subject), LEVEL_TTL_MS);
+        const duration = Math.min(this.baseLockMs * Math.pow(2, level - 1), this.maxLockMs);
+        const lock = {
+            scope,
+            level,
+            lockedAt: new Date().toISOString(),
+            lockedUntil: new Date(Date.now() + duration).toISOString()
+        };
+
+        await this.storage.set(this.lockKey(scope, subject), lock, duration);
+        await this.storage.del(this.failuresKey(scope, subject));
+
+        return { locked: true, failures, ...lock };
+    }
+
+    async lock(scope, subject, durationMs, reason = 'MANUAL') {
+        // A zero TTL would store the lock without expiry
+        if (!(durationMs > 0)) {
+            throw new Error('Lock duration must be positive');
+        }
+
+        const lock = {
+            scope,
+            level: null,
+            reason,
+            lockedAt: new Date().toISOString(),
+            lockedUntil: new Date(Date.now() + durationMs).toISOString()
+        };
+
+        await this.storage.set(this.lockKey(scope, subject), lock, durationMs);
+        return lock;
+    }
+
+    async getFailures(scope, subject) {
+        if (!subject) return 0;
+        return (await this.storage.get(this.failuresKey(scope, subject))) || 0;
+    }
+
+    async reset(scope, subject) {
+        if (!subject) return;
+        await this.storage.del(this.failuresKey(scope, subject));
+    }
+
+    async unlock(scope, subject) {
+        if (!subject) return false;
+
+        const wasLocked = await this.storage.del(this.lockKey(scope, subject));
+        await this.storage.del(this.failuresKey(scope, subject));
+        await this.storage.del(this.levelKey(scope, subject));
+
+        return wasLocked;
+    }
+
+    getPolicy(scope) {
+        const policy = this.policies[scope];
+        if (!policy) {
+            throw new Error(`Unknown lockout scope: ${scope}`);
+        }
+        return policy;
+    }
+
+    failuresKey(scope, subject) {
+        return `lockout:failures:${scope}:${String(subject).toLowerCase()}`;
+    }
+
+    levelKey(scope, subject) {
+        return `lockout:level:${scope}:${String(subject).toLowerCase()}`;
+    }
+
+    lockKey(scope, subject) {
+        return `lockout:lock:${scope}:${String(subject).toLowerCase()}`;
+    }
+}
@@ -0,0 +1,54 @@
+import maxmind from 'maxmind';
+
+// Resolves IPs against MaxMind GeoLite2/GeoIP2 databases (GEOIP_CITY_DB, GEOIP_ASN_DB).
+// With no database configured every lookup is null, which turns off the ASN and travel signals
+export class GeoIpService {
+    constructor(options = {}) {
+        this.cityDbPath = options.cityDb ?? process.env.GEOIP_CITY_DB;
+        this.asnDbPath = options.asnDb ?? process.env.GEOIP_ASN_DB;
+        this.readers = null;
+    }
+
+    async lookup(ipAddress) {
+        const ip = String(ipAddress || '').replace(/^::ffff:/, '');
+        if (!maxmind.validate(ip)) return null;
+
+        const { city, asn } = await this.open();
+        const location = city ? city.get(ip) : null;
+        const network = asn ? asn.get(ip) : null;
+        if (!location && !network) return null;
+
+        return {
+            asn: network?.autonomous_system_number ?? null,
+            organization: network?.autonomous_system_organization ?? null,
+            country: location?.country?.iso_code ?? null,
+            latitude: location?.location?.latitude,
+            longitude: location?.location?.longitude
+        };
+    }
+
+    open() {
+        // Opened once; maxmind reloads the file itself when the database is updated on disk
+        if (!this.readers) {
+            this.readers = Promise.all([
+                this.openReader(this.cityDbPath),
+                this.openReader(this.asnDbPath)
+            ]).then(([city, asn]) => ({ city, asn }));
+        }
+        return this.readers;
+    }
+
+    async openReader(filePath) {
+        if (!filePath) return null;
+
+        try {
+            return await maxmind.open(filePath, { watchForUpdates: true, watchForUpdatesNonPersistent: true });
+        } catch (error) {
+            console.error(`❌ GeoIP database unavailable (${filePath}):`, error.message);
+            return null;
+        }
+    }
+}
+
+// Shared instance so the databases are opened once per worker
+export const geoIp = new GeoIpService();
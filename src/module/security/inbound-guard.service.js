@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { AccountLockoutService } from './account-lockout.service.js';
+import { phoneNumbers } from '../phone/phone-number.service.js';
+
+const DEFAULT_LIMITS = {
+    burst: { threshold: 8, windowMs: 10 * 1000 },
+    hourly: { threshold: 60, windowMs: 60 * 60 * 1000 },
+    otp: { threshold: 5, windowMs: 10 * 60 * 1000 },
+    duplicate: { threshold: 3, windowMs: 10 * 60 * 1000 }
+};
+
+// Three violations within an hour mute the sender; repeat offenders are muted for longer
+const STRIKE_POLICY = { threshold: 3, windowMs: 60 * 60 * 1000 };
+const BASE_MUTE_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_MUTE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const BLOCKLIST_KEY = 'inbound:blocklist';
+const ALLOWLIST_KEY = 'inbound:allowlist';
+const PHONE_CHANNELS = ['whatsapp', 'sms'];
+
+// Decides whether an inbound bot message is processed at all. Counters live in shared
+// storage so limits hold across cluster workers
+export class InboundGuard {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.eventBus = options.eventBus;
+        this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+        this.strikes = new AccountLockoutService(storage, {
+            policies: { sender: STRIKE_POLICY },
+            baseLockMs: options.baseMuteMs || BASE_MUTE_MS,
+            maxLockMs: options.maxMuteMs || MAX_MUTE_MS
+        });
+    }
+
+    // Resolves to { action: 'allow' | 'drop' | 'mute', reason, sender, mutedUntil? }
+    async inspect(message, { otp = false } = {}) {
+        const sender = this.senderKey(message.channel, message.from);
+        const decision = await this.decide(sender, message, otp);
+
+        await this.eventBus.emit('SECURITY_EVENT', {
+            type: 'INBOUND_MESSAGE',
+            timestamp: new Date().toISOString(),
+            data: {
+                sender,
+                channel: message.channel,
+                action: decision.action,
+                reason: decision.reason,
+                ...(decision.mutedUntil ? { mutedUntil: decision.mutedUntil } : {})
+            }
+        });
+
+        return { ...decision, sender };
+    }
+
+    async decide(sender, message, otp) {
+        if (await this.isListed(BLOCKLIST_KEY, sender)) {
+            return { action: 'drop', reason: 'blocklisted' };
+        }
+
+        if (await this.strikes.isLocked('sender', sender)) {
+            return { action: 'drop', reason: 'muted' };
+        }
+
+        if (await this.isListed(ALLOWLIST_KEY, sender)) {
+            return { action: 'allow', reason: 'allowlisted' };
+        }
+
+        const checks = [
+            ['flood', `inbound:burst:${sender}`, this.limits.burst],
+            ['rate_limited', `inbound:hourly:${sender}`, this.limits.hourly]
+        ];
+        if (otp) {
+            checks.push(['otp_rate_limited', `inbound:otp:${sender}`, this.limits.otp]);
+        }
+        checks.push(['duplicate', `inbound:duplicate:${sender}:${this.fingerprint(message.body)}`, this.limits.duplicate]);
+
+        for (const [reason, key, limit] of checks) {
+            const count = await this.storage.incr(key, limit.windowMs);
+            if (count > limit.threshold) {
+                return await this.strike(sender, reason);
+            }
+        }
+
+        return { action: 'allow', reason: 'ok' };
+    }
+
+    async strike(sender, reason) {
+        const result = await this.strikes.recordFailure('sender', sender);
+        if (!result.locked) {
+            return { action: 'drop', reason };
+        }
+        return { action: 'mute', reason, mutedUntil: result.lockedUntil };
+    }
+
+    async unmute(sender) {
+        return await this.strikes.unlock('sender', sender);
+    }
+
+    async getMute(sender) {
+        return await this.strikes.getLock('sender', sender);
+    }
+
+    async block(sender, reason = null, addedBy = null) {
+        return await this.addToList(BLOCKLIST_KEY, sender, reason, addedBy);
+    }
+
+    async unblock(sender) {
+        return await this.removeFromList(BLOCKLIST_KEY, sender);
+    }
+
+    async allow(sender, reason = null, addedBy = null) {
+        return await this.addToList(ALLOWLIST_KEY, sender, reason, addedBy);
+    }
+
+    async disallow(sender) {
+        return await this.removeFromList(ALLOWLIST_KEY, sender);
+    }
+
+    async getBlocklist() {
+        return (await this.storage.get(BLOCKLIST_KEY)) || [];
+    }
+
+    async getAllowlist() {
+        return (await this.storage.get(ALLOWLIST_KEY)) || [];
+    }
+
+    async isListed(key, sender) {
+        return ((await this.storage.get(key)) || []).some(entry => entry.sender === sender);
+    }
+
+    async addToList(key, sender, reason, addedBy) {
+        const entries = ((await this.storage.get(key)) || []).filter(entry => entry.sender !== sender);
+        const entry = { sender, reason, addedBy, addedAt: new Date().toISOString() };
+
+        await this.storage.set(key, [...entries, entry]);
+        return entry;
+    }
+
+    async removeFromList(key, sender) {
+        const entries = (await this.storage.get(key)) || [];
+        const remaining = entries.filter(entry => entry.sender !== sender);
+        if (remaining.length === entries.length) return false;
+
+        await this.storage.set(key, remaining);
+        return true;
+    }
+
+    // One key per person however the transport spells their address
+    senderKey(channel, from) {
+        const address = PHONE_CHANNELS.includes(channel) && phoneNumbers.isValid(from)
+            ? phoneNumbers.normalize(from)
+            : String(from);
+        return `${channel}:${address}`;
+    }
+
+    fingerprint(body) {
+        const normalized = String(body || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+    }
+}
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { geoIp } from './geoip.service.js';
+
+const DEFAULT_WEIGHTS = {
+    newDevice: 25,
+    newIp: 10,
+    newAsn: 20,
+    impossibleTravel: 50,
+    identifierFailure: 5,
+    ipFailure: 2,
+    unusualHour: 10
+};
+
+const MAX_FAILURE_SCORE = { identifier: 25, ip: 15 };
+const MAX_TRAVEL_KMH = 900; // faster than a commercial flight
+const MIN_HISTORY_FOR_HOURS = 5;
+const HISTORY_LIMIT = 20;
+
+export class RiskEngine {
+    constructor(storage, lockout, options = {}) {
+        this.storage = storage;
+        this.lockout = lockout;
+        this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+        this.stepUpThreshold = options.stepUpThreshold ?? envNumber('RISK_STEP_UP_THRESHOLD') ?? 40;
+        this.blockThreshold = options.blockThreshold ?? envNumber('RISK_BLOCK_THRESHOLD') ?? 80;
+
+        // Resolves an IP to { asn, latitude, longitude, country }
+        this.geoLookup = options.geoLookup || ((ipAddress) => geoIp.lookup(ipAddress));
+    }
+
+    async assess(user, context = {}) {
+        const profile = await this.getProfile(user.id);
+        const geo = context.ipAddress ? await this.geoLookup(context.ipAddress) : null;
+        const fingerprint = this.fingerprint(context);
+        const reasons = [];
+
+        const add = (signal, score, detail = {}) => {
+            if (score > 0) reasons.push({ signal, score, ...detail });
+        };
+
+        const hasHistory = profile.logins > 0;
+
+        if (hasHistory && fingerprint && !profile.devices.includes(fingerprint)) {
+            add('NEW_DEVICE', this.weights.newDevice);
+        }
+
+        if (hasHistory && context.ipAddress && !profile.ips.includes(context.ipAddress)) {
+            add('NEW_IP', this.weights.newIp, { ip: context.ipAddress });
+        }
+
+        if (hasHistory && geo && geo.asn && !profile.asns.includes(geo.asn)) {
+            add('NEW_ASN', this.weights.newAsn, { asn: geo.asn });
+        }
+
+        const travel = this.checkTravel(profile.lastLocation, geo);
+        if (travel) {
+            add('IMPOSSIBLE_TRAVEL', this.weights.impossibleTravel, travel);
+        }
+
+        const identifierFailures = await this.lockout.getFailures('identifier', context.identifier);
+        add('RECENT_FAILURES', Math.min(identifierFailures * this.weights.identifierFailure, MAX_FAILURE_SCORE.identifier), {
+            failures: identifierFailures
+        });
+
+        const ipFailures = await this.lockout.getFailures('ip', context.ipAddress);
+        add('RECENT_IP_FAILURES', Math.min(ipFailures * this.weights.ipFailure, MAX_FAILURE_SCORE.ip), {
+            failures: ipFailures
+        });
+
+        const hour = new Date().getUTCHours();
+        if (this.isUnusualHour(profile.hours, hour)) {
+            add('UNUSUAL_HOUR', this.weights.unusualHour, { hourUtc: hour });
+        }
+
+        const score = reasons.reduce((total, reason) => total + reason.score, 0);
+
+        return {
+            score,
+            reasons,
+            action: score >= this.blockThreshold ? 'block' : score >= this.stepUpThreshold ? 'step_up' : 'allow',
+            thresholds: { stepUp: this.stepUpThreshold, block: this.blockThreshold },
+            geo
+        };
+    }
+
+    async recordSuccessfulLogin(userId, context = {}) {
+        const profile = await this.getProfile(userId);
+        const geo = context.geo || (context.ipAddress ? await this.geoLookup(context.ipAddress) : null);
+        const fingerprint = this.fingerprint(context);
+        const hours = [...profile.hours];
+        hours[new Date().getUTCHours()] += 1;
+
+        await this.storage.set(this.profileKey(userId), {
+            logins: profile.logins + 1,
+            devices: this.remember(profile.devices, fingerprint),
+            ips: this.remember(profile.ips, context.ipAddress),
+            asns: this.remember(profile.asns, geo && geo.asn),
+            hours,
+            lastLocation: geo && geo.latitude !== undefined
+                ? { latitude: geo.latitude, longitude: geo.longitude, at: Date.now() }
+                : profile.lastLocation
+        });
+    }
+
+    async getProfile(userId) {
+        return (await this.storage.get(this.profileKey(userId))) || {
+            logins: 0,
+            devices: [],
+            ips: [],
+            asns: [],
+            hours: new Array(24).fill(0),
+            lastLocation: null
+        };
+    }
+
+    checkTravel(lastLocation, geo) {
+        if (!lastLocation || !geo || geo.latitude === undefined) return null;
+
+        const distanceKm = this.haversineKm(lastLocation, geo);
+        const hours = Math.max((Date.now() - lastLocation.at) / 3600000, 1 / 60);
+        const speedKmh = distanceKm / hours;
+
+        return speedKmh > MAX_TRAVEL_KMH
+            ? { distanceKm: Math.round(distanceKm), speedKmh: Math.round(speedKmh) }
+            : null;
+    }
+
+    isUnusualHour(hours, hour) {
+        const total = hours.reduce((sum, count) => sum + count, 0);
+        if (total < MIN_HISTORY_FOR_HOURS) return false;
+
+        // Unusual if the user has never signed in within two hours of now
+        for (let offset = -2; offset <= 2; offset++) {
+            if (hours[(hour + offset + 24) % 24] > 0) return false;
+        }
+        return true;
+    }
+
+    haversineKm(from, to) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRadians(to.latitude - from.latitude);
+        const dLon = toRadians(to.longitude - from.longitude);
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    fingerprint(context) {
+        const source = context.deviceFingerprint || context.userAgent;
+        if (!source) return null;
+        return crypto.createHash('sha256').update(source).digest('hex');
+    }
+
+    remember(list, value) {
+        if (!value || list.includes(value)) return list;
+        return [...list, value].slice(-HISTORY_LIMIT);
+    }
+
+    profileKey(userId) {
+        return `risk-profile:${userId}`;
+    }
+}
+
+// Unset or blank means "use the default"; an explicit 0 is honoured
+function envNumber(name) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') return undefined;
+
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        throw new Error(`${name} must be a number`);
+    }
+    return number;
+}
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { CaptureTransport } from '../../../src/infrastucture/email/capture.transport.js';
+
+const message = {
+    from: 'security@example.test',
+    to: 'user@example.test',
+    subject: 'Your code',
+    text: 'Code: 123456',
+    html: '<p>Code: <b>123456</b></p>'
+};
+
+describe('CaptureTransport', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps the rendered message in memory when no directory is set', async () => {
+        const transport = new CaptureTransport({ directory: null });
+        const sent = jest.fn();
+        transport.on('sent', sent);
+
+        const result = await transport.send(message);
+
+        expect(result).toEqual({ messageId: expect.any(String), response: 'captured in memory', transport: 'capture' });
+        const [entry] = transport.messagesTo('user@example.test');
+        expect(entry).toMatchObject({ messageId: result.messageId, subject: 'Your code', text: 'Code: 123456' });
+        expect(entry.source).toContain('Subject: Your code');
+        expect(entry.file).toBeUndefined();
+        expect(sent).toHaveBeenCalledWith(entry);
+    });
+
+    it('writes an .eml file per message into the capture directory', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'capture-'));
+        try {
+            const transport = new CaptureTransport({ directory });
+
+            const result = await transport.send(message);
+
+            const [entry] = transport.outbox;
+            expect(path.dirname(entry.file)).toBe(directory);
+            expect(entry.file).toMatch(/\.eml$/);
+            expect(result.response).toBe(`captured to ${entry.file}`);
+            expect(await fs.readFile(entry.file, 'utf8')).toBe(entry.source);
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('keeps only the newest 500 messages', async () => {
+        const transport = new CaptureTransport({ directory: null });
+
+        for (let index = 0; index < 502; index++) {
+            await transport.send({ ...message, subject: `Message ${index}` });
+        }
+
+        expect(transport.outbox).toHaveLength(500);
+        expect(transport.outbox[0].subject).toBe('Message 2');
+
+        transport.clear();
+        expect(transport.outbox).toEqual([]);
+    });
+});
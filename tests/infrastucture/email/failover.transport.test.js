@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { EmailTransport } from '../../../src/infrastucture/email/email.transport.js';
+import { FailoverTransport } from '../../../src/infrastucture/email/failover.transport.js';
+
+// A backend whose sends succeed or fail as each test says
+class ScriptedTransport extends EmailTransport {
+    constructor(name) {
+        super(name);
+        this.failure = null;
+        this.sent = [];
+        this.resets = 0;
+        this.closed = false;
+    }
+
+    async send(message) {
+        if (this.failure) throw this.failure;
+        this.sent.push(message);
+        return { messageId: `<${this.name}-${this.sent.length}@test>`, response: '250 OK', transport: this.name };
+    }
+
+    reset() {
+        this.resets += 1;
+    }
+
+    async close() {
+        this.closed = true;
+    }
+}
+
+const message = { to: 'user@example.test', subject: 'Hello' };
+
+describe('FailoverTransport', () => {
+    let gmail;
+    let smtp;
+    let capture;
+    let transport;
+    let failovers;
+
+    beforeEach(() => {
+        gmail = new ScriptedTransport('gmail');
+        smtp = new ScriptedTransport('smtp');
+        capture = new ScriptedTransport('capture');
+        transport = new FailoverTransport([gmail, smtp, capture]);
+        failovers = [];
+        transport.on('failover', event => failovers.push(event));
+    });
+
+    it('is named after its transports in order', () => {
+        expect(transport.name).toBe('gmail>smtp>capture');
+    });
+
+    it('sends through the primary while it works', async () => {
+        const result = await transport.send(message);
+
+        expect(result.transport).toBe('gmail');
+        expect(smtp.sent).toEqual([]);
+        expect(failovers).toEqual([]);
+    });
+
+    it('moves down the list in order and reports each step', async () => {
+        gmail.failure = new Error('invalid_grant');
+        smtp.failure = new Error('ECONNREFUSED');
+
+        const result = await transport.send(message);
+
+        expect(result.transport).toBe('capture');
+        expect(failovers).toEqual([
+            { from: 'gmail', to: 'smtp', error: gmail.failure },
+            { from: 'smtp', to: 'capture', error: smtp.failure }
+        ]);
+    });
+
+    it('drops the connection of a transport that just failed', async () => {
+        gmail.failure = new Error('Token expired');
+
+        await transport.send(message);
+
+        expect(gmail.resets).toBe(1);
+        expect(smtp.resets).toBe(0);
+    });
+
+    it('goes back to the primary as soon as it recovers', async () => {
+        gmail.failure = new Error('Temporary outage');
+        await transport.send(message);
+
+        gmail.failure = null;
+        const result = await transport.send(message);
+
+        expect(result.transport).toBe('gmail');
+        expect(failovers).toHaveLength(1);
+    });
+
+    it('throws the last error once every transport has failed', async () => {
+        gmail.failure = new Error('gmail down');
+        smtp.failure = new Error('smtp down');
+        capture.failure = new Error('disk full');
+
+        await expect(transport.send(message)).rejects.toBe(capture.failure);
+        expect(failovers.map(event => event.to)).toEqual(['smtp', 'capture']);
+    });
+
+    it('closes every transport', async () => {
+        await transport.close();
+
+        expect([gmail.closed, smtp.closed, capture.closed]).toEqual([true, true, true]);
+    });
+});
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { GmailTokenManager } from '../../../src/infrastucture/email/gmail-token.manager.js';
+import { GmailOAuthTransport } from '../../../src/infrastucture/email/gmail-oauth.transport.js';
+import { CaptureTransport } from '../../../src/infrastucture/email/capture.transport.js';
+import { FailoverTransport } from '../../../src/infrastucture/email/failover.transport.js';
+import { MemoryStore } from '../../../src/infrastucture/storage/memory.store.js';
+
+const MARGIN_MS = 5 * 60 * 1000;
+const TOKEN_ENDPOINT = 'http://127.0.0.1/token';
+
+// AES-GCM stand-in for the application's EncryptionService
+class TestEncryption {
+    constructor() {
+        this.key = crypto.randomBytes(32);
+    }
+
+    async encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+    }
+
+    async decrypt(ciphertext) {
+        const raw = Buffer.from(ciphertext, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+    }
+}
+
+// Stands in for Google's token endpoint
+function tokenEndpoint(responses) {
+    return jest.fn(async (url, init) => {
+        const next = responses.shift();
+        if (typeof next === 'function') return await next(url, init);
+        return {
+            ok: next.status === undefined || next.status < 400,
+            status: next.status || 200,
+            json: async () => next.body
+        };
+    });
+}
+
+describe('GmailTokenManager', () => {
+    let storage;
+    let encryption;
+    let managers;
+
+    beforeEach(() => {
+        storage = new MemoryStore();
+        encryption = new TestEncryption();
+        managers = [];
+        delete process.env.GOOGLE_REFRESH_TOKEN;
+    });
+
+    afterEach(() => {
+        managers.forEach(manager => manager.stop());
+    });
+
+    function createManager(fetch, options = {}) {
+        const manager = new GmailTokenManager(storage, encryption, {
+            clientId: 'client-id',
+            clientSecret: 'client-secret',
+            tokenEndpoint: TOKEN_ENDPOINT,
+            refreshMarginMs: MARGIN_MS,
+            fetch,
+            ...options
+        });
+        managers.push(manager);
+        return manager;
+    }
+
+    it('exchanges the env refresh token on first use and stores the grant encrypted', async () => {
+        process.env.GOOGLE_REFRESH_TOKEN = 'refresh-from-env';
+        const fetch = tokenEndpoint([{ body: { access_token: 'access-1', expires_in: 3600 } }]);
+
+        await expect(createManager(fetch).getAccessToken()).resolves.toBe('access-1');
+
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe(TOKEN_ENDPOINT);
+        expect(Object.fromEntries(new URLSearchParams(init.body))).toEqual({
+            grant_type: 'refresh_token',
+            client_id: 'client-id',
+            client_secret: 'client-secret',
+            refresh_token: 'refresh-from-env'
+        });
+        expect(init.signal).toBeInstanceOf(AbortSignal);
+
+        const stored = JSON.stringify(await storage.get('gmail:oauth-tokens'));
+        expect(stored).not.toContain('access-1');
+        expect(stored).not.toContain('refresh-from-env');
+    });
+
+    it('reads the stored grant back in another worker without refreshing', async () => {
+        await createManager(tokenEndpoint([])).save({
+            access_token: 'access-1',
+            refresh_token: 'refresh-1',
+            expiry_date: Date.now() + 60 * 60 * 1000
+        });
+
+        const fetch = tokenEndpoint([]);
+        const other = createManager(fetch);
+
+        await expect(other.getAccessToken()).resolves.toBe('access-1');
+        expect(other.tokens.refresh_token).toBe('refresh-1');
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('refreshes once the token is inside the margin, keeping the refresh token', async () => {
+        const fetch = tokenEndpoint([{ body: { access_token: 'access-2', expires_in: 3600 } }]);
+        const manager = createManager(fetch);
+
+        await manager.save({ access_token: 'access-1', refresh_token: 'refresh-1', expiry_date: Date.now() + MARGIN_MS + 60 * 1000 });
+        await expect(manager.getAccessToken()).resolves.toBe('access-1');
+        expect(fetch).not.toHaveBeenCalled();
+
+        await manager.save({ access_token: 'access-1', expiry_date: Date.now() + MARGIN_MS - 60 * 1000 });
+        await expect(manager.getAccessToken()).resolves.toBe('access-2');
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(manager.tokens.refresh_token).toBe('refresh-1');
+    });
+
+    it('shares one refresh between concurrent callers', async () => {
+        const fetch = tokenEndpoint([{ body: { access_token: 'access-2', expires_in: 3600 } }]);
+        const manager = createManager(fetch);
+        await manager.save({ access_token: null, refresh_token: 'refresh-1', expiry_date: 0 });
+
+        const tokens = await Promise.all([manager.getAccessToken(), manager.getAccessToken(), manager.getAccessToken()]);
+
+        expect(tokens).toEqual(['access-2', 'access-2', 'access-2']);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up on a token endpoint that does not answer, and tries again next time', async () => {
+        const hang = (url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        });
+        const fetch = tokenEndpoint([hang, { body: { access_token: 'access-2', expires_in: 3600 } }]);
+        const manager = createManager(fetch, { timeoutMs: 20 });
+        await manager.save({ access_token: null, refresh_token: 'refresh-1', expiry_date: 0 });
+
+        await expect(manager.getAccessToken()).rejects.toMatchObject({ name: 'TimeoutError' });
+        await expect(manager.getAccessToken()).resolves.toBe('access-2');
+    });
+
+    describe('when Google revokes the grant', () => {
+        let manager;
+        let fetch;
+
+        beforeEach(async () => {
+            fetch = tokenEndpoint([{ status: 400, body: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } }]);
+            manager = createManager(fetch);
+            await manager.save({ access_token: null, refresh_token: 'refresh-1', expiry_date: 0 });
+        });
+
+        it('announces it and stops using the stored grant in every worker', async () => {
+            const revoked = jest.fn();
+            manager.on('invalid_grant', revoked);
+
+            await expect(manager.getAccessToken()).rejects.toMatchObject({ code: 'invalid_grant' });
+            expect(revoked).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'invalid_grant' }) });
+
+            await expect(manager.getAccessToken()).rejects.toThrow('Gmail authorization was revoked');
+            await expect(createManager(tokenEndpoint([])).getAccessToken()).rejects.toThrow('Gmail authorization was revoked');
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('lets a failover transport carry the mail instead', async () => {
+            const capture = new CaptureTransport({ directory: null });
+            const transport = new FailoverTransport([new GmailOAuthTransport(manager, { user: 'bot@gmail.com' }), capture]);
+            const failover = jest.fn();
+            transport.on('failover', failover);
+
+            const result = await transport.send({ from: 'bot@gmail.com', to: 'user@example.com', subject: 'Code', text: '123456' });
+
+            expect(result.transport).toBe('capture');
+            expect(capture.messagesTo('user@example.com')).toHaveLength(1);
+            expect(failover).toHaveBeenCalledWith(expect.objectContaining({ from: 'gmail', to: 'capture' }));
+        });
+
+        it('accepts a fresh grant from a new consent', async () => {
+            await expect(manager.getAccessToken()).rejects.toMatchObject({ code: 'invalid_grant' });
+
+            await manager.save({ access_token: 'access-3', refresh_token: 'refresh-3', expiry_date: Date.now() + 60 * 60 * 1000 });
+
+            await expect(manager.getAccessToken()).resolves.toBe('access-3');
+            await expect(createManager(tokenEndpoint([])).getAccessToken()).resolves.toBe('access-3');
+        });
+    });
+});
@@ -0,0 +1,103 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import { mockAppModule } from '../../support/mock-module.js';
+
+// The event bus and encryption service are provided by the host application
+const eventBus = { on: jest.fn(), emit: jest.fn() };
+mockAppModule('src/core/event-bus.js', () => ({
+    EventBus: { getInstance: () => eventBus }
+}));
+mockAppModule('src/module/security/encryption.service.js', () => ({
+    EncryptionService: class {}
+}));
+
+const { GmailManager } = await import('../../../src/infrastucture/external-apis/gmail.manager.js');
+const { EmailTransport } = await import('../../../src/infrastucture/email/email.transport.js');
+const { GmailOAuthTransport } = await import('../../../src/infrastucture/email/gmail-oauth.transport.js');
+const { MemoryStore } = await import('../../../src/infrastucture/storage/memory.store.js');
+
+class StubTransport extends EmailTransport {
+    constructor(name) {
+        super(name);
+        this.close = jest.fn(async () => {});
+    }
+}
+
+// Just enough of GmailTokenManager for the manager to wire itself up
+class StubTokens extends EventEmitter {
+    constructor(stored = null) {
+        super();
+        this.stored = stored;
+    }
+
+    async read() {
+        return this.stored;
+    }
+}
+
+describe('GmailManager transports', () => {
+    let manager;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        manager = new GmailManager({
+            storage: new MemoryStore(),
+            tokens: new StubTokens(),
+            transport: new StubTransport('capture'),
+            deliveries: {}
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('closes the old transport and stops listening to it when switching', () => {
+        const previous = manager.transport;
+        const next = new StubTransport('gmail');
+
+        manager.useTransport(next);
+
+        expect(manager.transport).toBe(next);
+        expect(previous.close).toHaveBeenCalledTimes(1);
+        expect(previous.listenerCount('failover')).toBe(0);
+        expect(next.listenerCount('failover')).toBe(1);
+        expect(next.close).not.toHaveBeenCalled();
+    });
+
+    it('reports failovers from the current transport only', async () => {
+        const previous = manager.transport;
+        manager.useTransport(new StubTransport('gmail>smtp'));
+
+        previous.emit('failover', { from: 'capture', to: 'smtp', error: new Error('stale') });
+        manager.transport.emit('failover', { from: 'gmail', to: 'smtp', error: new Error('invalid_grant') });
+        await Promise.resolve();
+
+        expect(eventBus.emit).toHaveBeenCalledTimes(1);
+        expect(eventBus.emit).toHaveBeenCalledWith('EMAIL_TRANSPORT_FAILOVER', expect.objectContaining({
+            from: 'gmail',
+            to: 'smtp',
+            error: 'invalid_grant'
+        }));
+    });
+
+    it('detaches a replaced Gmail transport from the token manager', async () => {
+        const gmail = new GmailOAuthTransport(manager.tokens);
+        manager.useTransport(gmail);
+        const listeners = manager.tokens.listenerCount('tokens');
+
+        manager.useTransport(new StubTransport('smtp'));
+        await Promise.resolve();
+
+        expect(manager.tokens.listenerCount('tokens')).toBe(listeners - 1);
+    });
+
+    it('keeps the transport when it is set again', () => {
+        const current = manager.transport;
+
+        manager.useTransport(current);
+
+        expect(current.close).not.toHaveBeenCalled();
+        expect(current.listenerCount('failover')).toBe(1);
+    });
+});
@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import { mockAppModule } from '../../support/mock-module.js';
+
+process.env.MESSAGING_DRIVER = 'sandbox';
+
+// The event bus is provided by the host application; Gmail and whatsapp-web.js reach out on import
+const eventBus = { on: jest.fn(), emit: jest.fn() };
+mockAppModule('src/core/event-bus.js', () => ({
+    EventBus: { getInstance: () => eventBus }
+}));
+jest.unstable_mockModule('../../../src/infrastucture/external-apis/gmail.manager.js', () => ({ gmailManager: {} }));
+jest.unstable_mockModule('../../../src/infrastucture/messaging/whatsapp-web.provider.js', () => ({
+    WhatsAppWebProvider: class {}
+}));
+
+const { WhatsAppManager } = await import('../../../src/infrastucture/external-apis/whatsapp.manager.js');
+const { SandboxProvider } = await import('../../../src/infrastucture/messaging/sandbox.provider.js');
+
+describe('WhatsAppManager outbound queue', () => {
+    let provider;
+    let manager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        provider = new SandboxProvider('whatsapp');
+        manager = new WhatsAppManager({ providers: { whatsapp: provider }, email: {} });
+    });
+
+    afterEach(async () => {
+        await manager.outbound.close();
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    it('queues while disconnected and delivers once the provider is back', async () => {
+        await expect(manager.sendMessage('+628111', 'hello')).resolves.toMatchObject({ queued: true });
+        await jest.advanceTimersByTimeAsync(0);
+        expect(provider.outbox).toEqual([]);
+
+        await provider.start();
+        await jest.advanceTimersByTimeAsync(10 * 1000);
+
+        expect(provider.messagesTo('+628111').map(entry => entry.text)).toEqual(['hello']);
+    });
+
+    it('drops an OTP that expires in the queue and keeps no copy of the code', async () => {
+        const { id } = await manager.sendMessage('+628222', 'Your code is 123456', {
+            type: 'otp',
+            expiresAt: new Date(Date.now() + 15 * 1000)
+        });
+
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+        await provider.start();
+        await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+        expect(provider.messagesTo('+628222')).toEqual([]);
+        const deadLetter = (await manager.getDeadLetters()).find(entry => entry.id === id);
+        expect(deadLetter).toMatchObject({
+            content: '[redacted]',
+            reason: 'Message expired before delivery',
+            attemptsMade: 3
+        });
+    });
+});
@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { ConnectionSupervisor } from '../../../src/infrastucture/messaging/connection.supervisor.js';
+import { MessagingProvider } from '../../../src/infrastucture/messaging/messaging.provider.js';
+
+// A provider whose start() outcome each test scripts
+class ScriptedProvider extends MessagingProvider {
+    constructor() {
+        super('whatsapp');
+        this.starts = 0;
+        this.stops = 0;
+        this.onStart = () => this.setState('ready');
+    }
+
+    async start() {
+        this.starts += 1;
+        await this.onStart();
+    }
+
+    async stop() {
+        this.stops += 1;
+        this.state = 'disconnected';
+    }
+}
+
+describe('ConnectionSupervisor', () => {
+    let provider;
+    let supervisor;
+    let states;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        provider = new ScriptedProvider();
+        supervisor = new ConnectionSupervisor(provider, {
+            baseDelayMs: 1000,
+            maxDelayMs: 8000,
+            readyTimeoutMs: 30 * 1000,
+            stopTimeoutMs: 500,
+            downAlertMs: 60 * 1000,
+            random: () => 1 // no jitter: always the full ceiling
+        });
+        states = [];
+        supervisor.on('state', snapshot => states.push(snapshot.state));
+    });
+
+    afterEach(async () => {
+        await supervisor.stop();
+        jest.useRealTimers();
+    });
+
+    it('connects on start', async () => {
+        await supervisor.start();
+
+        expect(supervisor.state).toBe('ready');
+        expect(states).toEqual(['starting', 'ready']);
+    });
+
+    it('reconnects after a disconnect with exponential backoff', async () => {
+        await supervisor.start();
+        provider.onStart = () => { throw new Error('browser crashed'); };
+
+        provider.setState('disconnected', { reason: 'NAVIGATION' });
+        expect(supervisor.snapshot()).toMatchObject({ state: 'backoff', attempts: 1, lastError: { message: 'NAVIGATION' } });
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(provider.starts).toBe(2);
+        expect(supervisor.snapshot()).toMatchObject({ state: 'backoff', attempts: 2, lastError: { message: 'browser crashed' } });
+
+        // 2s after the second failure, then 4s, then capped at 8s
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(provider.starts).toBe(2);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(provider.starts).toBe(3);
+        await jest.advanceTimersByTimeAsync(4000);
+        expect(provider.starts).toBe(4);
+        await jest.advanceTimersByTimeAsync(8000);
+        expect(provider.starts).toBe(5);
+        await jest.advanceTimersByTimeAsync(8000);
+        expect(provider.starts).toBe(6);
+
+        provider.onStart = () => provider.setState('ready');
+        await jest.advanceTimersByTimeAsync(8000);
+        expect(supervisor.snapshot()).toMatchObject({ state: 'ready', attempts: 0 });
+    });
+
+    it('tears down the old session before each new attempt', async () => {
+        await supervisor.start();
+        provider.setState('auth_failure', { error: 'bad session' });
+
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(provider.stops).toBe(1);
+        expect(provider.starts).toBe(2);
+        expect(supervisor.state).toBe('ready');
+    });
+
+    it('restarts a provider that never becomes ready', async () => {
+        const hung = jest.fn();
+        supervisor.on('hung', hung);
+        provider.onStart = () => provider.setState('authenticated');
+
+        await supervisor.start();
+        await jest.advanceTimersByTimeAsync(30 * 1000);
+
+        expect(hung).toHaveBeenCalledWith({ state: 'starting', timeoutMs: 30 * 1000 });
+        expect(supervisor.state).toBe('backoff');
+
+        provider.onStart = () => provider.setState('ready');
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(supervisor.state).toBe('ready');
+    });
+
+    it('does not treat waiting for a QR scan as a hang', async () => {
+        provider.onStart = () => provider.setState('qr');
+
+        await supervisor.start();
+        await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+
+        expect(supervisor.state).toBe('pairing');
+        expect(provider.starts).toBe(1);
+    });
+
+    it('alerts once an outage outlasts the threshold, and again on recovery', async () => {
+        const down = jest.fn();
+        const recovered = jest.fn();
+        supervisor.on('down', down);
+        supervisor.on('recovered', recovered);
+
+        await supervisor.start();
+        provider.onStart = () => { throw new Error('offline'); };
+        provider.setState('disconnected');
+
+        await jest.advanceTimersByTimeAsync(59 * 1000);
+        expect(down).not.toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(down).toHaveBeenCalledTimes(1);
+        expect(down.mock.calls[0][0]).toMatchObject({ lastError: { message: 'offline' } });
+
+        provider.onStart = () => provider.setState('ready');
+        await jest.advanceTimersByTimeAsync(8000);
+        expect(recovered).toHaveBeenCalledWith({ downtimeMs: expect.any(Number) });
+        expect(down).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not alert for a blip shorter than the threshold', async () => {
+        const recovered = jest.fn();
+        supervisor.on('recovered', recovered);
+
+        await supervisor.start();
+        provider.setState('disconnected');
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(supervisor.state).toBe('ready');
+        expect(recovered).not.toHaveBeenCalled();
+    });
+
+    it('stays down after a deliberate stop', async () => {
+        await supervisor.start();
+        await supervisor.stop();
+
+        provider.setState('disconnected');
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(supervisor.state).toBe('stopped');
+        expect(provider.starts).toBe(1);
+    });
+});
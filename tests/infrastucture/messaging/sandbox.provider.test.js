@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { SandboxProvider } from '../../../src/infrastucture/messaging/sandbox.provider.js';
+
+describe('SandboxProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = new SandboxProvider('telegram');
+    });
+
+    it('is ready once started and reports the state change', async () => {
+        const statuses = [];
+        provider.on('status', status => statuses.push(status));
+
+        expect(provider.isReady()).toBe(false);
+        await provider.start();
+
+        expect(provider.isReady()).toBe(true);
+        expect(statuses).toEqual([{ channel: 'telegram', state: 'ready' }]);
+    });
+
+    it('keeps sent messages in the outbox per recipient', async () => {
+        const sent = jest.fn();
+        provider.on('sent', sent);
+
+        const receipt = await provider.send('100', 'first');
+        await provider.send('200', 'second');
+
+        expect(receipt).toEqual({ messageId: expect.any(String), timestamp: expect.any(Number) });
+        expect(provider.messagesTo('100')).toEqual([
+            expect.objectContaining({ messageId: receipt.messageId, to: '100', text: 'first' })
+        ]);
+        expect(sent).toHaveBeenCalledTimes(2);
+
+        provider.clear();
+        expect(provider.outbox).toEqual([]);
+    });
+
+    it('caps the outbox at the newest 500 messages', async () => {
+        for (let index = 0; index < 505; index++) {
+            await provider.send('100', `message ${index}`);
+        }
+
+        expect(provider.outbox).toHaveLength(500);
+        expect(provider.outbox[0].text).toBe('message 5');
+    });
+
+    it('emits simulated inbound messages like a real transport', () => {
+        const received = jest.fn();
+        provider.on('message', received);
+
+        provider.simulateIncoming(42, '/start abc');
+
+        expect(received).toHaveBeenCalledWith({
+            channel: 'telegram',
+            from: '42',
+            body: '/start abc',
+            timestamp: expect.any(Number),
+            raw: null
+        });
+    });
+});
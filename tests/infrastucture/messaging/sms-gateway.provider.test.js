@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { SmsGatewayProvider } from '../../../src/infrastucture/messaging/sms-gateway.provider.js';
+
+const reply = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+describe('SmsGatewayProvider', () => {
+    let fetchMock;
+    let provider;
+
+    beforeEach(() => {
+        fetchMock = jest.spyOn(globalThis, 'fetch');
+        provider = new SmsGatewayProvider({
+            url: 'https://sms.example.test/send',
+            apiKey: 'sms-key',
+            sender: 'ACME',
+            inboundSecret: 'inbound-secret',
+            timeoutMs: 1000
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('stays disconnected without a gateway URL', async () => {
+        provider.url = null;
+
+        await provider.start();
+
+        expect(provider.isReady()).toBe(false);
+    });
+
+    it('posts plain text from the sender ID', async () => {
+        fetchMock.mockResolvedValueOnce(reply(200, { id: 'sms-1' }));
+        await provider.start();
+
+        const receipt = await provider.send(provider.normalizeAddress('081234567890'), 'Code: *123456*');
+
+        const [url, request] = fetchMock.mock.calls[0];
+        expect(url).toBe('https://sms.example.test/send');
+        expect(request.headers.Authorization).toBe('Bearer sms-key');
+        expect(request.signal).toBeInstanceOf(AbortSignal);
+        expect(JSON.parse(request.body)).toEqual({ to: '+6281234567890', from: 'ACME', text: 'Code: 123456' });
+        expect(receipt.messageId).toBe('sms-1');
+    });
+
+    it('falls back to a generated message ID when the gateway returns none', async () => {
+        fetchMock.mockResolvedValueOnce(new Response('accepted', { status: 202 }));
+
+        const receipt = await provider.send('+6281234567890', 'hello');
+
+        expect(receipt.messageId).toEqual(expect.any(String));
+    });
+
+    it('throws when the gateway rejects the message', async () => {
+        fetchMock.mockResolvedValueOnce(reply(503, {}));
+
+        await expect(provider.send('+6281234567890', 'hello')).rejects.toThrow('SMS gateway responded with 503');
+    });
+
+    it('only accepts inbound webhooks carrying the shared secret', () => {
+        expect(provider.verifySecret('inbound-secret')).toBe(true);
+        expect(provider.verifySecret('inbound')).toBe(false);
+        expect(new SmsGatewayProvider({ url: 'https://sms.example.test/send' }).verifySecret('')).toBe(false);
+    });
+
+    it('accepts the common inbound field names and ignores incomplete payloads', () => {
+        const received = jest.fn();
+        provider.on('message', received);
+
+        provider.handleWebhook({ from: '+6281234567890', text: 'one' });
+        provider.handleWebhook({ from: '+6281234567890', message: 'two' });
+        provider.handleWebhook({ text: 'no sender' });
+        provider.handleWebhook({ from: '+6281234567890' });
+
+        expect(received.mock.calls.map(([message]) => message.body)).toEqual(['one', 'two']);
+    });
+});
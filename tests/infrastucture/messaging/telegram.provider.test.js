@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { TelegramProvider } from '../../../src/infrastucture/messaging/telegram.provider.js';
+
+const reply = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+describe('TelegramProvider', () => {
+    let fetchMock;
+    let provider;
+
+    beforeEach(() => {
+        fetchMock = jest.spyOn(globalThis, 'fetch');
+        provider = new TelegramProvider({ token: 'bot-token', webhookSecret: 'hook-secret', timeoutMs: 1000 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('stays disconnected without a bot token', async () => {
+        provider.token = null;
+
+        await provider.start();
+
+        expect(provider.state).toBe('disconnected');
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('checks the token with getMe and learns the bot username', async () => {
+        fetchMock.mockResolvedValueOnce(reply(200, { ok: true, result: { username: 'acme_bot' } }));
+
+        await provider.start();
+
+        expect(fetchMock).toHaveBeenCalledWith('https://api.telegram.org/botbot-token/getMe', expect.objectContaining({
+            method: 'POST',
+            signal: expect.any(AbortSignal)
+        }));
+        expect(provider.isReady()).toBe(true);
+        expect(provider.linkFor('token_123')).toBe('https://t.me/acme_bot?start=token_123');
+    });
+
+    it('reports an auth failure when Telegram rejects the token', async () => {
+        fetchMock.mockResolvedValueOnce(reply(401, { ok: false, description: 'Unauthorized' }));
+
+        await expect(provider.start()).rejects.toThrow('Telegram getMe failed: Unauthorized');
+        expect(provider.state).toBe('auth_failure');
+    });
+
+    it('sends plain text to the chat ID', async () => {
+        fetchMock.mockResolvedValueOnce(reply(200, { ok: true, result: { message_id: 7, date: 1700000000 } }));
+
+        const receipt = await provider.send('12345', 'Your code is *123456*');
+
+        expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ chat_id: '12345', text: 'Your code is 123456' });
+        expect(receipt).toEqual({ messageId: '7', timestamp: 1700000000 });
+    });
+
+    it('surfaces a timed out request', async () => {
+        fetchMock.mockRejectedValueOnce(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+
+        await expect(provider.send('12345', 'hello')).rejects.toThrow('timeout');
+    });
+
+    it('only accepts webhooks carrying the configured secret', () => {
+        expect(provider.verifySecret('hook-secret')).toBe(true);
+        expect(provider.verifySecret('hook-secreT')).toBe(false);
+        expect(provider.verifySecret(undefined)).toBe(false);
+        expect(new TelegramProvider({ token: 'bot-token' }).verifySecret('')).toBe(false);
+    });
+
+    it('turns text updates into messages and ignores everything else', () => {
+        const received = jest.fn();
+        provider.on('message', received);
+
+        provider.handleWebhook({ message: { chat: { id: 12345 }, text: '/start abc', date: 1700000000 } });
+        provider.handleWebhook({ message: { chat: { id: 12345 }, sticker: {} } });
+        provider.handleWebhook({ edited_message: { chat: { id: 12345 }, text: 'edit' } });
+
+        expect(received).toHaveBeenCalledTimes(1);
+        expect(received).toHaveBeenCalledWith(expect.objectContaining({
+            channel: 'telegram',
+            from: '12345',
+            body: '/start abc',
+            timestamp: 1700000000
+        }));
+    });
+});
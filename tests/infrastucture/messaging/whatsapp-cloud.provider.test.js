@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { WhatsAppCloudProvider } from '../../../src/infrastucture/messaging/whatsapp-cloud.provider.js';
+
+const reply = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('WhatsAppCloudProvider', () => {
+    let fetchMock;
+    let provider;
+
+    beforeEach(() => {
+        fetchMock = jest.spyOn(globalThis, 'fetch');
+        provider = new WhatsAppCloudProvider({
+            accessToken: 'access-token',
+            phoneNumberId: '1098',
+            verifyToken: 'verify-token',
+            appSecret: 'app-secret',
+            apiVersion: 'v18.0',
+            timeoutMs: 1000
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('refuses to start without an app secret to check webhooks against', async () => {
+        provider.appSecret = null;
+
+        await provider.start();
+
+        expect(provider.state).toBe('disconnected');
+    });
+
+    it('sends to international digits without the plus sign', async () => {
+        fetchMock.mockResolvedValueOnce(reply(200, { messages: [{ id: 'wamid.1' }] }));
+        await provider.start();
+
+        const to = provider.normalizeAddress('0812-3456-7890');
+        const receipt = await provider.send(to, 'hello');
+
+        expect(to).toBe('6281234567890');
+        const [url, request] = fetchMock.mock.calls[0];
+        expect(url).toBe('https://graph.facebook.com/v18.0/1098/messages');
+        expect(request.headers.Authorization).toBe('Bearer access-token');
+        expect(JSON.parse(request.body)).toMatchObject({ to: '6281234567890', text: { body: 'hello' } });
+        expect(receipt.messageId).toBe('wamid.1');
+    });
+
+    it('flags an auth failure when the access token is rejected', async () => {
+        fetchMock.mockResolvedValueOnce(reply(401, {}));
+        await provider.start();
+
+        await expect(provider.send('6281234567890', 'hello')).rejects.toThrow('responded with 401');
+        expect(provider.state).toBe('auth_failure');
+    });
+
+    it('echoes the subscription challenge only for the verify token', () => {
+        const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-token', 'hub.challenge': '1158201444' };
+
+        expect(provider.verifySubscription(query)).toBe('1158201444');
+        expect(provider.verifySubscription({ ...query, 'hub.verify_token': 'guess' })).toBeNull();
+        expect(provider.verifySubscription({ ...query, 'hub.mode': 'unsubscribe' })).toBeNull();
+    });
+
+    it('checks the webhook signature over the raw body', () => {
+        const body = Buffer.from('{"entry":[]}');
+
+        expect(provider.verifySignature(body, sign(body, 'app-secret'))).toBe(true);
+        expect(provider.verifySignature(body, sign(body, 'other-secret'))).toBe(false);
+        expect(provider.verifySignature(Buffer.from('{"entry":[1]}'), sign(body, 'app-secret'))).toBe(false);
+        expect(provider.verifySignature(body, undefined)).toBe(false);
+    });
+
+    it('turns webhook payloads into messages and delivery receipts', () => {
+        const received = jest.fn();
+        const delivered = jest.fn();
+        provider.on('message', received);
+        provider.on('delivery', delivered);
+
+        provider.handleWebhook({
+            entry: [{
+                changes: [{
+                    value: {
+                        messages: [
+                            { from: '6281234567890', type: 'text', text: { body: 'hi' }, timestamp: '1700000000' },
+                            { from: '6281234567890', type: 'image', image: {} }
+                        ],
+                        statuses: [{ id: 'wamid.1', status: 'read' }]
+                    }
+                }]
+            }]
+        });
+
+        expect(received).toHaveBeenCalledTimes(1);
+        expect(received).toHaveBeenCalledWith(expect.objectContaining({
+            channel: 'whatsapp',
+            from: '+6281234567890',
+            body: 'hi',
+            timestamp: 1700000000
+        }));
+        expect(delivered).toHaveBeenCalledWith({ channel: 'whatsapp', messageId: 'wamid.1', status: 'read' });
+    });
+});
@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import { MemoryQueue } from '../../../src/infrastucture/queue/memory.queue.js';
+
+function failing(message, retryable = true) {
+    const error = new Error(message);
+    if (!retryable) error.retryable = false;
+    return error;
+}
+
+describe('MemoryQueue', () => {
+    let queue;
+    let deadLetters;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        queue = new MemoryQueue('test', { attempts: 3, backoffMs: 1000 });
+        deadLetters = [];
+        queue.onDeadLetter((job, error) => deadLetters.push({ job, error }));
+    });
+
+    afterEach(async () => {
+        await queue.close();
+        jest.useRealTimers();
+    });
+
+    it('holds jobs until a handler is registered', async () => {
+        const handler = jest.fn(async () => {});
+        await queue.add({ to: 'a' });
+        await jest.advanceTimersByTimeAsync(0);
+        await expect(queue.counts()).resolves.toEqual({ waiting: 1, delayed: 0, active: 0 });
+
+        queue.process(handler);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({ data: { to: 'a' }, attemptsMade: 0 }));
+        await expect(queue.counts()).resolves.toEqual({ waiting: 0, delayed: 0, active: 0 });
+    });
+
+    it('ignores a job whose ID is already queued', async () => {
+        const handler = jest.fn(async () => {});
+        queue.process(handler);
+
+        await queue.add({ n: 1 }, { jobId: 'same' });
+        await queue.add({ n: 2 }, { jobId: 'same' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].data).toEqual({ n: 1 });
+    });
+
+    it('retries with exponential backoff until the job succeeds', async () => {
+        const runs = [];
+        queue.process(async (job) => {
+            runs.push({ at: Date.now(), attemptsMade: job.attemptsMade });
+            if (job.attemptsMade < 2) throw failing('offline');
+        });
+        const start = Date.now();
+
+        await queue.add({ to: 'a' });
+        await jest.advanceTimersByTimeAsync(0);
+        await expect(queue.counts()).resolves.toEqual({ waiting: 0, delayed: 1, active: 0 });
+
+        await jest.advanceTimersByTimeAsync(999);
+        expect(runs).toHaveLength(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(runs).toHaveLength(2);
+        await jest.advanceTimersByTimeAsync(2000);
+
+        expect(runs).toEqual([
+            { at: start, attemptsMade: 0 },
+            { at: start + 1000, attemptsMade: 1 },
+            { at: start + 3000, attemptsMade: 2 }
+        ]);
+        expect(deadLetters).toEqual([]);
+        await expect(queue.counts()).resolves.toEqual({ waiting: 0, delayed: 0, active: 0 });
+    });
+
+    it('dead-letters a job once its attempts run out', async () => {
+        const handler = jest.fn(async () => { throw failing('still offline'); });
+        queue.process(handler);
+
+        await queue.add({ to: 'a' }, { jobId: 'job-1' });
+        await jest.advanceTimersByTimeAsync(10 * 1000);
+
+        expect(handler).toHaveBeenCalledTimes(3);
+        expect(deadLetters).toEqual([{
+            job: { id: 'job-1', data: { to: 'a' }, attemptsMade: 3 },
+            error: expect.objectContaining({ message: 'still offline' })
+        }]);
+        await expect(queue.counts()).resolves.toEqual({ waiting: 0, delayed: 0, active: 0 });
+    });
+
+    it('dead-letters an expired job straight away instead of retrying it', async () => {
+        const handler = jest.fn(async () => { throw failing('Message expired before delivery', false); });
+        queue.process(handler);
+
+        await queue.add({ to: 'a' }, { attempts: 8 });
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(deadLetters).toHaveLength(1);
+        expect(deadLetters[0].job.attemptsMade).toBe(1);
+        expect(deadLetters[0].error.message).toBe('Message expired before delivery');
+    });
+
+    it('honours per-job attempts and backoff', async () => {
+        const runs = [];
+        queue.process(async () => {
+            runs.push(Date.now());
+            throw failing('offline');
+        });
+        const start = Date.now();
+
+        await queue.add({ to: 'a' }, { attempts: 2, backoffMs: 50 });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(runs).toEqual([start, start + 50]);
+        expect(deadLetters).toHaveLength(1);
+    });
+
+    it('runs delayed jobs immediately when promoted', async () => {
+        let online = false;
+        const handler = jest.fn(async () => {
+            if (!online) throw failing('offline');
+        });
+        queue.process(handler);
+
+        await queue.add({ to: 'a' });
+        await jest.advanceTimersByTimeAsync(0);
+        online = true;
+
+        await queue.promote();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        await expect(queue.counts()).resolves.toEqual({ waiting: 0, delayed: 0, active: 0 });
+    });
+
+    it('drops pending jobs on close', async () => {
+        const handler = jest.fn(async () => { throw failing('offline'); });
+        queue.process(handler);
+        await queue.add({ to: 'a' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        await queue.close();
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        await expect(queue.counts()).resolves.toEqual({ waiting: 0, delayed: 0, active: 0 });
+    });
+});
@@ -0,0 +1,48 @@
+import { adminDirectory } from '../../../src/module/admin/admin.directory.js';
+import { findAdminForUser } from '../../../src/module/admin/admin.routes.js';
+
+// Stands in for AuthService: only the contacts listed here have been proven by an OTP or Google
+function authWithVerified(verified) {
+    return {
+        findVerifiedOwner: async (channel, address) => verified[`${channel}:${address}`] || null
+    };
+}
+
+describe('findAdminForUser', () => {
+    beforeEach(async () => {
+        await adminDirectory.save([
+            { id: 'owner', email: 'Owner@Example.com', whatsapp: '+6281111111111', role: 'owner' },
+            { id: 'viewer', userId: 'user-viewer', email: 'viewer@example.com', role: 'viewer' }
+        ]);
+    });
+
+    it('matches a roster entry through a verified email', async () => {
+        const auth = authWithVerified({ 'email:Owner@Example.com': 'user-1' });
+
+        await expect(findAdminForUser(auth, 'user-1', 'owner')).resolves.toMatchObject({ id: 'owner' });
+    });
+
+    it('matches a roster entry through a verified WhatsApp number', async () => {
+        const auth = authWithVerified({ 'whatsapp:+6281111111111': 'user-1' });
+
+        await expect(findAdminForUser(auth, 'user-1', 'operator')).resolves.toMatchObject({ id: 'owner' });
+    });
+
+    it('ignores contacts another user verified', async () => {
+        const auth = authWithVerified({ 'email:Owner@Example.com': 'someone-else' });
+
+        await expect(findAdminForUser(auth, 'user-1', 'viewer')).rejects.toThrow('Requires viewer access');
+    });
+
+    it('only accepts the listed userId when the entry pins one', async () => {
+        const auth = authWithVerified({ 'email:viewer@example.com': 'user-2' });
+
+        await expect(findAdminForUser(auth, 'user-2', 'viewer')).rejects.toThrow('Requires viewer access');
+        await expect(findAdminForUser(auth, 'user-viewer', 'viewer')).resolves.toMatchObject({ id: 'viewer' });
+    });
+
+    it('refuses a role above the entry', async () => {
+        await expect(findAdminForUser(authWithVerified({}), 'user-viewer', 'operator'))
+            .rejects.toThrow('Requires operator access');
+    });
+});
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import { mockAppModule } from '../../support/mock-module.js';
+import { SoftwareAuthenticator } from '../../support/software-authenticator.js';
+
+// The event bus and encryption service are app-level singletons; the managers open real connections on import
+const eventBus = { on: jest.fn(), emit: jest.fn() };
+mockAppModule('src/core/event-bus.js', () => ({
+    EventBus: { getInstance: () => eventBus }
+}));
+mockAppModule('src/module/security/encryption.service.js', () => ({
+    EncryptionService: class {
+        async encrypt(value) { return value; }
+        async decrypt(value) { return value; }
+    }
+}));
+jest.unstable_mockModule('../../../src/infrastucture/external-apis/gmail.manager.js', () => ({ gmailManager: {} }));
+jest.unstable_mockModule('../../../src/infrastucture/external-apis/whatsapp.manager.js', () => ({ whatsappManager: {} }));
+
+const { AdvancedAuthService } = await import('../../../src/module/auth/auth.service.js');
+const { MemoryStore } = await import('../../../src/infrastucture/storage/memory.store.js');
+
+const USER = { id: 'user-1', email: 'User@Example.com', phone: '+6281234567890' };
+
+describe('AdvancedAuthService', () => {
+    let auth;
+
+    beforeAll(() => {
+        process.env.OTP_HASH_SECRET = 'test-otp-secret';
+        process.env.JWT_SECRET = 'test-jwt-secret';
+    });
+
+    beforeEach(() => {
+        eventBus.emit.mockClear();
+        auth = new AdvancedAuthService({
+            storage: new MemoryStore(),
+            gmail: {},
+            whatsapp: { setAuthService: jest.fn() }
+        });
+        auth.getUserProfile = async (userId) => (userId === USER.id ? { ...USER } : { id: userId });
+    });
+
+    function securityEvents(type) {
+        return eventBus.emit.mock.calls
+            .filter(([name, event]) => name === 'SECURITY_EVENT' && event.type === type)
+            .map(([, event]) => event);
+    }
+
+    describe('password login', () => {
+        beforeEach(() => {
+            auth.validateCredentials = async () => ({ ...USER, twoFactorEnabled: false });
+        });
+
+        const login = () => auth.login({ identifier: USER.email, password: 'correct horse', ipAddress: '198.51.100.7' });
+
+        it('signs in with the password alone when no second factor is set up', async () => {
+            await expect(login()).resolves.toMatchObject({ success: true, user: { id: USER.id } });
+        });
+
+        it('asks for the authenticator code once TOTP is enrolled', async () => {
+            const { secret } = await auth.totp.beginEnrollment(USER.id, USER.email);
+            const step = Math.floor(Date.now() / 1000 / 30);
+            await auth.confirmTotpEnrollment(USER.id, auth.totp.generateCode(auth.totp.base32Decode(secret), step));
+
+            const result = await login();
+
+            expect(result).toMatchObject({ success: true, requiresTwoFactor: true });
+            expect(result.tokens).toBeUndefined();
+            expect(securityEvents('TWO_FACTOR_INITIATED')).toEqual([
+                expect.objectContaining({ data: expect.objectContaining({ userId: USER.id, reason: 'ENABLED' }) })
+            ]);
+        });
+    });
+
+    describe('messaging channel links', () => {
+        let preferences;
+
+        beforeEach(() => {
+            preferences = new Map();
+            auth.whatsapp = {
+                providers: { whatsapp: {}, telegram: { linkFor: (code) => `https://t.me/bot?start=${code}` } },
+                resolveRecipient: async (phone) => preferences.get(phone) || { channel: 'whatsapp', address: phone },
+                preferences: {
+                    set: async (phone, channel, address) => preferences.set(phone, { channel, address }),
+                    clear: async (phone) => preferences.delete(phone)
+                },
+                sendMessage: jest.fn(async () => ({})),
+                sendToUser: jest.fn(async () => ({}))
+            };
+        });
+
+        it('hands out an unguessable token in a deep link', async () => {
+            const result = await auth.setMessagingChannel(USER.id, 'telegram');
+
+            expect(result.code).toMatch(/^[A-Za-z0-9_-]{22}$/);
+            expect(result.link).toBe(`https://t.me/bot?start=${result.code}`);
+        });
+
+        it('links the chat that redeems the token, once', async () => {
+            const { code } = await auth.setMessagingChannel(USER.id, 'telegram');
+
+            await auth.handleChannelLink({ channel: 'telegram', from: '4242', code });
+            await auth.handleChannelLink({ channel: 'telegram', from: '6666', code });
+
+            expect(preferences.get(USER.phone)).toEqual({ channel: 'telegram', address: '4242' });
+        });
+
+        it('stops listening to a sender that keeps guessing', async () => {
+            const { code } = await auth.setMessagingChannel(USER.id, 'telegram');
+
+            for (let i = 0; i < 5; i++) {
+                await auth.handleChannelLink({ channel: 'telegram', from: '6666', code: `guess-${i}` });
+            }
+            await auth.handleChannelLink({ channel: 'telegram', from: '6666', code });
+
+            expect(preferences.has(USER.phone)).toBe(false);
+        });
+    });
+
+    describe('passkey login', () => {
+        let authenticator;
+
+        beforeEach(async () => {
+            authenticator = new SoftwareAuthenticator();
+            const registration = await auth.webauthn.generateRegistrationOptions(USER);
+            await auth.webauthn.verifyRegistration(USER.id, authenticator.register(registration));
+        });
+
+        async function assertion() {
+            const { options } = await auth.beginPasskeyLogin();
+            return authenticator.authenticate(options);
+        }
+
+        it('signs in with a verified passkey', async () => {
+            const result = await auth.completePasskeyLogin(await assertion(), { ipAddress: '198.51.100.7' });
+
+            expect(result).toMatchObject({ success: true, user: { id: USER.id } });
+            expect(result.tokens.accessToken).toEqual(expect.any(String));
+        });
+
+        it.each([
+            ['the email, as typed', 'User@Example.com'],
+            ['the email, lower-cased', 'user@example.com'],
+            ['the phone number', USER.phone],
+            ['the user ID', USER.id]
+        ])('refuses an account locked by %s', async (_, identifier) => {
+            await auth.lockAccount(identifier, 'admin-1', 60 * 1000);
+
+            await expect(auth.completePasskeyLogin(await assertion(), { ipAddress: '198.51.100.7' }))
+                .rejects.toThrow('Account temporarily locked');
+            expect(securityEvents('LOGIN_BLOCKED')).toEqual([
+                expect.objectContaining({ data: expect.objectContaining({ userId: USER.id, method: 'passkey' }) })
+            ]);
+            expect(securityEvents('LOGIN_SUCCESS')).toEqual([]);
+        });
+
+        it('refuses an assertion without user verification', async () => {
+            const { options } = await auth.beginPasskeyLogin();
+
+            await expect(auth.completePasskeyLogin(authenticator.authenticate(options, { flags: 0x01 })))
+                .rejects.toThrow('User verification required');
+            expect(securityEvents('LOGIN_SUCCESS')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { mockAppModule } from '../../support/mock-module.js';
+
+// The event bus and encryption service are app-level singletons; the managers open real connections on import
+const eventBus = { on: jest.fn(), emit: jest.fn() };
+mockAppModule('src/core/event-bus.js', () => ({
+    EventBus: { getInstance: () => eventBus }
+}));
+mockAppModule('src/module/security/encryption.service.js', () => ({
+    EncryptionService: class {
+        async encrypt(value) { return value; }
+        async decrypt(value) { return value; }
+    }
+}));
+jest.unstable_mockModule('../../../src/infrastucture/external-apis/gmail.manager.js', () => ({ gmailManager: {} }));
+jest.unstable_mockModule('../../../src/infrastucture/external-apis/whatsapp.manager.js', () => ({ whatsappManager: {} }));
+
+const { AdvancedAuthService } = await import('../../../src/module/auth/auth.service.js');
+const { GoogleAuthService } = await import('../../../src/module/auth/google-auth.service.js');
+const { MemoryStore } = await import('../../../src/infrastucture/storage/memory.store.js');
+
+const GOOGLE_USER = { id: 'google-sub-1', email: 'user@example.com', name: 'User', verified_email: true };
+
+// Stands in for Google: codes are bound to the PKCE challenge of the flow that obtained them
+function createGoogleStub() {
+    const challenges = new Map();
+    const codes = new Map();
+
+    const client = {
+        generateAuthUrl: ({ state, code_challenge: challenge }) => {
+            challenges.set(state, challenge);
+            return `https://accounts.google.test/o/oauth2/auth?state=${state}`;
+        },
+        getToken: jest.fn(async ({ code, codeVerifier }) => {
+            const challenge = codes.get(code);
+            codes.delete(code);
+            const computed = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+            if (!challenge || computed !== challenge) {
+                throw new Error('invalid_grant');
+            }
+            return { tokens: { access_token: `access-${code}` } };
+        })
+    };
+
+    return {
+        client,
+        consent(authUrl) {
+            const state = new URL(authUrl).searchParams.get('state');
+            const code = crypto.randomBytes(8).toString('hex');
+            codes.set(code, challenges.get(state));
+            return { code, state };
+        }
+    };
+}
+
+describe('Google OAuth', () => {
+    let google;
+    let auth;
+    let userInfo;
+
+    beforeAll(() => {
+        process.env.OTP_HASH_SECRET = 'test-otp-secret';
+        process.env.JWT_SECRET = 'test-jwt-secret';
+    });
+
+    beforeEach(() => {
+        google = createGoogleStub();
+        userInfo = { ...GOOGLE_USER };
+        auth = new AdvancedAuthService({
+            storage: new MemoryStore(),
+            gmail: {
+                deliveries: { isUndeliverable: async () => false },
+                sendEmail: jest.fn(async () => ({ success: true })),
+                sendAdminNotification: jest.fn(async () => ({ success: true }))
+            },
+            whatsapp: {
+                setAuthService: jest.fn(),
+                canDeliver: async () => true
+            },
+            googleAuth: new GoogleAuthService({
+                client: google.client,
+                fetchUserInfo: async () => userInfo
+            })
+        });
+    });
+
+    async function startFlow() {
+        const { authUrl, sessionId } = await auth.initiateGoogleAuth();
+        return { sessionId, ...google.consent(authUrl) };
+    }
+
+    describe('state', () => {
+        it('completes a flow started by the same session', async () => {
+            const { code, state, sessionId } = await startFlow();
+
+            const result = await auth.handleGoogleCallback(code, sessionId, state);
+
+            expect(result).toMatchObject({ success: true, requiresAdditionalAuth: true });
+        });
+
+        it('rejects a replayed state', async () => {
+            const { code, state, sessionId } = await startFlow();
+            await auth.handleGoogleCallback(code, sessionId, state);
+
+            await expect(auth.handleGoogleCallback(code, sessionId, state)).rejects.toThrow('Invalid or expired OAuth state');
+        });
+
+        it('rejects a state from another session and burns it', async () => {
+            const { code, state, sessionId } = await startFlow();
+
+            await expect(auth.handleGoogleCallback(code, 'attacker-session', state))
+                .rejects.toThrow('OAuth state does not match session');
+            await expect(auth.handleGoogleCallback(code, sessionId, state))
+                .rejects.toThrow('Invalid or expired OAuth state');
+            expect(google.client.getToken).not.toHaveBeenCalled();
+        });
+
+        it('rejects a missing state', async () => {
+            const { code, sessionId } = await startFlow();
+
+            await expect(auth.handleGoogleCallback(code, sessionId, undefined)).rejects.toThrow('Invalid OAuth state');
+        });
+    });
+
+    describe('PKCE', () => {
+        it('sends the verifier that matches the challenge in the auth URL', async () => {
+            const { code, state, sessionId } = await startFlow();
+
+            await auth.handleGoogleCallback(code, sessionId, state);
+
+            expect(google.client.getToken).toHaveBeenCalledWith({ code, codeVerifier: expect.any(String) });
+        });
+
+        it('fails when a code is redeemed with another flow\'s verifier', async () => {
+            // An intercepted code injected into the attacker's own flow carries the wrong verifier
+            const victim = await startFlow();
+            const attacker = await startFlow();
+
+            await expect(auth.handleGoogleCallback(victim.code, attacker.sessionId, attacker.state))
+                .rejects.toThrow('invalid_grant');
+        });
+    });
+
+    describe('findOrCreateGoogleUser', () => {
+        it('creates and links a new user', async () => {
+            const { user, linkRequired } = await auth.findOrCreateGoogleUser(userInfo);
+
+            expect(linkRequired).toBe(false);
+            expect(user.email).toBe(GOOGLE_USER.email);
+            await expect(auth.identities.findUserId('google', GOOGLE_USER.id)).resolves.toBe(user.id);
+        });
+
+        it('requires proof of ownership before linking to an existing email', async () => {
+            const existing = { id: 'existing-user', email: GOOGLE_USER.email, locale: 'en' };
+            auth.findUserByEmail = jest.fn(async (email) => email === existing.email ? existing : null);
+            auth.generateOTP = () => '123456';
+
+            const { code, state, sessionId } = await startFlow();
+            const result = await auth.handleGoogleCallback(code, sessionId, state);
+
+            expect(result).toMatchObject({ success: true, requiresLinkConfirmation: true, channels: ['email'] });
+            await expect(auth.identities.findUserId('google', GOOGLE_USER.id)).resolves.toBeNull();
+
+            await expect(auth.verifyOTP(result.sessionId, '000000', 'email')).rejects.toThrow('Invalid OTP code');
+            await expect(auth.identities.findUserId('google', GOOGLE_USER.id)).resolves.toBeNull();
+
+            await auth.verifyOTP(result.sessionId, '123456', 'email');
+            await expect(auth.identities.findUserId('google', GOOGLE_USER.id)).resolves.toBe(existing.id);
+        });
+
+        it('signs a linked identity straight into its account', async () => {
+            await auth.identities.link('existing-user', { provider: 'google', subject: GOOGLE_USER.id, email: GOOGLE_USER.email });
+            auth.findUserByEmail = jest.fn();
+
+            const { user, linkRequired } = await auth.findOrCreateGoogleUser(userInfo);
+
+            expect(linkRequired).toBe(false);
+            expect(user.id).toBe('existing-user');
+            expect(auth.findUserByEmail).not.toHaveBeenCalled();
+        });
+
+        it('refuses unverified Google emails', async () => {
+            userInfo = { ...GOOGLE_USER, verified_email: false };
+            const { code, state, sessionId } = await startFlow();
+
+            await expect(auth.handleGoogleCallback(code, sessionId, state)).rejects.toThrow('Google account email is not verified');
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import jwt from 'jsonwebtoken';
+import { TokenService } from '../../../src/module/auth/token.service.js';
+import { MemoryStore } from '../../../src/infrastucture/storage/memory.store.js';
+
+const SECRET = 'test-jwt-secret';
+const USER_ID = 'user-1';
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+describe('TokenService', () => {
+    let tokens;
+
+    beforeEach(() => {
+        tokens = new TokenService(new MemoryStore(), { secret: SECRET });
+    });
+
+    it('issues an access token bound to a new session', async () => {
+        const issued = await tokens.issueTokens(USER_ID, null, { ipAddress: '198.51.100.7', userAgent: CHROME_ON_WINDOWS, method: 'password' });
+        const payload = await tokens.verifyAccessToken(issued.accessToken);
+
+        expect(payload.sub).toBe(USER_ID);
+        await expect(tokens.getFamily(payload.fam)).resolves.toMatchObject({
+            userId: USER_ID,
+            revoked: false,
+            ipAddress: '198.51.100.7',
+            device: 'Chrome on Windows',
+            method: 'password'
+        });
+    });
+
+    it('rejects access tokens signed with another secret', async () => {
+        const issued = await tokens.issueTokens(USER_ID);
+        const forged = jwt.sign(jwt.decode(issued.accessToken), 'another-secret');
+
+        await expect(tokens.verifyAccessToken(forged)).rejects.toThrow('invalid signature');
+    });
+
+    describe('rotation', () => {
+        it('swaps a refresh token for a new pair in the same session', async () => {
+            const issued = await tokens.issueTokens(USER_ID);
+            const result = await tokens.rotate(issued.refreshToken, { userAgent: CHROME_ON_WINDOWS });
+
+            expect(result).toMatchObject({ reuseDetected: false, userId: USER_ID });
+            expect(result.tokens.refreshToken).not.toBe(issued.refreshToken);
+            expect((await tokens.verifyAccessToken(result.tokens.accessToken)).fam).toBe(result.familyId);
+            await expect(tokens.getFamily(result.familyId)).resolves.toMatchObject({ device: 'Chrome on Windows' });
+        });
+
+        it('revokes the whole family when a rotated token is presented again', async () => {
+            const issued = await tokens.issueTokens(USER_ID);
+            const rotated = await tokens.rotate(issued.refreshToken);
+
+            await expect(tokens.rotate(issued.refreshToken)).resolves.toEqual({
+                reuseDetected: true,
+                userId: USER_ID,
+                familyId: rotated.familyId
+            });
+            await expect(tokens.getFamily(rotated.familyId)).resolves.toMatchObject({ revoked: true, revokedReason: 'REUSE_DETECTED' });
+
+            // The legitimate holder's newer tokens die with the family
+            await expect(tokens.rotate(rotated.tokens.refreshToken)).rejects.toThrow('Refresh token revoked');
+            await expect(tokens.verifyAccessToken(rotated.tokens.accessToken)).rejects.toThrow('Access token revoked');
+        });
+
+        it('lets only one of two concurrent rotations of the same token through', async () => {
+            const issued = await tokens.issueTokens(USER_ID);
+            const results = await Promise.all([tokens.rotate(issued.refreshToken), tokens.rotate(issued.refreshToken)]);
+
+            expect(results.filter(result => !result.reuseDetected)).toHaveLength(1);
+            expect(results.filter(result => result.reuseDetected)).toHaveLength(1);
+        });
+
+        it('rejects unknown refresh tokens', async () => {
+            await expect(tokens.rotate('not-a-token')).rejects.toThrow('Invalid refresh token');
+        });
+    });
+
+    describe('logout', () => {
+        it('ends the session of the refresh token', async () => {
+            const issued = await tokens.issueTokens(USER_ID);
+            const other = await tokens.issueTokens(USER_ID);
+
+            await expect(tokens.revoke(issued.refreshToken)).resolves.toMatchObject({ userId: USER_ID });
+
+            await expect(tokens.verifyAccessToken(issued.accessToken)).rejects.toThrow('Access token revoked');
+            await expect(tokens.rotate(issued.refreshToken)).rejects.toThrow('Refresh token revoked');
+            await expect(tokens.verifyAccessToken(other.accessToken)).resolves.toMatchObject({ sub: USER_ID });
+        });
+
+        it('answers unknown tokens without revoking anything', async () => {
+            await expect(tokens.revoke('not-a-token')).resolves.toBeNull();
+        });
+
+        it('signs out every session, or every session but the current one', async () => {
+            const current = await tokens.issueTokens(USER_ID);
+            const others = await Promise.all([tokens.issueTokens(USER_ID), tokens.issueTokens(USER_ID)]);
+            const currentFamily = (await tokens.verifyAccessToken(current.accessToken)).fam;
+
+            await expect(tokens.revokeAllForUser(USER_ID, 'USER_REVOKED_OTHERS', currentFamily)).resolves.toBe(2);
+            for (const issued of others) {
+                await expect(tokens.verifyAccessToken(issued.accessToken)).rejects.toThrow('Access token revoked');
+            }
+            await expect(tokens.listSessions(USER_ID)).resolves.toEqual([expect.objectContaining({ id: currentFamily })]);
+
+            await expect(tokens.revokeAllForUser(USER_ID, 'ADMIN_FORCE_LOGOUT')).resolves.toBe(1);
+            await expect(tokens.verifyAccessToken(current.accessToken)).rejects.toThrow('Access token revoked');
+            await expect(tokens.listSessions(USER_ID)).resolves.toEqual([]);
+        });
+
+        it('keeps sessions of other users', async () => {
+            const mine = await tokens.issueTokens(USER_ID);
+            const theirs = await tokens.issueTokens('user-2');
+
+            await tokens.revokeAllForUser(USER_ID, 'ADMIN_FORCE_LOGOUT');
+
+            await expect(tokens.verifyAccessToken(mine.accessToken)).rejects.toThrow('Access token revoked');
+            await expect(tokens.verifyAccessToken(theirs.accessToken)).resolves.toMatchObject({ sub: 'user-2' });
+        });
+    });
+
+    it('refuses to sign without a secret', async () => {
+        const previous = process.env.JWT_SECRET;
+        delete process.env.JWT_SECRET;
+
+        try {
+            await expect(new TokenService(new MemoryStore()).issueTokens(USER_ID)).rejects.toThrow('JWT_SECRET is not configured');
+        } finally {
+            if (previous !== undefined) process.env.JWT_SECRET = previous;
+        }
+    });
+});
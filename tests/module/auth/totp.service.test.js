@@ -0,0 +1,70 @@
+import { TOTPService } from '../../../src/module/auth/totp.service.js';
+import { MemoryStore } from '../../../src/infrastucture/storage/memory.store.js';
+
+const USER_ID = 'user-1';
+const plainEncryption = {
+    async encrypt(value) { return value; },
+    async decrypt(value) { return value; }
+};
+
+describe('TOTPService', () => {
+    let totp;
+    let secret;
+    let recoveryCodes;
+
+    const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+    const codeAt = (step) => totp.generateCode(totp.base32Decode(secret), step);
+
+    beforeEach(async () => {
+        totp = new TOTPService(new MemoryStore(), plainEncryption);
+        ({ secret } = await totp.beginEnrollment(USER_ID, 'user@example.com'));
+        ({ recoveryCodes } = await totp.confirmEnrollment(USER_ID, codeAt(currentStep())));
+    });
+
+    it('does not accept the code used to enroll again', async () => {
+        await expect(totp.verify(USER_ID, codeAt(currentStep()))).resolves.toEqual({ valid: false });
+    });
+
+    it('accepts each code once', async () => {
+        const code = codeAt(currentStep() + 1);
+
+        await expect(totp.verify(USER_ID, code)).resolves.toEqual({ valid: true, method: 'totp' });
+        await expect(totp.verify(USER_ID, code)).resolves.toEqual({ valid: false });
+    });
+
+    it('accepts a code only once when it is submitted concurrently', async () => {
+        const code = codeAt(currentStep() + 1);
+        const results = await Promise.all([totp.verify(USER_ID, code), totp.verify(USER_ID, code), totp.verify(USER_ID, code)]);
+
+        expect(results.filter(result => result.valid)).toHaveLength(1);
+    });
+
+    it('spends recovery codes once, even concurrently', async () => {
+        const [first, second] = recoveryCodes;
+
+        const results = await Promise.all([totp.verify(USER_ID, first), totp.verify(USER_ID, first.toUpperCase())]);
+        expect(results.filter(result => result.valid)).toEqual([
+            { valid: true, method: 'recovery_code', remainingRecoveryCodes: recoveryCodes.length - 1 }
+        ]);
+
+        await expect(totp.verify(USER_ID, second)).resolves.toMatchObject({
+            valid: true,
+            remainingRecoveryCodes: recoveryCodes.length - 2
+        });
+        await expect(totp.verify(USER_ID, first)).resolves.toEqual({ valid: false });
+    });
+
+    it('invalidates old recovery codes when they are regenerated', async () => {
+        const { recoveryCodes: fresh } = await totp.regenerateRecoveryCodes(USER_ID);
+
+        await expect(totp.verify(USER_ID, recoveryCodes[0])).resolves.toEqual({ valid: false });
+        await expect(totp.verify(USER_ID, fresh[0])).resolves.toMatchObject({ valid: true, method: 'recovery_code' });
+    });
+
+    it('forgets the enrollment and its recovery codes when disabled', async () => {
+        await totp.disable(USER_ID);
+
+        await expect(totp.isEnabled(USER_ID)).resolves.toBe(false);
+        await expect(totp.verify(USER_ID, recoveryCodes[0])).resolves.toEqual({ valid: false });
+    });
+});
@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { VerificationSessionStore } from '../../../src/module/auth/verification-session.store.js';
+import { MemoryStore } from '../../../src/infrastucture/storage/memory.store.js';
+
+const SECRET = 'test-otp-secret';
+
+describe('VerificationSessionStore', () => {
+    let storage;
+    let store;
+
+    beforeEach(() => {
+        storage = new MemoryStore();
+        store = new VerificationSessionStore(storage, { secret: SECRET });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('stores only an HMAC of the code', async () => {
+        await store.storeOTP('session-1', 'email', 'user@example.com', '123456');
+
+        const record = await storage.get('otp:session-1:email');
+        const expected = crypto.createHmac('sha256', SECRET).update('session-1:email:123456').digest('hex');
+
+        expect(record.hash).toBe(expected);
+        expect(JSON.stringify(record)).not.toContain('123456');
+    });
+
+    it('accepts a code exactly once', async () => {
+        await store.storeOTP('session-1', 'email', 'user@example.com', '123456');
+
+        await expect(store.consumeOTP('session-1', 'email', '123456')).resolves.toBe(true);
+        await expect(store.consumeOTP('session-1', 'email', '123456')).resolves.toBe(false);
+    });
+
+    it('lets only one of two concurrent verifications win', async () => {
+        await store.storeOTP('session-1', 'email', 'user@example.com', '123456');
+
+        const results = await Promise.all([
+            store.consumeOTP('session-1', 'email', '123456'),
+            store.consumeOTP('session-1', 'email', '123456')
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('rejects a wrong code without consuming the right one', async () => {
+        await store.storeOTP('session-1', 'email', 'user@example.com', '123456');
+
+        await expect(store.consumeOTP('session-1', 'email', '654321')).resolves.toBe(false);
+        await expect(store.consumeOTP('session-1', 'email', 123456)).resolves.toBe(false);
+        await expect(store.consumeOTP('session-1', 'whatsapp', '123456')).resolves.toBe(false);
+        await expect(store.consumeOTP('session-1', 'email', '123456')).resolves.toBe(true);
+    });
+
+    it('expires codes and sessions after their TTL', async () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+        const session = await store.createSession({ sessionId: 'session-1', channels: ['email'] });
+        await store.storeOTP('session-1', 'email', 'user@example.com', '123456');
+        expect(session.expiresAt).toBe('2026-01-01T00:10:00.000Z');
+
+        jest.advanceTimersByTime(10 * 60 * 1000);
+
+        await expect(store.getSession('session-1')).resolves.toBeNull();
+        await expect(store.consumeOTP('session-1', 'email', '123456')).resolves.toBe(false);
+    });
+
+    it('keeps the original expiry when a session is updated', async () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+        await store.createSession({ sessionId: 'session-1', channels: ['email'] });
+        jest.advanceTimersByTime(9 * 60 * 1000);
+        await store.updateSession('session-1', { failover: 'email' });
+        jest.advanceTimersByTime(60 * 1000);
+
+        await expect(store.getSession('session-1')).resolves.toBeNull();
+    });
+
+    it('refuses to hash without a dedicated secret', async () => {
+        const previous = { ...process.env };
+        delete process.env.OTP_HASH_SECRET;
+        process.env.JWT_SECRET = 'jwt-secret';
+
+        try {
+            const unconfigured = new VerificationSessionStore(storage);
+            await expect(unconfigured.storeOTP('session-1', 'email', 'user@example.com', '123456'))
+                .rejects.toThrow('OTP_HASH_SECRET is not configured');
+        } finally {
+            process.env = previous;
+        }
+    });
+});
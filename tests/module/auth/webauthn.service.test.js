@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import { WebAuthnService } from '../../../src/module/auth/webauthn.service.js';
+import { MemoryStore } from '../../../src/infrastucture/storage/memory.store.js';
+import { SoftwareAuthenticator } from '../../support/software-authenticator.js';
+
+const USER = { id: 'user-1', email: 'user@example.com' };
+
+describe('WebAuthnService', () => {
+    let storage;
+    let webauthn;
+
+    beforeEach(() => {
+        storage = new MemoryStore();
+        webauthn = new WebAuthnService(storage, { rpId: 'localhost', origin: 'http://localhost:3000' });
+    });
+
+    async function register(authenticator, options = {}) {
+        const registration = await webauthn.generateRegistrationOptions(USER);
+        return await webauthn.verifyRegistration(USER.id, authenticator.register(registration, options));
+    }
+
+    async function authenticate(authenticator, options = {}) {
+        const challenge = await webauthn.generateAuthenticationOptions(USER.id);
+        return authenticator.authenticate(challenge, options);
+    }
+
+    describe.each([
+        ['ES256', -7],
+        ['RS256', -257]
+    ])('%s credentials', (_, alg) => {
+        it('registers with "none" attestation and decodes the COSE key', async () => {
+            const authenticator = new SoftwareAuthenticator({ alg });
+            const record = await register(authenticator);
+
+            expect(record).toMatchObject({
+                credentialId: authenticator.id,
+                userId: USER.id,
+                alg,
+                signCount: 0,
+                userVerified: true,
+                transports: ['internal']
+            });
+            expect(record.publicKey).toBe(authenticator.publicKey.export({ type: 'spki', format: 'pem' }));
+            await expect(webauthn.listCredentials(USER.id)).resolves.toHaveLength(1);
+        });
+
+        it('registers with packed self attestation', async () => {
+            const authenticator = new SoftwareAuthenticator({ alg });
+            const record = await register(authenticator, { fmt: 'packed' });
+
+            expect(record.alg).toBe(alg);
+        });
+
+        it('verifies an assertion and advances the counter', async () => {
+            const authenticator = new SoftwareAuthenticator({ alg });
+            await register(authenticator);
+
+            const assertion = await authenticate(authenticator, { signCount: 1, userHandle: USER.id });
+            const result = await webauthn.verifyAuthentication(assertion);
+
+            expect(result).toEqual({ userId: USER.id, credentialId: authenticator.id, userVerified: true });
+            const stored = await webauthn.getCredential(authenticator.id);
+            expect(stored.signCount).toBe(1);
+            expect(stored.lastUsedAt).not.toBeNull();
+        });
+    });
+
+    describe('registration', () => {
+        it('rejects a packed attestation signed by another key', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const impostor = new SoftwareAuthenticator();
+            const registration = await webauthn.generateRegistrationOptions(USER);
+            const credential = authenticator.register(registration, {
+                fmt: 'packed',
+                attStmt: { alg: -7, sig: crypto.sign('sha256', Buffer.from('forged'), impostor.privateKey) }
+            });
+
+            await expect(webauthn.verifyRegistration(USER.id, credential)).rejects.toThrow('Invalid attestation signature');
+        });
+
+        it('rejects a packed attestation whose algorithm does not match the key', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const registration = await webauthn.generateRegistrationOptions(USER);
+            const credential = authenticator.register(registration, {
+                fmt: 'packed',
+                attStmt: { alg: -257, sig: Buffer.alloc(64) }
+            });
+
+            await expect(webauthn.verifyRegistration(USER.id, credential)).rejects.toThrow('Attestation algorithm mismatch');
+        });
+
+        it('rejects unsupported attestation formats', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const registration = await webauthn.generateRegistrationOptions(USER);
+            const credential = authenticator.register(registration, { fmt: 'fido-u2f' });
+
+            await expect(webauthn.verifyRegistration(USER.id, credential)).rejects.toThrow('Unsupported attestation format');
+        });
+
+        it('rejects public keys other than ES256 and RS256', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            authenticator.coseKey = () => new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.alloc(32)]]);
+            const registration = await webauthn.generateRegistrationOptions(USER);
+
+            await expect(webauthn.verifyRegistration(USER.id, authenticator.register(registration)))
+                .rejects.toThrow('Unsupported credential public key');
+        });
+
+        it('rejects a credential that is already registered', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            await register(authenticator);
+
+            await expect(register(authenticator)).rejects.toThrow('Credential already registered');
+        });
+
+        it('rejects the wrong origin and ceremony type', async () => {
+            const authenticator = new SoftwareAuthenticator();
+
+            let registration = await webauthn.generateRegistrationOptions(USER);
+            await expect(webauthn.verifyRegistration(USER.id, authenticator.register(registration, {
+                clientData: { origin: 'https://evil.example' }
+            }))).rejects.toThrow('Unexpected origin');
+
+            registration = await webauthn.generateRegistrationOptions(USER);
+            await expect(webauthn.verifyRegistration(USER.id, authenticator.register(registration, {
+                clientData: { type: 'webauthn.get' }
+            }))).rejects.toThrow('Unexpected client data type');
+        });
+
+        it('rejects a challenge issued to another user', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const registration = await webauthn.generateRegistrationOptions(USER);
+
+            await expect(webauthn.verifyRegistration('user-2', authenticator.register(registration)))
+                .rejects.toThrow('Challenge was issued for another user');
+        });
+
+        it('asks for and requires user verification', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const registration = await webauthn.generateRegistrationOptions(USER);
+            expect(registration.authenticatorSelection.userVerification).toBe('required');
+
+            await expect(webauthn.verifyRegistration(USER.id, authenticator.register(registration, { flags: 0x41 })))
+                .rejects.toThrow('User verification required');
+        });
+
+        it('rejects packed attestation certificates it cannot validate', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const registration = await webauthn.generateRegistrationOptions(USER);
+            const credential = authenticator.register(registration, {
+                fmt: 'packed',
+                attStmt: { alg: -7, sig: Buffer.alloc(64), x5c: [Buffer.alloc(16)] }
+            });
+
+            await expect(webauthn.verifyRegistration(USER.id, credential))
+                .rejects.toThrow('Attestation certificates are not supported');
+        });
+
+        it('rejects an attestation object with trailing bytes', async () => {
+            const authenticator = new SoftwareAuthenticator();
+            const registration = await webauthn.generateRegistrationOptions(USER);
+            const credential = authenticator.register(registration);
+            credential.response.attestationObject = Buffer.concat([
+                Buffer.from(credential.response.attestationObject, 'base64url'),
+                Buffer.from([0x00])
+            ]).toString('base64url');
+
+            await expect(webauthn.verifyRegistration(USER.id, credential)).rejects.toThrow('Unexpected trailing CBOR data');
+        });
+
+        it('keeps every credential when registrations race', async () => {
+            const authenticators = [new SoftwareAuthenticator(), new SoftwareAuthenticator(), new SoftwareAuthenticator()];
+            await Promise.all(authenticators.map(authenticator => register(authenticator)));
+
+            const ids = (await webauthn.listCredentials(USER.id)).map(credential => credential.credentialId);
+            expect(ids.sort()).toEqual(authenticators.map(authenticator => authenticator.id).sort());
+        });
+    });
+
+    describe('authentication', () => {
+        let authenticator;
+
+        beforeEach(async () => {
+            authenticator = new SoftwareAuthenticator();
+            await register(authenticator);
+        });
+
+        it('requires user verification', async () => {
+            const challenge = await webauthn.generateAuthenticationOptions(USER.id);
+            expect(challenge.userVerification).toBe('required');
+
+            const assertion = authenticator.authenticate(challenge, { flags: 0x01 });
+            await expect(webauthn.verifyAuthentication(assertion)).rejects.toThrow('User verification required');
+        });
+
+        it('accepts an assertion only once when it is replayed concurrently', async () => {
+            const assertion = await authenticate(authenticator);
+            const results = await Promise.allSettled([
+                webauthn.verifyAuthentication(assertion),
+                webauthn.verifyAuthentication(assertion)
+            ]);
+
+            expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        });
+
+        it('lets only one of two concurrent assertions with the same counter through', async () => {
+            const first = await authenticate(authenticator, { signCount: 7 });
+            const second = await authenticate(authenticator, { signCount: 7 });
+            const results = await Promise.allSettled([
+                webauthn.verifyAuthentication(first),
+                webauthn.verifyAuthentication(second)
+            ]);
+
+            expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+            await expect(webauthn.getCredential(authenticator.id)).resolves.toMatchObject({ signCount: 7 });
+        });
+
+        it('rejects a replayed assertion', async () => {
+            const assertion = await authenticate(authenticator);
+            await webauthn.verifyAuthentication(assertion);
+
+            await expect(webauthn.verifyAuthentication(assertion)).rejects.toThrow('Invalid or expired challenge');
+        });
+
+        it('flags a counter that does not advance', async () => {
+            await webauthn.verifyAuthentication(await authenticate(authenticator, { signCount: 5 }));
+
+            const cloned = await authenticate(authenticator, { signCount: 5 });
+            await expect(webauthn.verifyAuthentication(cloned)).rejects.toMatchObject({
+                code: 'WEBAUTHN_COUNTER_REGRESSION',
+                userId: USER.id
+            });
+
+            const regressed = await authenticate(authenticator, { signCount: 3 });
+            await expect(webauthn.verifyAuthentication(regressed)).rejects.toMatchObject({
+                code: 'WEBAUTHN_COUNTER_REGRESSION'
+            });
+            await expect(webauthn.getCredential(authenticator.id)).resolves.toMatchObject({ signCount: 5 });
+        });
+
+        it('allows authenticators that never implement a counter', async () => {
+            await webauthn.verifyAuthentication(await authenticate(authenticator, { signCount: 0 }));
+
+            await expect(webauthn.verifyAuthentication(await authenticate(authenticator, { signCount: 0 })))
+                .resolves.toMatchObject({ userId: USER.id });
+        });
+
+        it('rejects a tampered signature', async () => {
+            const assertion = await authenticate(authenticator);
+            const signature = Buffer.from(assertion.response.signature, 'base64url');
+            signature[signature.length - 1] ^= 0xff;
+            assertion.response.signature = signature.toString('base64url');
+
+            await expect(webauthn.verifyAuthentication(assertion)).rejects.toThrow('Invalid passkey signature');
+        });
+
+        it('rejects assertions for another relying party', async () => {
+            const assertion = await authenticate(authenticator, { rpId: 'evil.example' });
+
+            await expect(webauthn.verifyAuthentication(assertion)).rejects.toThrow('Relying party ID mismatch');
+        });
+
+        it('rejects a user handle that does not own the credential', async () => {
+            const assertion = await authenticate(authenticator, { userHandle: 'user-2' });
+
+            await expect(webauthn.verifyAuthentication(assertion)).rejects.toThrow('Credential does not belong to user');
+        });
+
+        it('rejects unknown credentials', async () => {
+            const stranger = new SoftwareAuthenticator();
+
+            await expect(webauthn.verifyAuthentication(await authenticate(stranger))).rejects.toThrow('Unknown credential');
+        });
+    });
+
+    describe('authenticator data', () => {
+        it('requires user presence', () => {
+            const authenticator = new SoftwareAuthenticator();
+
+            expect(() => webauthn.parseAuthenticatorData(authenticator.authenticatorData({ flags: 0x04 })))
+                .toThrow('User presence required');
+        });
+
+        it('decodes attested credential data with multi-byte CBOR lengths', () => {
+            // A 2048-bit modulus needs a two-byte CBOR length prefix
+            const authenticator = new SoftwareAuthenticator({ alg: -257 });
+            const parsed = webauthn.parseAuthenticatorData(authenticator.authenticatorData({ attested: true, signCount: 70000 }));
+
+            expect(parsed.signCount).toBe(70000);
+            expect(parsed.credentialId.equals(authenticator.credentialId)).toBe(true);
+            expect(parsed.credentialPublicKey['1']).toBe(3);
+            expect(parsed.credentialPublicKey['3']).toBe(-257);
+            expect(parsed.credentialPublicKey['-1']).toHaveLength(256);
+        });
+
+        it('rejects truncated data', () => {
+            expect(() => webauthn.parseAuthenticatorData(Buffer.alloc(10))).toThrow('Authenticator data too short');
+        });
+
+        it('rejects unsupported CBOR encodings', () => {
+            const authenticator = new SoftwareAuthenticator();
+            const data = Buffer.concat([authenticator.authenticatorData({ attested: true }).subarray(0, 55 + 16), Buffer.from([0x5f])]);
+
+            expect(() => webauthn.parseAuthenticatorData(data)).toThrow('Unsupported CBOR encoding');
+        });
+
+        describe('malformed CBOR', () => {
+            const authenticator = new SoftwareAuthenticator();
+            const withKey = (bytes) => Buffer.concat([
+                authenticator.authenticatorData({ attested: true }).subarray(0, 55 + 16),
+                Buffer.from(bytes)
+            ]);
+
+            it.each([
+                ['a 4-byte array count', [0x9a, 0x01, 0x00, 0x00, 0x00]],
+                ['an 8-byte array count', [0x9b, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]],
+                ['an 8-byte map count', [0xbb, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00]],
+                ['a byte string longer than the data', [0x5a, 0x00, 0x01, 0x00, 0x00, 0x01, 0x02]],
+                ['a text string longer than the data', [0x78, 0x20, 0x61]],
+                ['a length header cut short', [0x19, 0x01]],
+                ['a map missing its value', [0xa1, 0x01]],
+                ['nothing at all', []]
+            ])('rejects %s without reading past the end', (_, bytes) => {
+                expect(() => webauthn.parseAuthenticatorData(withKey(bytes))).toThrow('Truncated CBOR data');
+            });
+
+            it('rejects deeply nested items', () => {
+                expect(() => webauthn.parseAuthenticatorData(withKey(new Array(64).fill(0x81).concat([0x00]))))
+                    .toThrow('CBOR nesting too deep');
+            });
+
+            it('rejects non-scalar map keys', () => {
+                expect(() => webauthn.parseAuthenticatorData(withKey([0xa1, 0x80, 0x00])))
+                    .toThrow('Unsupported CBOR map key');
+            });
+
+            it('rejects a credential ID longer than the data', () => {
+                const data = authenticator.authenticatorData({ attested: true }).subarray(0, 55 + 8);
+
+                expect(() => webauthn.parseAuthenticatorData(data)).toThrow('Authenticator data too short');
+            });
+
+            it('rejects trailing bytes after the credential key', () => {
+                const data = Buffer.concat([authenticator.authenticatorData({ attested: true }), Buffer.from([0x00])]);
+
+                expect(() => webauthn.parseAuthenticatorData(data)).toThrow('Unexpected trailing authenticator data');
+            });
+        });
+    });
+});
@@ -0,0 +1,45 @@
+import { createChatModel } from '../../../src/module/chat/chat-model.factory.js';
+import { HttpChatModel } from '../../../src/module/chat/http-chat.model.js';
+import { StubChatModel } from '../../../src/module/chat/stub-chat.model.js';
+
+describe('createChatModel', () => {
+    const environment = { ...process.env };
+
+    beforeEach(() => {
+        delete process.env.AI_MODEL_PROVIDER;
+        delete process.env.AI_API_URL;
+    });
+
+    afterEach(() => {
+        process.env = { ...environment };
+    });
+
+    it('uses the HTTP model when AI_API_URL is set', () => {
+        process.env.AI_API_URL = 'http://127.0.0.1:8000/v1/chat';
+        process.env.NODE_ENV = 'production';
+
+        expect(createChatModel()).toBeInstanceOf(HttpChatModel);
+    });
+
+    it.each(['development', 'test'])('falls back to the stub model in %s', nodeEnv => {
+        process.env.NODE_ENV = nodeEnv;
+
+        expect(createChatModel()).toBeInstanceOf(StubChatModel);
+    });
+
+    it.each(['production', 'staging'])('refuses to fall back to the stub model in %s', nodeEnv => {
+        process.env.NODE_ENV = nodeEnv;
+
+        expect(() => createChatModel()).toThrow('AI_API_URL is not configured');
+    });
+
+    it('still uses the stub model when it is asked for explicitly', () => {
+        process.env.NODE_ENV = 'production';
+
+        expect(createChatModel('stub')).toBeInstanceOf(StubChatModel);
+    });
+
+    it('rejects an unknown provider', () => {
+        expect(() => createChatModel('carrier-pigeon')).toThrow('Unknown AI model provider: carrier-pigeon');
+    });
+});
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import { mockAppModule } from '../../support/mock-module.js';
+
+process.env.MESSAGING_DRIVER = 'sandbox';
+
+// The event bus is provided by the host application; Gmail and whatsapp-web.js reach out on import
+const eventBus = { on: jest.fn(), emit: jest.fn() };
+mockAppModule('src/core/event-bus.js', () => ({
+    EventBus: { getInstance: () => eventBus }
+}));
+jest.unstable_mockModule('../../../src/infrastucture/external-apis/gmail.manager.js', () => ({ gmailManager: {} }));
+jest.unstable_mockModule('../../../src/infrastucture/messaging/whatsapp-web.provider.js', () => ({
+    WhatsAppWebProvider: class {}
+}));
+
+const { ChatService } = await import('../../../src/module/chat/chat.service.js');
+const { StubChatModel } = await import('../../../src/module/chat/stub-chat.model.js');
+const { MemoryStore } = await import('../../../src/infrastucture/storage/memory.store.js');
+const { WhatsAppManager } = await import('../../../src/infrastucture/external-apis/whatsapp.manager.js');
+const { SandboxProvider } = await import('../../../src/infrastucture/messaging/sandbox.provider.js');
+const { i18n } = await import('../../../src/module/i18n/i18n.service.js');
+
+describe('ChatService', () => {
+    let chat;
+
+    beforeEach(() => {
+        chat = new ChatService(new MemoryStore(), new StubChatModel(), { dailyQuota: 3 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('answers through the model and keeps the conversation', async () => {
+        await expect(chat.reply('+628111', 'halo')).resolves.toBe('🤖 (stub) You said: halo');
+
+        await expect(chat.getHistory('+628111')).resolves.toEqual([
+            { role: 'user', content: 'halo' },
+            { role: 'assistant', content: '🤖 (stub) You said: halo' }
+        ]);
+    });
+
+    it('sends the system prompt and prior turns to the model', async () => {
+        const complete = jest.spyOn(chat.model, 'complete');
+        await chat.reply('+628111', 'first');
+        await chat.reply('+628111', 'second');
+
+        expect(complete).toHaveBeenLastCalledWith({
+            system: chat.systemPrompt,
+            messages: [
+                { role: 'user', content: 'first' },
+                { role: 'assistant', content: '🤖 (stub) You said: first' },
+                { role: 'user', content: 'second' }
+            ]
+        });
+    });
+
+    it('keeps only the most recent messages', async () => {
+        chat.dailyQuota = 50;
+        for (let i = 0; i < 15; i++) {
+            await chat.reply('+628111', `message ${i}`);
+        }
+
+        const history = await chat.getHistory('+628111');
+        expect(history).toHaveLength(20);
+        expect(history[history.length - 1].content).toBe('🤖 (stub) You said: message 14');
+    });
+
+    describe('quota', () => {
+        it('stops answering once the daily quota is used', async () => {
+            for (let i = 0; i < 3; i++) {
+                await chat.reply('+628111', `message ${i}`);
+            }
+
+            await expect(chat.reply('+628111', 'one more')).rejects.toMatchObject({ code: 'CHAT_QUOTA_EXCEEDED' });
+            await expect(chat.remainingQuota('+628111')).resolves.toBe(0);
+        });
+
+        it('counts each conversation separately', async () => {
+            await chat.reply('+628111', 'hi');
+
+            await expect(chat.remainingQuota('+628111')).resolves.toBe(2);
+            await expect(chat.remainingQuota('+628222')).resolves.toBe(3);
+        });
+
+        it('refills after the window', async () => {
+            jest.useFakeTimers({ now: new Date('2026-01-01T08:00:00Z') });
+            for (let i = 0; i < 3; i++) {
+                await chat.reply('+628111', `message ${i}`);
+            }
+
+            jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+            await expect(chat.remainingQuota('+628111')).resolves.toBe(3);
+            await expect(chat.reply('+628111', 'good morning')).resolves.toContain('good morning');
+        });
+    });
+
+    describe('reset', () => {
+        it('forgets the conversation but not the quota', async () => {
+            await chat.reply('+628111', 'remember me');
+
+            await chat.reset('+628111');
+
+            await expect(chat.getHistory('+628111')).resolves.toEqual([]);
+            await expect(chat.remainingQuota('+628111')).resolves.toBe(2);
+        });
+    });
+});
+
+describe('WhatsApp chat replies', () => {
+    let provider;
+    let manager;
+
+    beforeEach(async () => {
+        provider = new SandboxProvider('whatsapp');
+        await provider.start();
+        manager = new WhatsAppManager({ providers: { whatsapp: provider }, email: {} });
+        manager.chat = new ChatService(new MemoryStore(), new StubChatModel(), { dailyQuota: 1 });
+    });
+
+    function receive(body, locale = 'en') {
+        return manager.handleUserMessage(
+            { channel: 'whatsapp', from: '+628111', body },
+            { phone: '+628111', locale }
+        );
+    }
+
+    function replies() {
+        return provider.messagesTo('+628111').map(entry => entry.text);
+    }
+
+    it('sends the model answer back', async () => {
+        await receive('halo');
+
+        expect(replies()).toEqual(['🤖 (stub) You said: halo']);
+    });
+
+    it('explains the quota in the user\'s language', async () => {
+        await receive('first');
+        await receive('second', 'id');
+
+        expect(replies()[1]).toBe(i18n.t('id', 'chat.quotaExceeded'));
+    });
+
+    it('falls back to an apology when the model fails', async () => {
+        jest.spyOn(manager.chat.model, 'complete').mockRejectedValue(new Error('upstream timeout'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await receive('halo');
+
+        expect(replies()).toEqual([i18n.t('en', 'chat.unavailable')]);
+        await expect(manager.chat.getHistory('+628111')).resolves.toEqual([]);
+        consoleError.mockRestore();
+    });
+
+    it('resets the conversation on /reset', async () => {
+        await receive('halo');
+        await receive('/reset');
+
+        expect(replies()[1]).toBe(i18n.t('en', 'chat.reset'));
+        await expect(manager.chat.getHistory('+628111')).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { parseBounce } from '../../../src/module/email/bounce.parser.js';
+
+const FIXTURES = path.join(process.cwd(), 'tests', 'fixtures', 'bounces');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+describe('parseBounce', () => {
+    it('reads a Gmail delivery status report', () => {
+        const bounce = parseBounce(fixture('gmail.eml'));
+
+        expect(bounce).toMatchObject({
+            messageId: '<362f9b48-9909-4d5e-8a3c-1f0e2b7c4d11@gmail.com>',
+            reportedAt: '2026-10-19T20:50:01.000Z',
+            from: 'mailer-daemon@googlemail.com',
+            recipients: [{
+                address: 'typo@gmial.com',
+                action: 'failed',
+                status: '5.1.1',
+                diagnostic: '550 5.1.1 The email account that you tried to reach does not exist.',
+                permanent: true
+            }]
+        });
+    });
+
+    it('keeps the mailbox provider\'s verdict on the report', () => {
+        const { authentication } = parseBounce(fixture('gmail.eml'));
+
+        expect(authentication.authservId).toBe('mx.google.com');
+        expect(authentication.results).toEqual([
+            { method: 'dkim', result: 'pass', domain: 'googlemail.com' },
+            { method: 'spf', result: 'pass', domain: 'mail-sor-f69.google.com' },
+            { method: 'dmarc', result: 'pass', domain: 'googlemail.com' }
+        ]);
+    });
+
+    it('ignores Authentication-Results added below the provider\'s own', () => {
+        const { authentication } = parseBounce(fixture('forged.eml'));
+
+        expect(authentication.results).toEqual([
+            { method: 'spf', result: 'pass', domain: 'example.org' },
+            { method: 'dmarc', result: 'fail', domain: 'googlemail.com' }
+        ]);
+    });
+
+    it('falls back to X-Failed-Recipients and the quoted headers of a free-text bounce', () => {
+        expect(parseBounce(fixture('exim.eml'))).toMatchObject({
+            messageId: '<7d0c1e2f-3a4b@gmail.com>',
+            from: 'mailer-daemon@mx.example.net',
+            recipients: [{ address: 'gone@example.net', action: 'failed', status: '5.2.1', permanent: true }]
+        });
+    });
+
+    it('reports delays as temporary', () => {
+        expect(parseBounce(fixture('delayed.eml'))).toMatchObject({
+            messageId: '<late@gmail.com>',
+            authentication: null,
+            recipients: [{ address: 'late@example.org', action: 'delayed', status: '4.4.1', permanent: false }]
+        });
+    });
+
+    it('returns null for ordinary mail', () => {
+        expect(parseBounce(fixture('not-a-bounce.eml'))).toBeNull();
+    });
+});
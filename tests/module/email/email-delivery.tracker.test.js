@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { EmailDeliveryTracker } from '../../../src/module/email/email-delivery.tracker.js';
+import { parseBounce } from '../../../src/module/email/bounce.parser.js';
+import { MemoryStore } from '../../../src/infrastucture/storage/memory.store.js';
+
+const FIXTURES = path.join(process.cwd(), 'tests', 'fixtures', 'bounces');
+const bounceFrom = (name) => parseBounce(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+
+describe('EmailDeliveryTracker', () => {
+    let storage;
+    let eventBus;
+    let tracker;
+
+    beforeEach(async () => {
+        storage = new MemoryStore();
+        eventBus = { emit: jest.fn() };
+        tracker = new EmailDeliveryTracker(storage, { eventBus });
+
+        await tracker.recordSent('<362f9b48-9909-4d5e-8a3c-1f0e2b7c4d11@gmail.com>', {
+            to: 'Typo@Gmial.com',
+            subject: 'Your verification code',
+            template: 'otp',
+            sessionId: 'session-1'
+        });
+    });
+
+    afterEach(async () => {
+        await storage.close();
+    });
+
+    it('records an authenticated bounce for the address the message went to', async () => {
+        const failures = await tracker.recordBounce(bounceFrom('gmail.eml'));
+
+        expect(failures).toEqual([expect.objectContaining({
+            address: 'typo@gmial.com',
+            status: '5.1.1',
+            permanent: true,
+            template: 'otp',
+            sessionId: 'session-1'
+        })]);
+        expect(eventBus.emit).toHaveBeenCalledWith('EMAIL_BOUNCED', failures[0]);
+        await expect(tracker.isUndeliverable('typo@gmial.com')).resolves.toBe(true);
+    });
+
+    it('ignores recipients the message was not sent to', async () => {
+        const bounce = bounceFrom('gmail.eml');
+        bounce.recipients = [{ ...bounce.recipients[0], address: 'victim@example.com' }];
+
+        await expect(tracker.recordBounce(bounce)).resolves.toEqual([]);
+        await expect(tracker.isUndeliverable('victim@example.com')).resolves.toBe(false);
+        expect(eventBus.emit).not.toHaveBeenCalled();
+    });
+
+    it('ignores reports that merely claim to come from the mailer daemon', async () => {
+        await expect(tracker.recordBounce(bounceFrom('forged.eml'))).resolves.toEqual([]);
+        await expect(tracker.isUndeliverable('victim@example.com')).resolves.toBe(false);
+    });
+
+    it('ignores reports from other domains or without a verdict', async () => {
+        const bounce = bounceFrom('gmail.eml');
+
+        await expect(tracker.recordBounce({ ...bounce, from: 'mailer-daemon@googlemail.com.example.org' })).resolves.toEqual([]);
+        await expect(tracker.recordBounce({ ...bounce, authentication: null })).resolves.toEqual([]);
+        await expect(tracker.recordBounce({
+            ...bounce,
+            authentication: { ...bounce.authentication, authservId: 'mx.example.org' }
+        })).resolves.toEqual([]);
+        expect(eventBus.emit).not.toHaveBeenCalled();
+    });
+
+    it('accepts other mailer daemons once their domain is trusted', async () => {
+        tracker = new EmailDeliveryTracker(storage, { eventBus, trustedDomains: ['example.net'] });
+        await tracker.recordSent('<7d0c1e2f-3a4b@gmail.com>', { to: 'gone@example.net', subject: 'x' });
+
+        await expect(tracker.recordBounce(bounceFrom('exim.eml'))).resolves.toEqual([
+            expect.objectContaining({ address: 'gone@example.net', status: '5.2.1' })
+        ]);
+    });
+});
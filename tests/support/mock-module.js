@@ -0,0 +1,15 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Some app-level modules (event bus, encryption) are provided by the host application and are not in this tree.
+// Jest 29 checks ESM virtual mocks against the CommonJS registry, so the path is registered there as well.
+const registerCommonJsMock = jest.mock;
+
+export function mockAppModule(relativePath, factory) {
+    const absolutePath = path.join(ROOT, relativePath);
+    registerCommonJsMock(absolutePath, factory, { virtual: true });
+    jest.unstable_mockModule(absolutePath, factory, { virtual: true });
+}
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+// Just enough CBOR to build attestation objects; Maps keep integer keys for COSE
+export function encodeCbor(value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([encodeHead(2, value.length), value]);
+    }
+    if (typeof value === 'number') {
+        return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+    }
+    if (typeof value === 'boolean') {
+        return Buffer.from([value ? 0xf5 : 0xf4]);
+    }
+    if (value === null) {
+        return Buffer.from([0xf6]);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+    }
+
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    return Buffer.concat([
+        encodeHead(5, entries.length),
+        ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])
+    ]);
+}
+
+function encodeHead(major, length) {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+
+    if (length < 0x10000) {
+        const head = Buffer.alloc(3);
+        head[0] = (major << 5) | 25;
+        head.writeUInt16BE(length, 1);
+        return head;
+    }
+
+    const head = Buffer.alloc(5);
+    head[0] = (major << 5) | 26;
+    head.writeUInt32BE(length, 1);
+    return head;
+}
+
+// A platform authenticator in software, producing the same payloads a browser would send
+export class SoftwareAuthenticator {
+    constructor({ alg = -7, rpId = 'localhost', origin = 'http://localhost:3000' } = {}) {
+        this.alg = alg;
+        this.rpId = rpId;
+        this.origin = origin;
+        this.credentialId = crypto.randomBytes(16);
+        this.signCount = 0;
+
+        const { privateKey, publicKey } = alg === -257
+            ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+            : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        this.privateKey = privateKey;
+        this.publicKey = publicKey;
+    }
+
+    get id() {
+        return this.credentialId.toString('base64url');
+    }
+
+    coseKey() {
+        const jwk = this.publicKey.export({ format: 'jwk' });
+
+        if (this.alg === -257) {
+            return new Map([
+                [1, 3],
+                [3, -257],
+                [-1, Buffer.from(jwk.n, 'base64url')],
+                [-2, Buffer.from(jwk.e, 'base64url')]
+            ]);
+        }
+
+        return new Map([
+            [1, 2],
+            [3, -7],
+            [-1, 1],
+            [-2, Buffer.from(jwk.x, 'base64url')],
+            [-3, Buffer.from(jwk.y, 'base64url')]
+        ]);
+    }
+
+    authenticatorData({ signCount = this.signCount, attested = false, rpId = this.rpId, flags = null } = {}) {
+        const rpIdHash = crypto.createHash('sha256').update(rpId).digest();
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(signCount);
+
+        const parts = [
+            rpIdHash,
+            Buffer.from([flags ?? (FLAG_USER_PRESENT | FLAG_USER_VERIFIED | (attested ? FLAG_ATTESTED_DATA : 0))]),
+            counter
+        ];
+
+        if (attested) {
+            const idLength = Buffer.alloc(2);
+            idLength.writeUInt16BE(this.credentialId.length);
+            parts.push(Buffer.alloc(16), idLength, this.credentialId, encodeCbor(this.coseKey()));
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    clientData(type, challenge, overrides = {}) {
+        return Buffer.from(JSON.stringify({
+            type,
+            challenge,
+            origin: this.origin,
+            crossOrigin: false,
+            ...overrides
+        }));
+    }
+
+    register(options, { fmt = 'none', clientData = {}, attStmt = null, flags = null } = {}) {
+        const clientDataJSON = this.clientData('webauthn.create', options.challenge, clientData);
+        const authData = this.authenticatorData({ attested: true, flags });
+
+        let statement = {};
+        if (fmt === 'packed') {
+            const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+            statement = attStmt || {
+                alg: this.alg,
+                sig: crypto.sign('sha256', Buffer.concat([authData, clientDataHash]), this.privateKey)
+            };
+        }
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: clientDataJSON.toString('base64url'),
+                attestationObject: encodeCbor({ fmt, attStmt: statement, authData }).toString('base64url'),
+                transports: ['internal']
+            }
+        };
+    }
+
+    authenticate(options, { signCount = this.signCount + 1, userHandle = null, clientData = {}, rpId, flags = null } = {}) {
+        this.signCount = signCount;
+
+        const clientDataJSON = this.clientData('webauthn.get', options.challenge, clientData);
+        const authenticatorData = this.authenticatorData({ signCount, rpId, flags });
+        const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: clientDataJSON.toString('base64url'),
+                authenticatorData: authenticatorData.toString('base64url'),
+                signature: crypto.sign('sha256', Buffer.concat([authenticatorData, clientDataHash]), this.privateKey)
+                    .toString('base64url'),
+                userHandle: userHandle === null ? null : Buffer.from(String(userHandle)).toString('base64url')
+            }
+        };
+    }
+}